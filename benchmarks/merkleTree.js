@@ -0,0 +1,122 @@
+'use strict';
+
+const crypto = require('crypto');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { MerkleTree, MerkleMode } = require('../src/merkleTree');
+const { createStorage } = require('../src/storage');
+const { Migrator } = require('../src/storage/migrator');
+
+// Time Merkle tree construction, proofs and node storage for blocks of growing size.
+// Usage: npm run bench -- [--sizes 1000,10000,100000] [--recursive-sizes 256,1024] [--storage-size 20000]
+
+const argv = yargs(hideBin(process.argv))
+  .option('sizes', { type: 'string', default: '1000,10000,100000,300000', describe: 'Leaf counts of the trees to build' })
+  .option('recursive-sizes', { type: 'string', default: '256,512,1024', describe: 'Leaf counts compared with the recursive build, at most 1024' })
+  .option('storage-size', { type: 'number', default: 20000, describe: 'Leaf count of the tree saved to SQLite' })
+  .argv;
+
+// Run `work` once and return its duration in milliseconds
+async function time(work) {
+  const start = process.hrtime.bigint();
+  await work();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+const format = (ms) => `${ms.toFixed(1)} ms`.padStart(12);
+const transactionHashes = (count) => Array.from({ length: count }, (_, i) => `${i}`.padStart(64, '0'));
+
+async function benchmarkTrees(sizes) {
+  console.log('Tree construction and proofs (every proof of the block, as Block.save() writes them)');
+  console.log(`${'leaves'.padStart(8)} ${'mode'.padEnd(8)} ${'build'.padStart(12)} ${'proofs'.padStart(12)}`);
+  for (const size of sizes) {
+    const values = transactionHashes(size);
+    for (const mode of Object.values(MerkleMode)) {
+      let tree;
+      const build = await time(() => { tree = new MerkleTree(values, mode); });
+      const proofs = await time(() => {
+        for (let index = 0; index < size; index++) tree.getProofByIndex(index);
+      });
+      console.log(`${String(size).padStart(8)} ${mode.padEnd(8)} ${format(build)} ${format(proofs)}`);
+    }
+  }
+}
+
+// The recursive build trees used before the level arrays, one node object per node. Its recursion
+// was capped at depth 10, so it could not build trees of more than 1024 leaves.
+const RECURSIVE_MAX_LEAVES = 1024;
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function buildRecursive(values) {
+  const leaves = values.map((value) => ({ left: null, right: null, value: sha256(value) }));
+  if (leaves.length % 2 === 1) leaves.push({ ...leaves[leaves.length - 1] });
+  return buildLevelRecursive(leaves);
+}
+
+function buildLevelRecursive(nodes, depth = 0) {
+  if (depth > 10) throw new Error('Max recursion depth exceeded');
+  if (nodes.length === 1) return nodes[0];
+  if (nodes.length % 2 === 1) nodes.push({ ...nodes[nodes.length - 1] });
+  const parents = [];
+  for (let i = 0; i < nodes.length; i += 2) {
+    parents.push({ left: nodes[i], right: nodes[i + 1], value: sha256(nodes[i].value + nodes[i + 1].value) });
+  }
+  return buildLevelRecursive(parents, depth + 1);
+}
+
+// Compare the level array build with the recursive one it replaced, on the trees both can build
+async function benchmarkRecursive(sizes) {
+  console.log('\nLegacy tree construction, recursive build against level arrays (best of 5 runs)');
+  console.log(`${'leaves'.padStart(8)} ${'recursive'.padStart(12)} ${'levels'.padStart(12)}`);
+  for (const size of sizes) {
+    if (size > RECURSIVE_MAX_LEAVES) {
+      console.log(`${String(size).padStart(8)}  skipped, the recursive build stops at ${RECURSIVE_MAX_LEAVES} leaves`);
+      continue;
+    }
+    const values = transactionHashes(size);
+    let root;
+    let tree;
+    const recursive = [];
+    const levels = [];
+    for (let run = 0; run < 5; run++) {
+      recursive.push(await time(() => { root = buildRecursive(values); }));
+      levels.push(await time(() => { tree = new MerkleTree(values, MerkleMode.LEGACY); }));
+    }
+    if (root.value !== tree.getRootHash()) {
+      throw new Error(`The builds disagree on the root of a ${size} leaf tree`);
+    }
+    console.log(`${String(size).padStart(8)} ${format(Math.min(...recursive))} ${format(Math.min(...levels))}`);
+  }
+}
+
+// Compare one awaited INSERT per node, as nodes were saved before, with the batched inserts
+async function benchmarkStorage(size) {
+  let storage;
+  try {
+    storage = createStorage({ backend: 'sqlite', sqlite: { filename: ':memory:' } });
+  } catch (error) {
+    console.log(`\nSkipping the storage benchmark: ${error.message}`);
+    return;
+  }
+  await new Migrator(storage).up();
+
+  const tree = new MerkleTree(transactionHashes(size));
+  const nodes = tree.getNodes();
+  console.log(`\nSaving the ${nodes.length} nodes of a ${size} leaf tree to SQLite`);
+  const single = await time(async() => {
+    for (const node of nodes) await storage.saveMerkleNode({ blockHash: 'single', ...node });
+  });
+  const batched = await time(() => tree.saveNodesToDatabase('batched', storage));
+  console.log(`  one insert per node ${format(single)}`);
+  console.log(`  batched inserts     ${format(batched)}  (${(single / batched).toFixed(1)}x faster)`);
+  await storage.close();
+}
+
+(async() => {
+  await benchmarkTrees(argv.sizes.split(',').map(Number));
+  await benchmarkRecursive(argv['recursive-sizes'].split(',').map(Number));
+  await benchmarkStorage(argv['storage-size']);
+})().catch((error) => {
+  console.error('Benchmark failed:', error);
+  process.exitCode = 1;
+});
@@ -1,6 +1,6 @@
-const readline = require("readline");
-const { Blockchain, Transaction } = require("./src/blockchain");
-const { createNewWallet, loadWallet, ec } = require("./src/wallet");
+const readline = require('readline');
+const { Blockchain, BlockchainEvent, Transaction } = require('./src/blockchain');
+const { createNewWallet, loadWallet, ec } = require('./src/wallet');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -16,8 +16,13 @@ async function askQuestion(query) {
 async function main() {
   console.log("Blockchain CLI is starting...");
 
-  // Initialize the blockchain and create the genesis block
-  blockchain = new Blockchain();
+  // Resume the stored blockchain, the genesis block is only created when storage is empty
+  blockchain = await Blockchain.load();
+
+  // Blocks are mined in worker threads, report how the search is going
+  blockchain.on(BlockchainEvent.MINING_PROGRESS, ({ index, hashes, hashrate }) => {
+    console.log(`Mining block ${index}: ${hashes} hashes tried, ${hashrate} hashes/s`);
+  });
 
   while (true) {
     console.log(`
@@ -26,33 +31,41 @@ async function main() {
     3. View blockchain
     4. Add balance to address
     5. Check balance of address
-    6. Exit
+    6. Rebuild balances from the chain
+    7. Check balance cache consistency
+    8. Exit
     `);
 
     const choice = await askQuestion("Select an option: ");
 
     switch (choice) {
-      case "1":
-        createNewWallet();
-        break;
-      case "2":
-        await sendTransaction();
-        break;
-      case "3":
-        await viewBlockchain();
-        break;
-      case "4":
-        await addBalance();
-        break;
-      case "5":
-        await checkBalance();
-        break;
-      case "6":
-        console.log("Exiting...");
-        rl.close();
-        return;
-      default:
-        console.log("Invalid option. Please try again.");
+    case '1':
+      createNewWallet();
+      break;
+    case '2':
+      await sendTransaction();
+      break;
+    case '3':
+      await viewBlockchain();
+      break;
+    case '4':
+      await addBalance();
+      break;
+    case '5':
+      await checkBalance();
+      break;
+    case '6':
+      await blockchain.rebuildState();
+      break;
+    case '7':
+      await checkStateConsistency();
+      break;
+    case '8':
+      console.log("Exiting...");
+      rl.close();
+      return;
+    default:
+      console.log("Invalid option. Please try again.");
     }
   }
 }
@@ -75,21 +88,30 @@ async function sendTransaction() {
       return;
     }
 
-    // Create and sign transaction
-    const tx = new Transaction(fromAddress, toAddress, amount);
+    const feeInput = await askQuestion('Enter the fee to pay (default 0): ');
+    const fee = feeInput ? parseFloat(feeInput) : 0;
+
+    if (isNaN(fee) || fee < 0) {
+      console.log('Invalid fee.');
+      return;
+    }
+
+    // Create and sign transaction with the sender's next nonce
+    const nonce = blockchain.getNextNonce(fromAddress);
+    const tx = new Transaction(fromAddress, toAddress, amount, Date.now(), null, '', nonce, fee);
     tx.sign(ec.keyFromPrivate(privateKey));
 
     console.log("Transaction details:", tx);
 
-    // Save transaction and check threshold
-    await tx.savePendingToRedis();
+    // Validate and save transaction, then check threshold
+    await blockchain.addTransaction(tx);
     console.log("Transaction saved as pending successfully.");
 
-    const pendingTransactions = await Transaction.loadPendingTransactionsFromRedis();
-    console.log("Pending transactions count:", pendingTransactions.length);
+    const pendingCount = blockchain.mempool.size;
+    console.log('Pending transactions count:', pendingCount);
 
     // Mine a new block if threshold is reached
-    if (pendingTransactions.length >= blockchain.transactionThreshold) {
+    if (pendingCount >= blockchain.transactionThreshold) {
       console.log(
         `Transaction threshold of ${blockchain.transactionThreshold} reached. Mining a new block...`
       );
@@ -97,7 +119,7 @@ async function sendTransaction() {
       console.log("Mining complete.");
     } else {
       console.log(
-        `Threshold not reached. Pending count: ${pendingTransactions.length}`
+        `Threshold not reached. Pending count: ${pendingCount}`
       );
     }
   } catch (error) {
@@ -130,8 +152,14 @@ async function addBalance() {
     return;
   }
 
-  await blockchain.updateWalletBalance(address, amount);
-  console.log(`Successfully added ${amount} to address ${address}`);
+  // Credit the address through a mined block so the balance can be replayed from the chain.
+  // The amount is minted as the block reward, so it is limited to the current reward.
+  try {
+    await blockchain.addInitialBalance(address, amount);
+    console.log(`Successfully added ${amount} to address ${address}`);
+  } catch (error) {
+    console.error('Error adding balance:', error.message);
+  }
 }
 
 async function checkBalance() {
@@ -150,6 +178,15 @@ async function checkBalance() {
   }
 }
 
+async function checkStateConsistency() {
+  const { consistent, mismatches } = await blockchain.checkStateConsistency();
+  if (consistent) {
+    console.log('Balance cache is consistent with the chain.');
+  } else {
+    console.log(`Found ${mismatches.length} inconsistent balances. Use option 6 to rebuild them.`);
+  }
+}
+
 main().catch(console.error);
 
 
@@ -1 +1,2 @@
-
+-- The schema is created by the versioned migrations in src/storage/migrations.
+-- Run `npm run migrate -- up` (and `npm run migrate -- status` to see the applied version).
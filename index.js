@@ -37,16 +37,16 @@ const merkleTree = new MerkleTree(values);
 merkleTree.printTree();
 console.log('Merkle Tree Root Hash:', merkleTree.getRootHash());
 
-// Create a new instance of the Blockchain class
-const myCoin = new Blockchain();
-
-// Log the initial state of the blockchain
-console.log("Initial Blockchain State:");
-console.log(JSON.stringify(myCoin, null, 2));
-
 // Async function to create and mine transactions
 (async () => {
   try {
+    // Load the stored blockchain, or start a new one
+    const myCoin = await Blockchain.load();
+
+    // Log the initial state of the blockchain
+    console.log("Initial Blockchain State:");
+    console.log(JSON.stringify(myCoin, null, 2));
+
     await myCoin.addInitialBalance(publicKey, 100);
     // Mine the initial transactions to confirm the balance
     await myCoin.minePendingTransactions(publicKey);
@@ -0,0 +1,43 @@
+'use strict';
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const config = require('./src/config');
+const { createStorage } = require('./src/storage');
+const { Migrator } = require('./src/storage/migrator');
+
+// Manage the database schema of the configured storage backend (STORAGE_BACKEND, see src/config.js)
+async function run(action) {
+  const storage = createStorage(config.storage);
+  try {
+    await action(new Migrator(storage));
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await storage.close();
+  }
+}
+
+yargs(hideBin(process.argv))
+  .command('up', 'Apply pending migrations', (args) => args
+    .option('to', { type: 'number', describe: 'Last version to apply' }), (argv) => run(async(migrator) => {
+    const applied = await migrator.up(argv.to !== undefined ? argv.to : Infinity);
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+  }))
+  .command('down', 'Revert applied migrations', (args) => args
+    .option('steps', { type: 'number', default: 1, describe: 'Number of migrations to revert' }), (argv) => run(async(migrator) => {
+    const reverted = await migrator.down(argv.steps);
+    console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+  }))
+  .command('status', 'Show which migrations are applied', () => {}, () => run(async(migrator) => {
+    for (const migration of await migrator.status()) {
+      const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+      console.log(`${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(30)} ${state}`);
+    }
+    console.log(`Schema version: ${await migrator.getVersion()}`);
+  }))
+  .demandCommand(1, 'Choose a command: up, down or status')
+  .strict()
+  .help()
+  .parse();
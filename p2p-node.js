@@ -0,0 +1,57 @@
+'use strict';
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { Blockchain } = require('./src/blockchain');
+const { P2PNode } = require('./src/network/node');
+const { ApiServer } = require('./src/api/server');
+const { MiningDaemon } = require('./src/miningDaemon');
+const { loadChainSpec, getChainSpec } = require('./src/chainSpec');
+
+const argv = yargs(hideBin(process.argv))
+  .option('port', { type: 'number', default: 6001, describe: 'Port to listen on for peers' })
+  .option('api-port', { type: 'number', default: 3000, describe: 'Port of the HTTP API' })
+  .option('peers', { type: 'array', default: [], describe: 'Peers to connect to, e.g. ws://localhost:6002' })
+  .option('mine', { type: 'boolean', default: false, describe: 'Keep mining blocks from the pending transactions' })
+  .option('mine-interval', { type: 'number', default: 10000, describe: 'Milliseconds between two mining attempts of --mine' })
+  .option('mine-empty', { type: 'boolean', default: false, describe: 'Also mine blocks without pending transactions' })
+  .option('reward-address', { type: 'string', describe: 'Address receiving the rewards of mined blocks (default: minerAddress of the chain spec)' })
+  .option('chain-spec', { type: 'string', describe: 'Chain spec file of the network to join, e.g. chains/staging.json (default: CHAIN_SPEC or chains/dev.json)' })
+  .argv;
+
+(async() => {
+  // Resume the stored chain (repairing half-written blocks) or start it with the genesis block of the
+  // chain spec. Every node of a network must use the same chain spec to agree on the genesis block.
+  const chainSpec = argv.chainSpec ? loadChainSpec(argv.chainSpec) : getChainSpec();
+  const blockchain = await Blockchain.load({ chainSpec });
+  const node = new P2PNode(blockchain, { port: argv.port });
+  await node.start();
+
+  const api = new ApiServer(blockchain, { port: argv.apiPort, node });
+  await api.start();
+
+  const daemon = new MiningDaemon(blockchain, {
+    rewardAddress: argv.rewardAddress,
+    interval: argv.mineInterval,
+    mineEmptyBlocks: argv.mineEmpty,
+    node
+  });
+  if (argv.mine) {
+    daemon.start();
+  }
+
+  for (const address of argv.peers) {
+    try {
+      await node.connect(String(address));
+    } catch (error) {
+      console.error(`Could not connect to ${address}:`, error.message);
+    }
+  }
+
+  process.on('SIGINT', async() => {
+    await daemon.stop();
+    await api.stop();
+    await node.stop();
+    process.exit(0);
+  });
+})();
@@ -0,0 +1,32 @@
+'use strict';
+
+class ApiError extends Error {
+  /**
+   * Error returned to API clients as a structured JSON body.
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable machine readable error code
+   * @param {string} message - Human readable description
+   * @param {object} [details] - Extra information, e.g. the invalid field
+   */
+  constructor(status, code, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, details: this.details } };
+  }
+
+  static badRequest(message, details) {
+    return new ApiError(400, 'bad_request', message, details);
+  }
+
+  static notFound(message, details) {
+    return new ApiError(404, 'not_found', message, details);
+  }
+}
+
+module.exports = { ApiError };
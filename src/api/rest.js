@@ -0,0 +1,290 @@
+'use strict';
+
+const { Blockchain, Block, Transaction, MiningError, MiningFailure } = require('../blockchain');
+const { ApiError } = require('./errors');
+
+const MAX_BLOCK_RANGE = 100; // Most blocks returned by a single GET /blocks call
+const HASH_PATTERN = '([0-9a-f]{64})';
+const ADDRESS_PATTERN = '([^/]{1,256})';
+
+/**
+ * Parses a non-negative integer query or body parameter.
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name, reported on error
+ * @returns {number} - Parsed integer
+ * @throws {ApiError} - If the value is not a non-negative integer
+ */
+function parseIndex(value, name) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isInteger(number) || number < 0) {
+    throw ApiError.badRequest(`${name} must be a non-negative integer`, { field: name });
+  }
+  return number;
+}
+
+/**
+ * Summarises where a transaction is, as returned by findTransaction().
+ * @param {{transaction: Transaction, block: Block|null, confirmations: number}} entry
+ * @returns {object} - JSON friendly description
+ */
+function formatTransaction({ transaction, block, confirmations }) {
+  return {
+    ...transaction,
+    status: block ? 'confirmed' : 'pending',
+    blockHash: block ? block.hash : null,
+    blockIndex: block ? block.index : null,
+    confirmations
+  };
+}
+
+/**
+ * Builds a transaction from a POST /transactions body and checks its fields.
+ * @param {object} body - Parsed request body
+ * @returns {Transaction} - Signed transaction
+ * @throws {ApiError} - If a field is missing or has the wrong type
+ */
+function parseTransaction(body) {
+  if (!body || typeof body !== 'object') {
+    throw ApiError.badRequest('Request body must be a JSON object');
+  }
+  for (const field of ['fromAddress', 'toAddress', 'signature']) {
+    if (typeof body[field] !== 'string' || body[field].length === 0) {
+      throw ApiError.badRequest(`${field} must be a non-empty string`, { field });
+    }
+  }
+  if (typeof body.amount !== 'number' || !(body.amount > 0)) {
+    throw ApiError.badRequest('amount must be a positive number', { field: 'amount' });
+  }
+  if (body.fee !== undefined && (typeof body.fee !== 'number' || !(body.fee >= 0))) {
+    throw ApiError.badRequest('fee must be a non-negative number', { field: 'fee' });
+  }
+  if (!Number.isInteger(body.timestamp)) {
+    throw ApiError.badRequest('timestamp must be an integer', { field: 'timestamp' });
+  }
+  const nonce = parseIndex(body.nonce, 'nonce');
+
+  // The hash is always recomputed, a client supplied hash is never trusted
+  return new Transaction(body.fromAddress, body.toAddress, body.amount, body.timestamp, body.signature, '', nonce, body.fee || 0);
+}
+
+/**
+ * Describes a block template for external miners. A miner searches a nonce for which the SHA-256 hash
+ * of `hashingData.prefix + nonce + hashingData.suffix` starts with `difficulty` zeros, then submits the
+ * template with that nonce and hash.
+ * @param {Block} block - Template, see Blockchain.createBlockTemplate()
+ * @returns {object} - JSON friendly template
+ */
+function formatBlockTemplate(block) {
+  return { ...block, hashingData: block.getHashingData() };
+}
+
+/**
+ * Builds a block from a submitted block body. Only its shape is checked, Blockchain.submitBlock() checks the rest.
+ * @param {object} body - Parsed block
+ * @returns {Block}
+ * @throws {ApiError} - If the body is not a block
+ */
+function parseBlock(body) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.transactions)) {
+    throw ApiError.badRequest('Block must be a JSON object with a transactions array');
+  }
+  try {
+    return Block.fromJSON(body);
+  } catch (error) {
+    throw ApiError.badRequest(`Invalid block: ${error.message}`);
+  }
+}
+
+async function getBlock(api, params) {
+  const block = api.blockchain.getBlockByHash(params[0]);
+  if (!block) throw ApiError.notFound(`Block ${params[0]} not found`);
+
+  const mainBlock = api.blockchain.chain[block.index];
+  return { ...block, mainChain: mainBlock === block };
+}
+
+async function getLatestBlock(api) {
+  return api.blockchain.getLatestBlock();
+}
+
+async function getBlocks(api, params, query) {
+  const height = api.blockchain.chain.length - 1;
+  const from = query.has('from') ? parseIndex(query.get('from'), 'from') : Math.max(height - MAX_BLOCK_RANGE + 1, 0);
+  const to = query.has('to') ? parseIndex(query.get('to'), 'to') : Math.min(from + MAX_BLOCK_RANGE - 1, height);
+
+  if (to < from) {
+    throw ApiError.badRequest('to must be greater than or equal to from', { field: 'to' });
+  }
+  if (to - from + 1 > MAX_BLOCK_RANGE) {
+    throw ApiError.badRequest(`At most ${MAX_BLOCK_RANGE} blocks can be requested at once`, { field: 'to' });
+  }
+  return { from, to, height, blocks: api.blockchain.chain.slice(from, to + 1) };
+}
+
+async function getTransaction(api, params) {
+  const entry = api.blockchain.findTransaction(params[0]);
+  if (!entry) throw ApiError.notFound(`Transaction ${params[0]} not found`);
+  return formatTransaction(entry);
+}
+
+async function getTransactionProof(api, params) {
+  const [blockHash, transactionHash] = params;
+  const proof = await api.blockchain.getTransactionProof(transactionHash, blockHash);
+  if (!proof) throw ApiError.notFound(`Transaction ${transactionHash} not found in block ${blockHash}`);
+  return { ...proof, verified: await api.blockchain.verifyTransactionInclusion(transactionHash, blockHash) };
+}
+
+async function postMultiProof(api, params, query, body) {
+  const block = api.blockchain.getBlockByHash(params[0]);
+  if (!block) throw ApiError.notFound(`Block ${params[0]} not found`);
+
+  const hashes = body && body.transactions;
+  if (!Array.isArray(hashes) || hashes.length === 0 || !hashes.every((hash) => typeof hash === 'string')) {
+    throw ApiError.badRequest('transactions must be a non-empty array of transaction hashes', { field: 'transactions' });
+  }
+  const included = new Set(block.transactions.map((tx) => tx.hash));
+  const missing = hashes.filter((hash) => !included.has(hash));
+  if (missing.length > 0) {
+    throw ApiError.notFound(`${missing.length} transactions are not in block ${block.hash}`, { missing });
+  }
+  return api.blockchain.getMultiProof(block.hash, hashes);
+}
+
+async function getBalance(api, params) {
+  const address = params[0];
+  return {
+    address,
+    balance: await api.blockchain.getBalanceOfAddress(address),
+    nonce: api.blockchain.getNonceOfAddress(address),
+    nextNonce: api.blockchain.getNextNonce(address)
+  };
+}
+
+async function getBalanceProof(api, params) {
+  let proof;
+  try {
+    proof = api.blockchain.getBalanceProof(params[0]);
+  } catch (error) {
+    throw new ApiError(409, 'no_state_root', error.message);
+  }
+  return { ...proof, verified: Blockchain.verifyBalanceProof(proof, proof.stateRoot) };
+}
+
+async function getAddressTransactions(api, params) {
+  const address = params[0];
+  return {
+    address,
+    transactions: api.blockchain.getTransactionsOfAddress(address).map(formatTransaction)
+  };
+}
+
+async function getSupply(api, params, query) {
+  const height = api.blockchain.chain.length - 1;
+  const at = query.has('height') ? parseIndex(query.get('height'), 'height') : height;
+  if (at > height) throw ApiError.notFound(`Block ${at} not found, the chain height is ${height}`);
+  return api.blockchain.getSupply(at);
+}
+
+async function postTransaction(api, params, query, body) {
+  const transaction = parseTransaction(body);
+  try {
+    await api.submitTransaction(transaction);
+  } catch (error) {
+    throw new ApiError(422, 'invalid_transaction', error.message);
+  }
+  return { hash: transaction.hash, status: 'pending' };
+}
+
+async function postMine(api, params, query, body) {
+  const rewardAddress = body && body.rewardAddress !== undefined ? body.rewardAddress : api.blockchain.getMinerAddress();
+  if (typeof rewardAddress !== 'string' || rewardAddress.length === 0) {
+    throw ApiError.badRequest('rewardAddress must be a non-empty string', { field: 'rewardAddress' });
+  }
+
+  let block;
+  try {
+    block = await api.mine(rewardAddress);
+  } catch (error) {
+    if (!(error instanceof MiningError)) throw error;
+    // Busy or cancelled mining can be retried, a failed one is a fault of the node
+    throw new ApiError(error.code === MiningFailure.FAILED ? 500 : 409, `mining_${error.code}`, error.message);
+  }
+  if (!block) {
+    return { message: 'No pending transactions to mine', block: null };
+  }
+  return { message: `Mined block ${block.index}`, block };
+}
+
+async function getBlockTemplate(api, params, query) {
+  const rewardAddress = query.has('rewardAddress') ? query.get('rewardAddress') : api.blockchain.getMinerAddress();
+  if (rewardAddress.length === 0) {
+    throw ApiError.badRequest('rewardAddress must be a non-empty string', { field: 'rewardAddress' });
+  }
+  return formatBlockTemplate(api.blockchain.createBlockTemplate(rewardAddress));
+}
+
+async function postBlock(api, params, query, body) {
+  const result = await api.submitBlock(parseBlock(body));
+  if (result.status === 'rejected') {
+    throw new ApiError(422, 'invalid_block', result.reason, { hash: result.hash, rule: result.code });
+  }
+  return result;
+}
+
+// Routes are matched in order, path parameters are the regular expression groups.
+// Handlers resolve with the response body, sent with the route status (200 by default).
+const routes = [
+  { method: 'GET', path: /^\/blocks\/latest$/, handler: getLatestBlock },
+  { method: 'GET', path: new RegExp(`^/blocks/${HASH_PATTERN}$`), handler: getBlock },
+  { method: 'GET', path: /^\/blocks$/, handler: getBlocks },
+  { method: 'GET', path: new RegExp(`^/blocks/${HASH_PATTERN}/tx/${HASH_PATTERN}/proof$`), handler: getTransactionProof },
+  { method: 'POST', path: new RegExp(`^/blocks/${HASH_PATTERN}/multiproof$`), handler: postMultiProof },
+  { method: 'GET', path: new RegExp(`^/tx/${HASH_PATTERN}$`), handler: getTransaction },
+  { method: 'GET', path: new RegExp(`^/address/${ADDRESS_PATTERN}/balance$`), handler: getBalance },
+  { method: 'GET', path: new RegExp(`^/address/${ADDRESS_PATTERN}/balance/proof$`), handler: getBalanceProof },
+  { method: 'GET', path: new RegExp(`^/address/${ADDRESS_PATTERN}/transactions$`), handler: getAddressTransactions },
+  { method: 'GET', path: /^\/supply$/, handler: getSupply },
+  { method: 'POST', path: /^\/transactions$/, handler: postTransaction, status: 201 },
+  { method: 'POST', path: /^\/mine$/, handler: postMine },
+  { method: 'GET', path: /^\/mining\/template$/, handler: getBlockTemplate },
+  { method: 'POST', path: /^\/mining\/blocks$/, handler: postBlock }
+];
+
+/**
+ * Decodes a percent-encoded path parameter.
+ * @param {string} value - Raw path segment
+ * @returns {string} - Decoded parameter
+ * @throws {ApiError} - If the segment is not valid percent-encoding
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw ApiError.badRequest(`Malformed path parameter ${value}`);
+  }
+}
+
+/**
+ * Finds the REST route for a request.
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {{handler: Function, status: number, params: string[]}|null} - Matched route, or null if there is none
+ * @throws {ApiError} - If the path exists but not for this method, or a path parameter is malformed
+ */
+function matchRoute(method, pathname) {
+  let pathMatched = false;
+  for (const route of routes) {
+    const match = route.path.exec(pathname);
+    if (!match) continue;
+    pathMatched = true;
+    if (route.method === method) {
+      return { handler: route.handler, status: route.status || 200, params: match.slice(1).map(decodeParam) };
+    }
+  }
+  if (pathMatched) {
+    throw new ApiError(405, 'method_not_allowed', `Method ${method} is not allowed on ${pathname}`);
+  }
+  return null;
+}
+
+module.exports = { matchRoute, parseTransaction, formatTransaction, parseBlock, formatBlockTemplate, MAX_BLOCK_RANGE };
@@ -0,0 +1,292 @@
+'use strict';
+
+const { MiningError } = require('../blockchain');
+const { MerkleTree } = require('../merkleTree');
+const { ApiError } = require('./errors');
+const { parseTransaction, formatTransaction, parseBlock, formatBlockTemplate } = require('./rest');
+
+// Error codes defined by the JSON-RPC 2.0 specification
+const RpcErrorCode = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000 // Request was valid but refused by the node, e.g. a rejected transaction
+});
+
+class RpcError extends Error {
+  /**
+   * Error returned in the `error` member of a JSON-RPC response.
+   * @param {number} code - One of RpcErrorCode
+   * @param {string} message - Human readable description
+   * @param {*} [data] - Extra information about the error
+   */
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, data: this.data };
+  }
+}
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new RpcError(RpcErrorCode.INVALID_PARAMS, `${name} must be a non-empty string`);
+  }
+  return value;
+}
+
+// Available methods: `params` lists the parameter names, in positional order
+const methods = {
+  chain_getBlockByHash: {
+    params: ['hash'],
+    handler: (api, hash) => api.blockchain.getBlockByHash(requireString(hash, 'hash'))
+  },
+  chain_getBlockByIndex: {
+    params: ['index'],
+    handler: (api, index) => {
+      if (!Number.isInteger(index) || index < 0) {
+        throw new RpcError(RpcErrorCode.INVALID_PARAMS, 'index must be a non-negative integer');
+      }
+      return api.blockchain.chain[index] || null;
+    }
+  },
+  chain_getLatestBlock: {
+    params: [],
+    handler: (api) => api.blockchain.getLatestBlock()
+  },
+  chain_getHeight: {
+    params: [],
+    handler: (api) => api.blockchain.chain.length - 1
+  },
+  chain_isValid: {
+    params: [],
+    handler: (api) => api.blockchain.isChainValid()
+  },
+  chain_getSupply: {
+    params: ['height'],
+    handler: (api, height = api.blockchain.chain.length - 1) => {
+      if (!Number.isInteger(height) || height < 0 || height >= api.blockchain.chain.length) {
+        throw new RpcError(RpcErrorCode.INVALID_PARAMS, 'height must be the index of a main branch block');
+      }
+      return api.blockchain.getSupply(height);
+    }
+  },
+  chain_getSpec: {
+    params: [],
+    handler: (api) => api.blockchain.chainSpec
+  },
+  state_getBalanceProof: {
+    params: ['address'],
+    handler: (api, address) => {
+      try {
+        return api.blockchain.getBalanceProof(requireString(address, 'address'));
+      } catch (error) {
+        if (error instanceof RpcError) throw error;
+        throw new RpcError(RpcErrorCode.SERVER_ERROR, error.message);
+      }
+    }
+  },
+  tx_send: {
+    params: ['transaction'],
+    handler: async(api, body) => {
+      let transaction;
+      try {
+        transaction = parseTransaction(body);
+      } catch (error) {
+        throw new RpcError(RpcErrorCode.INVALID_PARAMS, error.message, error.details);
+      }
+      try {
+        await api.submitTransaction(transaction);
+      } catch (error) {
+        throw new RpcError(RpcErrorCode.SERVER_ERROR, error.message);
+      }
+      return transaction.hash;
+    }
+  },
+  tx_get: {
+    params: ['hash'],
+    handler: (api, hash) => {
+      const entry = api.blockchain.findTransaction(requireString(hash, 'hash'));
+      return entry ? formatTransaction(entry) : null;
+    }
+  },
+  tx_getProof: {
+    params: ['hash'],
+    handler: (api, hash) => {
+      const entry = api.blockchain.findTransaction(requireString(hash, 'hash'));
+      if (!entry || !entry.block) return null; // Unknown or still pending
+
+      const block = entry.block;
+      const merkleMode = block.getMerkleMode(); // Tree construction of the block's version
+      const leaf = block.getMerkleLeaf(hash); // Leaves hold the hash of each transaction hash
+      const proof = block.buildMerkleTree().getProof(leaf);
+      return {
+        transactionHash: hash,
+        blockHash: block.hash,
+        merkleRoot: block.merkleRoot,
+        merkleMode,
+        proof,
+        verified: MerkleTree.verifyProof(leaf, proof, block.merkleRoot, merkleMode)
+      };
+    }
+  },
+  tx_getMultiProof: {
+    params: ['blockHash', 'hashes'],
+    handler: (api, blockHash, hashes) => {
+      const block = api.blockchain.getBlockByHash(requireString(blockHash, 'blockHash'));
+      if (!block) return null;
+      if (!Array.isArray(hashes) || hashes.length === 0) {
+        throw new RpcError(RpcErrorCode.INVALID_PARAMS, 'hashes must be a non-empty array of transaction hashes');
+      }
+      const included = new Set(block.transactions.map((tx) => tx.hash));
+      const missing = hashes.filter((hash) => !included.has(hash));
+      if (missing.length > 0) {
+        throw new RpcError(RpcErrorCode.INVALID_PARAMS, `${missing.length} transactions are not in block ${blockHash}`, { missing });
+      }
+      return api.blockchain.getMultiProof(blockHash, hashes);
+    }
+  },
+  tx_verifyInclusion: {
+    params: ['hash', 'blockHash'],
+    handler: (api, hash, blockHash) =>
+      api.blockchain.verifyTransactionInclusion(requireString(hash, 'hash'), requireString(blockHash, 'blockHash'))
+  },
+  account_getBalance: {
+    params: ['address'],
+    handler: (api, address) => api.blockchain.getBalanceOfAddress(requireString(address, 'address'))
+  },
+  account_getNonce: {
+    params: ['address'],
+    handler: (api, address) => api.blockchain.getNextNonce(requireString(address, 'address'))
+  },
+  mempool_list: {
+    params: [],
+    handler: (api) => api.blockchain.pendingTransactions
+  },
+  miner_getStatus: {
+    params: [],
+    handler: (api) => ({
+      mining: api.blockchain.miner.isMining(),
+      threads: api.blockchain.miner.threads,
+      hashrate: api.blockchain.miner.getHashrate()
+    })
+  },
+  miner_getBlockTemplate: {
+    params: ['rewardAddress'],
+    handler: (api, rewardAddress = api.blockchain.getMinerAddress()) =>
+      formatBlockTemplate(api.blockchain.createBlockTemplate(requireString(rewardAddress, 'rewardAddress')))
+  },
+  miner_submitBlock: {
+    params: ['block'],
+    handler: async(api, body) => {
+      let block;
+      try {
+        block = parseBlock(body);
+      } catch (error) {
+        throw new RpcError(RpcErrorCode.INVALID_PARAMS, error.message);
+      }
+      const result = await api.submitBlock(block);
+      if (result.status === 'rejected') {
+        throw new RpcError(RpcErrorCode.SERVER_ERROR, result.reason, { hash: result.hash, rule: result.code });
+      }
+      return result;
+    }
+  },
+  miner_mine: {
+    params: ['rewardAddress'],
+    handler: async(api, rewardAddress = api.blockchain.getMinerAddress()) => {
+      let block;
+      try {
+        block = await api.mine(requireString(rewardAddress, 'rewardAddress'));
+      } catch (error) {
+        if (!(error instanceof MiningError)) throw error;
+        throw new RpcError(RpcErrorCode.SERVER_ERROR, error.message, { reason: error.code });
+      }
+      return block || null;
+    }
+  }
+};
+
+/**
+ * Executes a single JSON-RPC request object.
+ * @param {ApiServer} api - Server giving access to the blockchain
+ * @param {*} request - Decoded request object
+ * @returns {Promise<object|null>} - Response object, or null for notifications
+ */
+async function handleCall(api, request) {
+  const id = request && typeof request === 'object' && 'id' in request ? request.id : null;
+  const isNotification = request && typeof request === 'object' && !('id' in request);
+
+  try {
+    if (!request || typeof request !== 'object' || Array.isArray(request) ||
+        request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      throw new RpcError(RpcErrorCode.INVALID_REQUEST, 'Invalid Request');
+    }
+    if (!Object.prototype.hasOwnProperty.call(methods, request.method)) {
+      throw new RpcError(RpcErrorCode.METHOD_NOT_FOUND, `Method ${request.method} not found`);
+    }
+
+    const method = methods[request.method];
+    let args;
+    if (request.params === undefined) {
+      args = [];
+    } else if (Array.isArray(request.params)) {
+      args = request.params;
+    } else if (request.params && typeof request.params === 'object') {
+      args = method.params.map((name) => request.params[name]); // Named parameters
+    } else {
+      throw new RpcError(RpcErrorCode.INVALID_PARAMS, 'params must be an array or an object');
+    }
+
+    const result = await method.handler(api, ...args);
+    if (isNotification) return null;
+    return { jsonrpc: '2.0', result: result === undefined ? null : result, id };
+  } catch (error) {
+    if (isNotification) return null;
+    if (error instanceof RpcError) {
+      return { jsonrpc: '2.0', error, id };
+    }
+    if (error instanceof ApiError) {
+      return { jsonrpc: '2.0', error: new RpcError(RpcErrorCode.INVALID_PARAMS, error.message, error.details), id };
+    }
+    console.error(`Unexpected error in RPC method ${request.method}:`, error);
+    return { jsonrpc: '2.0', error: new RpcError(RpcErrorCode.INTERNAL_ERROR, 'Internal error'), id };
+  }
+}
+
+/**
+ * Executes a JSON-RPC 2.0 payload, either a single request or a batch.
+ * @param {ApiServer} api - Server giving access to the blockchain
+ * @param {string} raw - Raw request body
+ * @returns {Promise<object|object[]|null>} - Response(s), or null when there is nothing to answer
+ */
+async function handleRpc(api, raw) {
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (error) {
+    return { jsonrpc: '2.0', error: new RpcError(RpcErrorCode.PARSE_ERROR, 'Parse error'), id: null };
+  }
+
+  if (!Array.isArray(payload)) {
+    return handleCall(api, payload);
+  }
+  if (payload.length === 0) {
+    return { jsonrpc: '2.0', error: new RpcError(RpcErrorCode.INVALID_REQUEST, 'Invalid Request'), id: null };
+  }
+
+  const responses = [];
+  for (const request of payload) {
+    const response = await handleCall(api, request);
+    if (response) responses.push(response);
+  }
+  return responses.length > 0 ? responses : null;
+}
+
+module.exports = { handleRpc, RpcError, RpcErrorCode, methods };
@@ -0,0 +1,170 @@
+'use strict';
+
+const http = require('http');
+const { ApiError } = require('./errors');
+const { matchRoute } = require('./rest');
+const { handleRpc } = require('./rpc');
+const { SubscriptionServer } = require('./subscriptions');
+
+const MAX_BODY_SIZE = 1024 * 1024; // Largest accepted request body in bytes
+
+class ApiServer {
+  /**
+   * HTTP server exposing the blockchain to programmatic clients: REST routes, a JSON-RPC
+   * endpoint on /rpc and WebSocket event subscriptions on /ws.
+   * @param {Blockchain} blockchain - Blockchain served by the API
+   * @param {object} [options]
+   * @param {number} [options.port=3000] - Port to listen on, 0 picks a free port
+   * @param {string} [options.host='0.0.0.0'] - Interface to listen on
+   * @param {P2PNode} [options.node] - Network node used to gossip submitted transactions and mined blocks
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.node = options.node || null;
+    this.port = options.port !== undefined ? options.port : 3000;
+    this.host = options.host || '0.0.0.0';
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.subscriptions = new SubscriptionServer(blockchain);
+    this.subscriptions.attach(this.server, '/ws');
+  }
+
+  /**
+   * Starts listening for requests.
+   * @returns {Promise<void>} - Resolves once the server is listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`API server listening on port ${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops accepting requests and closes the server.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.subscriptions.close();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  // Add a transaction to the pending pool, gossiping it when a network node is attached
+  async submitTransaction(transaction) {
+    if (this.node) {
+      return this.node.submitTransaction(transaction);
+    }
+    return this.blockchain.addTransaction(transaction);
+  }
+
+  // Mine the pending transactions, gossiping the block when a network node is attached
+  async mine(rewardAddress) {
+    if (this.node) {
+      return this.node.mine(rewardAddress);
+    }
+    return this.blockchain.minePendingTransactions(rewardAddress);
+  }
+
+  // Add a block mined by an external miner, gossiping it when it became the tip and a network node is attached
+  async submitBlock(block) {
+    const result = await this.blockchain.submitBlock(block);
+    if (result.status === 'accepted' && this.node) {
+      this.node.broadcastBlock(block);
+    }
+    return result;
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/rpc') {
+        return await this.handleRpcRequest(req, res);
+      }
+
+      const route = matchRoute(req.method, url.pathname);
+      if (!route) {
+        throw ApiError.notFound(`No route for ${req.method} ${url.pathname}`);
+      }
+
+      const body = req.method === 'POST' ? this.parseJson(await this.readBody(req)) : null;
+      const result = await route.handler(this, route.params, url.searchParams, body);
+      this.sendJson(res, route.status, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this.sendJson(res, error.status, error);
+      } else {
+        console.error('Unexpected API error:', error);
+        this.sendJson(res, 500, new ApiError(500, 'internal_error', 'Internal server error'));
+      }
+    }
+  }
+
+  // JSON-RPC 2.0 endpoint, errors are reported inside the JSON-RPC response
+  async handleRpcRequest(req, res) {
+    if (req.method !== 'POST') {
+      throw new ApiError(405, 'method_not_allowed', 'JSON-RPC requests must use POST');
+    }
+    const response = await handleRpc(this, await this.readBody(req));
+    if (response === null) {
+      res.writeHead(204); // Only notifications, nothing to answer
+      res.end();
+      return;
+    }
+    this.sendJson(res, 200, response);
+  }
+
+  /**
+   * Parses a JSON request body.
+   * @param {string} raw - Raw request body
+   * @returns {object|null} - Parsed body, or null when the body is empty
+   * @throws {ApiError} - If the body is not valid JSON
+   */
+  parseJson(raw) {
+    if (raw.trim() === '') return null;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new ApiError(400, 'invalid_json', 'Request body is not valid JSON');
+    }
+  }
+
+  /**
+   * Reads a request body.
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {Promise<string>} - Raw body
+   * @throws {ApiError} - If the body is too large
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          // Discard the rest of the body: destroying the request would reset the connection before the 413 is sent
+          req.removeAllListeners('data');
+          req.resume();
+          reject(new ApiError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_SIZE} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+}
+
+module.exports = { ApiServer, MAX_BODY_SIZE };
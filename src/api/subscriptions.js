@@ -0,0 +1,182 @@
+'use strict';
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { BlockchainEvent } = require('../blockchain');
+
+/**
+ * Checks whether an event concerns one of the given addresses.
+ * @param {string} event - One of BlockchainEvent
+ * @param {Array} args - Arguments the event was emitted with
+ * @param {Set<string>} addresses - Addresses the subscriber is interested in
+ * @returns {boolean} - True if the event should be delivered
+ */
+function matchesAddresses(event, args, addresses) {
+  const involves = (tx) => addresses.has(tx.fromAddress) || addresses.has(tx.toAddress);
+  switch (event) {
+  case BlockchainEvent.BLOCK_MINED:
+    return args[0].transactions.some(involves);
+  case BlockchainEvent.TRANSACTION_ADDED:
+  case BlockchainEvent.TRANSACTION_EVICTED:
+    return involves(args[0]);
+  case BlockchainEvent.BALANCE_CHANGED:
+    return addresses.has(args[0]);
+  default:
+    return true; // Reorganisations and mining progress concern everybody
+  }
+}
+
+/**
+ * Converts the arguments of a blockchain event to the `data` sent to subscribers.
+ * @param {string} event - One of BlockchainEvent
+ * @param {Array} args - Arguments the event was emitted with
+ * @returns {object} - JSON friendly event data
+ */
+function formatEvent(event, args) {
+  switch (event) {
+  case BlockchainEvent.BLOCK_MINED:
+    return { block: args[0] };
+  case BlockchainEvent.TRANSACTION_ADDED:
+    return { transaction: args[0] };
+  case BlockchainEvent.TRANSACTION_EVICTED:
+    return { transaction: args[0], reason: args[1] };
+  case BlockchainEvent.BALANCE_CHANGED:
+    return { address: args[0], balance: args[1] };
+  case BlockchainEvent.MINING_PROGRESS:
+    return args[0];
+  case BlockchainEvent.REORG: {
+    const { forkIndex, orphaned, connected } = args[0];
+    return {
+      forkIndex,
+      orphaned: orphaned.map((block) => block.hash),
+      connected: connected.map((block) => block.hash)
+    };
+  }
+  }
+}
+
+class SubscriptionServer {
+  /**
+   * Pushes blockchain events to WebSocket clients.
+   *
+   * Clients send `{ "action": "subscribe", "id": 1, "event": "balanceChanged", "addresses": ["..."] }`
+   * and receive `{ "type": "subscribed", "id": 1, "subscription": "<id>" }`, followed by
+   * `{ "type": "event", "subscription": "<id>", "event": "balanceChanged", "data": { ... } }` messages.
+   * `addresses` is optional; without it every event of that kind is delivered.
+   * `{ "action": "unsubscribe", "id": 2, "subscription": "<id>" }` stops a subscription.
+   * @param {Blockchain} blockchain - Blockchain whose events are published
+   */
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.subscriptions = new Map(); // Subscription id -> { socket, event, addresses }
+    this.listeners = {}; // Blockchain listeners, kept to remove them on close
+
+    for (const event of Object.values(BlockchainEvent)) {
+      this.listeners[event] = (...args) => this.publish(event, args);
+      this.blockchain.on(event, this.listeners[event]);
+    }
+
+    this.wss.on('connection', (socket) => {
+      socket.on('message', (raw) => this.handleMessage(socket, raw));
+      socket.on('close', () => this.removeSocket(socket));
+    });
+  }
+
+  /**
+   * Accepts WebSocket upgrades on the given path of an HTTP server.
+   * @param {http.Server} server - HTTP server to attach to
+   * @param {string} [path='/ws'] - URL path of the subscription endpoint
+   */
+  attach(server, path = '/ws') {
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== path) {
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req));
+    });
+  }
+
+  /**
+   * Disconnects every client and stops listening to the blockchain.
+   * @returns {Promise<void>}
+   */
+  close() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.blockchain.removeListener(event, listener);
+    }
+    for (const client of this.wss.clients) {
+      client.terminate();
+    }
+    this.subscriptions.clear();
+    return new Promise((resolve) => this.wss.close(() => resolve()));
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.send(socket, { type: 'error', message: 'Message is not valid JSON' });
+      return;
+    }
+    const id = message && message.id !== undefined ? message.id : null;
+
+    if (message && message.action === 'subscribe') {
+      if (!Object.values(BlockchainEvent).includes(message.event)) {
+        this.send(socket, { type: 'error', id, message: `Unknown event ${message.event}` });
+        return;
+      }
+      if (message.addresses !== undefined &&
+          (!Array.isArray(message.addresses) || !message.addresses.every((address) => typeof address === 'string'))) {
+        this.send(socket, { type: 'error', id, message: 'addresses must be an array of strings' });
+        return;
+      }
+
+      const subscription = crypto.randomUUID();
+      this.subscriptions.set(subscription, {
+        socket,
+        event: message.event,
+        addresses: message.addresses ? new Set(message.addresses) : null
+      });
+      this.send(socket, { type: 'subscribed', id, subscription });
+    } else if (message && message.action === 'unsubscribe') {
+      const entry = this.subscriptions.get(message.subscription);
+      if (!entry || entry.socket !== socket) {
+        this.send(socket, { type: 'error', id, message: `Unknown subscription ${message.subscription}` });
+        return;
+      }
+      this.subscriptions.delete(message.subscription);
+      this.send(socket, { type: 'unsubscribed', id, subscription: message.subscription });
+    } else {
+      this.send(socket, { type: 'error', id, message: 'action must be subscribe or unsubscribe' });
+    }
+  }
+
+  removeSocket(socket) {
+    for (const [subscription, entry] of this.subscriptions) {
+      if (entry.socket === socket) this.subscriptions.delete(subscription);
+    }
+  }
+
+  publish(event, args) {
+    let data = null; // Formatted lazily, only when somebody listens
+    for (const [subscription, entry] of this.subscriptions) {
+      if (entry.event !== event) continue;
+      if (entry.addresses && !matchesAddresses(event, args, entry.addresses)) continue;
+
+      data = data || formatEvent(event, args);
+      this.send(entry.socket, { type: 'event', subscription, event, data });
+    }
+  }
+}
+
+module.exports = { SubscriptionServer };
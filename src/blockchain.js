@@ -1,43 +1,47 @@
 'use strict';
 
 const crypto = require('crypto'); // Required for creating cryptographic hashes
+const EventEmitter = require('events'); // Required for notifying listeners of chain changes
 const EC = require('elliptic').ec; // Required for elliptic curve cryptography
-const db = require('./db'); // Database module for interacting with the database
-const { Node, MerkleTree } = require('./merkleTree'); // Importing MerkleTree and Node classes
-const { acquireLock, releaseLock } = require('./lock'); // Assume lock.js handles locking mechanisms
+const { getStorage } = require('./storage'); // Configured storage backend (MySQL, SQLite or memory)
+const { getRedisClient } = require('./redis'); // Shared Redis client, null when Redis is disabled
+const { Node, MerkleTree, MerkleMode } = require('./merkleTree'); // Importing MerkleTree and Node classes
+const { acquireLock, releaseLock, checkFencingToken } = require('./lock'); // Locks shared by the processes using the same Redis
+const { LedgerState } = require('./state'); // Balances and nonces derived from the confirmed blocks
+const { StateTree } = require('./stateTree'); // Sparse Merkle tree behind the state root of blocks
+const { getChainSpec } = require('./chainSpec'); // Parameters of the configured network
+const { MonetaryPolicy } = require('./monetaryPolicy'); // Block rewards allowed by the chain spec
+const { Mempool } = require('./mempool'); // Admission, limits and eviction of the pending transactions
+const { Miner } = require('./miner'); // Proof-of-work search in worker threads
+const consensus = require('./consensus'); // Rules every block must follow to join the block tree
+const config = require('./config'); // Node configuration, e.g. the mempool limits and mining threads
 
 const ec = new EC('secp256k1'); // Initialize the elliptic curve for cryptography
 
-const redis = require('redis');
-const client = redis.createClient();
-
-client.on('error', (err) => {
-  console.error('Redis Client Error', err);
-});
-
-client.connect();
-
 class Transaction {
-  constructor(fromAddress, toAddress, amount, timestamp = Date.now(), signature = null, blockHash = '') {
+  constructor(fromAddress, toAddress, amount, timestamp = Date.now(), signature = null, blockHash = '', nonce = 0, fee = 0) {
     this.fromAddress = fromAddress; // Address sending the funds
     this.toAddress = toAddress; // Address receiving the funds
     this.amount = amount; // Amount of funds being transferred
     this.timestamp = timestamp; // Timestamp of when the transaction was created
+    this.nonce = nonce; // Sequence number of this transaction for the sender (replay protection)
+    this.fee = fee; // Fee paid by the sender to the miner that includes this transaction
     this.signature = signature; // Digital signature for transaction validation
     this.blockHash = blockHash; // Hash of the block this transaction is included in (if any)
     this.hash = this.calculateHash(); // Calculate the transaction hash
   }
 
-  // Calculate the hash of the transaction
+  // Calculate the hash of the transaction, its fields encoded as a JSON array so no two field sets hash the same
   calculateHash() {
     return crypto.createHash('sha256')
-      .update(this.fromAddress + this.toAddress + this.amount + this.timestamp)
+      .update(JSON.stringify([this.fromAddress, this.toAddress, this.amount, this.timestamp, this.nonce, this.fee]))
       .digest('hex');
   }
 
   // Sign the transaction using the provided key pair
   sign(keyPair) {
     const hashTx = this.calculateHash(); // Get the hash of the transaction
+    this.hash = hashTx; // Keep the stored hash in sync with the signed payload
 
     // Allow signing if no sender address is specified (e.g., for reward transactions)
   if (this.fromAddress && keyPair.getPublic('hex') !== this.fromAddress) {
@@ -63,36 +67,41 @@ class Transaction {
     }
   }
 
-  // Save the transaction to the database
-  save() {
-    return new Promise((resolve, reject) => {
-      const query = 'INSERT INTO transactions (hash, from_address, to_address, amount, timestamp, signature, block_hash) VALUES (?, ?, ?, ?, ?, ?, ?)';
-      const values = [this.hash, this.fromAddress, this.toAddress, this.amount, this.timestamp, this.signature, this.blockHash];
-      db.query(query, values, (err, results) => {
-        if (err) {
-          return reject(err); // If there is an error, reject the promise
-        }
-        resolve(results); // Resolve with the database result
-      });
+  // Save the transaction to the database, `position` is its place in the block
+  save(position = 0, storage = getStorage()) {
+    return storage.saveTransaction({
+      hash: this.hash,
+      blockHash: this.blockHash,
+      position,
+      fromAddress: this.fromAddress,
+      toAddress: this.toAddress,
+      amount: this.amount,
+      fee: this.fee,
+      nonce: this.nonce,
+      timestamp: this.timestamp,
+      signature: this.signature
     });
   }
 
+  // Rebuild a transaction from its JSON representation (e.g. received from a peer).
+  // The hash is recomputed from the fields unless `keepHash` is set, which storage reads use so that
+  // a row altered after it was written fails validation instead of being given a matching hash.
+  static fromJSON(data, { keepHash = false } = {}) {
+    const tx = new Transaction(data.fromAddress, data.toAddress, data.amount, data.timestamp, data.signature, data.blockHash || '', data.nonce || 0, data.fee || 0);
+    if (keepHash) tx.hash = data.hash;
+    return tx;
+  }
+
+  // Size of the transaction in bytes, serialised as in the block hash (without its block hash)
+  getSize() {
+    const { blockHash, ...txWithoutBlockHash } = this;
+    return Buffer.byteLength(JSON.stringify(txWithoutBlockHash));
+  }
+
   // Load a transaction from the database
-  static async load(hash) {
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM transactions WHERE hash = ?';
-      db.query(query, [hash], (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        if (results.length > 0) {
-          const txData = results[0]; // Get the transaction data from the result
-          const tx = new Transaction(txData.from_address, txData.to_address, txData.amount, txData.timestamp, txData.signature, txData.block_hash);
-          tx.hash = txData.hash; // Set the hash
-          resolve(tx); // Resolve with the transaction object
-        } else {
-          resolve(null); // If no results found, resolve with null
-        }
-      });
-    });
+  static async load(hash, storage = getStorage()) {
+    const txData = await storage.getTransaction(hash);
+    return txData ? Transaction.fromJSON(txData, { keepHash: true }) : null; // Null if no transaction was found
   }
 
   // Add Solana-specific transaction handling
@@ -113,144 +122,110 @@ class Transaction {
     }
   }
   
-  async savePending() {
-    const query = 'INSERT INTO pending_transactions (hash, from_address, to_address, amount, timestamp, signature) VALUES (?, ?, ?, ?, ?, ?)';
-    const values = [this.calculateHash(), this.fromAddress, this.toAddress, this.amount, this.timestamp, this.signature];
-
-    console.log(`Saving transaction with hash: ${values[0]}`);
-    console.log(`Data to be saved: ${JSON.stringify({
-      hash: values[0],
-      fromAddress: values[1],
-      toAddress: values[2],
-      amount: values[3],
-      timestamp: values[4],
-      signature: values[5]
-    })}`);
-
-    return new Promise((resolve, reject) => {
-      db.query(query, values, (err) => {
-        if (err) {
-          console.error('Error saving transaction:', err);
-          reject(err);
-        } else {
-          console.log('Transaction saved successfully');
-          resolve();
-        }
-      });
-    });
-  }
-
-  // Load all pending transactions
-  static async loadPendingTransactions() {
-    console.log('Loading pending transactions from the database...');
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM pending_transactions';
-
-      db.query(query, (err, results) => {
-        if (err) {
-          console.error('Error loading pending transactions:', err);
-          return reject(err);
-        }
-  
-        console.log(`Retrieved ${results.length} pending transactions`);
-        
-        const transactions = results.map(txData => {
-          const tx = new Transaction(txData.from_address, txData.to_address, txData.amount, txData.timestamp, txData.signature);
-          tx.hash = txData.hash;
-          return tx;
-        });
-  
-        console.log('Loaded transactions:', transactions.map(tx => ({
-          hash: tx.hash,
-          fromAddress: tx.fromAddress,
-          toAddress: tx.toAddress,
-          amount: tx.amount,
-          timestamp: tx.timestamp,
-          signature: tx.signature
-        })));
-  
-        resolve(transactions);
-      });
-    });
-  }
-
-  // Verify that the pending transactions are saved in the database
-  static async verifyPendingTransactions() {
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM pending_transactions';
-      db.query(query, (err, results) => {
-        if (err) return reject(err);
-        const transactions = results.map(txData => {
-          const tx = new Transaction(txData.from_address, txData.to_address, txData.amount, txData.timestamp, txData.signature);
-          tx.hash = txData.hash; // Ensure hash is set here
-          return tx;
-        });
-        console.log('Pending Transactions:', transactions);
-        resolve(transactions);
-      });
-    });
-  }
-  // Save the transaction to Redis as pending
-  async savePendingToRedis() {
-    const transactionData = {
+  // Save the transaction to the pending pool of the database
+  async savePending(storage = getStorage()) {
+    const data = {
+      hash: this.hash,
       fromAddress: this.fromAddress,
       toAddress: this.toAddress,
       amount: this.amount,
+      fee: this.fee,
+      nonce: this.nonce,
       timestamp: this.timestamp,
       signature: this.signature
     };
 
-    await client.hSet('pending_transactions', this.hash, JSON.stringify(transactionData));
-    console.log('Transaction saved to Redis:', this.hash);
+    console.log(`Saving transaction with hash: ${data.hash}`);
+    try {
+      await storage.addPendingTransaction(data);
+    } catch (err) {
+      console.error('Error saving transaction:', err);
+      throw err;
+    }
+    console.log('Transaction saved successfully');
   }
 
-  // Load all pending transactions from Redis
-  static async loadPendingTransactionsFromRedis() {
-    const transactions = await client.hGetAll('pending_transactions');
-    const transactionObjects = [];
-
-    for (const [hash, data] of Object.entries(transactions)) {
-      const txData = JSON.parse(data);
-      const tx = new Transaction(txData.fromAddress, txData.toAddress, txData.amount, txData.timestamp, txData.signature);
-      tx.hash = hash;
-      transactionObjects.push(tx);
-    }
+  // Load all pending transactions
+  static async loadPendingTransactions(storage = getStorage()) {
+    console.log('Loading pending transactions from the database...');
+    const results = await storage.getPendingTransactions();
+    console.log(`Retrieved ${results.length} pending transactions`);
+    return results.map((txData) => Transaction.fromJSON(txData, { keepHash: true }));
+  }
 
-    console.log('Loaded transactions from Redis:', transactionObjects);
-    return transactionObjects;
+  // Verify that the pending transactions are saved in the database
+  static async verifyPendingTransactions() {
+    const transactions = (await getStorage().getPendingTransactions()).map((txData) => Transaction.fromJSON(txData, { keepHash: true }));
+    console.log('Pending Transactions:', transactions);
+    return transactions;
   }
 
-  // Remove a transaction from Redis
-  static async removePendingTransactionFromRedis(hash) {
-    await client.hDel('pending_transactions', hash);
-    console.log('Transaction removed from Redis:', hash);
+  // Remove a transaction from the pending pool of the database
+  static async removePendingTransaction(hash, storage = getStorage()) {
+    await storage.removePendingTransaction(hash);
   }
 }
 
+// Format of every block version. The chain spec decides from which height a version is used.
+const BLOCK_VERSIONS = Object.freeze({
+  1: { merkleMode: MerkleMode.LEGACY, stateRoot: false }, // Bitcoin-style transaction tree
+  2: { merkleMode: MerkleMode.RFC6962, stateRoot: false }, // Domain-separated tree without duplicated leaves
+  3: { merkleMode: MerkleMode.RFC6962, stateRoot: true } // Also commits to the account state in its header
+});
+
 class Block {
-  constructor(index, previousHash, timestamp, transactions, difficulty) {
+  constructor(index, previousHash, timestamp, transactions, difficulty, version = 1, stateRoot = null) {
     this.index = index; // Block index in the blockchain
     this.previousHash = previousHash; // Hash of the previous block
     this.timestamp = timestamp; // Timestamp of when the block was created
     this.transactions = transactions; // Array of transactions in this block
     this.difficulty = difficulty; // Mining difficulty for this block
+    this.version = version; // Block format version, selects the Merkle tree construction
+    this.stateRoot = stateRoot; // Root of the state tree once the block is applied, null before version 3
     this.merkleRoot = this.calculateMerkleRoot(); // Root hash of the Merkle tree
     this.nonce = 0; // Nonce for mining (initially set to 0)
     this.hash = this.calculateHash(); // Calculate the block hash
   }
 
+  // Whether a block version is known to this node
+  static isSupportedVersion(version) {
+    return Object.prototype.hasOwnProperty.call(BLOCK_VERSIONS, version);
+  }
+
+  // Whether blocks of a version commit to the account state
+  static hasStateRoot(version) {
+    return Block.isSupportedVersion(version) && BLOCK_VERSIONS[version].stateRoot;
+  }
+
+  // Merkle tree construction used by this block's version
+  getMerkleMode() {
+    if (!Block.isSupportedVersion(this.version)) {
+      throw new Error(`Unsupported block version ${this.version}`);
+    }
+    return BLOCK_VERSIONS[this.version].merkleMode;
+  }
+
+  // Leaf of the block's Merkle tree holding a transaction
+  getMerkleLeaf(transactionHash) {
+    return Node.hashLeaf(transactionHash, this.getMerkleMode());
+  }
+
+  // Build the Merkle tree of the block's transactions
+  buildMerkleTree() {
+    return new MerkleTree(this.transactions.map((tx) => tx.hash), this.getMerkleMode());
+  }
+
   // Calculate the Merkle root for the transactions in the block
   calculateMerkleRoot() {
     if (this.transactions.length === 0) {
       return "0".repeat(64); // Return a default hash if there are no transactions
     }
-    const hashes = this.transactions.map((tx) => tx.hash); // Get hashes of all transactions
-    const merkleTree = new MerkleTree(hashes); // Create a Merkle tree with the transaction hashes
-    return merkleTree.getRootHash(); // Get the root hash of the Merkle tree
+    return this.buildMerkleTree().getRootHash(); // Get the root hash of the Merkle tree
   }
 
-  // Calculate the hash of the block
-  calculateHash() {
+  // Data the block hash is computed from: the hash covers prefix + nonce + suffix, so mining threads
+  // only need these two strings to search for a nonce
+  getHashingData() {
     const transactionsData = JSON.stringify(
       this.transactions.map((tx) => {
         const { blockHash, ...txWithoutBlockHash } = tx; // Exclude blockHash from transaction data
@@ -258,15 +233,22 @@ class Block {
       })
     );
 
+    return {
+      prefix: (this.version > 1 ? this.version : "") + // Version 1 blocks keep the hashes they were mined with
+        this.previousHash +
+        this.timestamp +
+        this.merkleRoot +
+        (this.stateRoot || ""),
+      suffix: transactionsData
+    };
+  }
+
+  // Calculate the hash of the block
+  calculateHash() {
+    const { prefix, suffix } = this.getHashingData();
     return crypto
       .createHash("sha256")
-      .update(
-        this.previousHash +
-          this.timestamp +
-          this.merkleRoot +
-          this.nonce +
-          transactionsData
-      )
+      .update(prefix + this.nonce + suffix)
       .digest("hex");
   }
 
@@ -280,6 +262,11 @@ class Block {
     }
   }
 
+  // Check that the block hash satisfies the difficulty the block was mined with
+  hasValidProofOfWork() {
+    return this.hash.substring(0, this.difficulty) === "0".repeat(this.difficulty);
+  }
+
   // Check if all transactions in the block are valid
   hasValidTransactions() {
     for (const tx of this.transactions) {
@@ -291,166 +278,218 @@ class Block {
     return true; // All transactions are valid
   }
 
-  // Save the block to the database
-  async save() {
-    const query =
-      "INSERT INTO blocks (hash, previous_hash, timestamp, nonce, difficulty, merkle_root, `index`) VALUES (?, ?, ?, ?, ?, ?, ?)";
-    const values = [
-      this.hash,
-      this.previousHash,
-      this.timestamp,
-      this.nonce,
-      this.difficulty,
-      this.merkleRoot,
-      this.index,
-    ];
-    return new Promise((resolve, reject) => {
-      db.query(query, values, async (err, results) => {
-        if (err) {
-          return reject(err);
-        }
-        try {
-          for (const tx of this.transactions) {
-            tx.blockHash = this.hash;
-            await tx.save();
-          }
-
-          const merkleTree = new MerkleTree(
-            this.transactions.map((tx) => tx.hash)
-          );
-          await merkleTree.saveNodesToDatabase(this.hash);
-
-          // Store Merkle proofs
-          for (const tx of this.transactions) {
-            const proof = merkleTree.getProof(tx.hash);
-            await this.saveMerkleProof(tx.hash, proof);
-          }
-
-          resolve(results);
-        } catch (saveErr) {
-          reject(saveErr);
-        }
-      });
-    });
+  // Size of the block's transactions in bytes, counted against the block size limit
+  getSize() {
+    return this.transactions.reduce((size, tx) => size + tx.getSize(), 0);
   }
 
-  async saveMerkleProof(transactionHash, proof) {
-    const query =
-      "INSERT INTO merkle_proof_paths (block_hash, transaction_hash, proof_path) VALUES (?, ?, ?)";
-    const values = [this.hash, transactionHash, JSON.stringify(proof)];
-    return new Promise((resolve, reject) => {
-      db.query(query, values, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+  // Rebuild a block and its transactions from their JSON representation (e.g. received from a peer),
+  // see Transaction.fromJSON() for `options`
+  static fromJSON(data, options = {}) {
+    const transactions = data.transactions.map((tx) => Transaction.fromJSON(tx, options));
+    const block = new Block(
+      data.index, data.previousHash, data.timestamp, transactions, data.difficulty, data.version || 1, data.stateRoot || null
+    );
+    block.merkleRoot = data.merkleRoot;
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+    return block;
   }
 
-  // Load a block from the database
-  static async load(hash) {
-    const query = "SELECT * FROM blocks WHERE hash = ?";
-    return new Promise((resolve, reject) => {
-      db.query(query, [hash], async (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        if (results.length > 0) {
-          const result = results[0]; // Get the block data from the result
-          const block = new Block(
-            result.index,
-            result.previous_hash,
-            result.timestamp,
-            [],
-            result.difficulty
-          );
-          block.hash = result.hash; // Set the block hash
-          block.nonce = result.nonce; // Set the nonce
-          block.merkleRoot = result.merkle_root; // Set the Merkle root
-
-          // Load transactions for the block
-          const txQuery = "SELECT hash FROM transactions WHERE block_hash = ?";
-          db.query(txQuery, [block.hash], async (err, txResults) => {
-            if (err) return reject(err); // If there is an error, reject the promise
-            for (const tx of txResults) {
-              const transaction = await Transaction.loadFromRedis(tx.hash) || await Transaction.load(tx.hash); // Load each transaction
-              if (transaction) {
-                if (!transaction.isValid()) {
-                  console.error(
-                    `Invalid transaction in block ${block.index}: ${tx.hash}`
-                  );
-                  return reject(
-                    new Error(`Invalid transaction in block ${block.index}`)
-                  );
-                }
-                block.transactions.push(transaction); // Add valid transactions to the block
-              }
-            }
-            // Validate the block's hash and Merkle root
-            if (block.hash !== block.calculateHash()) {
-              console.error(`Invalid block hash for block ${block.index}`);
-              return reject(
-                new Error(`Invalid block hash for block ${block.index}`)
-              );
-            }
-            if (block.merkleRoot !== block.calculateMerkleRoot()) {
-              console.error(`Invalid Merkle root for block ${block.index}`);
-              return reject(
-                new Error(`Invalid Merkle root for block ${block.index}`)
-              );
-            }
-            resolve(block); // Resolve with the block object
-          });
-        } else {
-          resolve(null); // If no results found, resolve with null
-        }
-      });
+  // Save the block, its transactions and their Merkle proofs to the database.
+  // Pass the storage of an open database transaction to make the whole write atomic.
+  async save(storage = getStorage()) {
+    await storage.saveBlock({
+      hash: this.hash,
+      previousHash: this.previousHash,
+      timestamp: this.timestamp,
+      nonce: this.nonce,
+      difficulty: this.difficulty,
+      merkleRoot: this.merkleRoot,
+      index: this.index,
+      version: this.version,
+      stateRoot: this.stateRoot
     });
+
+    for (const [position, tx] of this.transactions.entries()) {
+      tx.blockHash = this.hash;
+      await tx.save(position, storage);
+    }
+
+    const merkleTree = this.buildMerkleTree();
+    await merkleTree.saveNodesToDatabase(this.hash, storage);
+
+    // Store Merkle proofs
+    for (const [position, tx] of this.transactions.entries()) {
+      const proof = merkleTree.getProofByIndex(position); // Leaves are in the order of the transactions
+      await this.saveMerkleProof(tx.hash, proof, storage);
+    }
+  }
+
+  async saveMerkleProof(transactionHash, proof, storage = getStorage()) {
+    await storage.saveMerkleProof(this.hash, transactionHash, proof);
+  }
+
+  // Load a block and its transactions from the database
+  static async load(hash, storage = getStorage()) {
+    const result = await storage.getBlock(hash);
+    if (!result) {
+      return null; // If no block was found, resolve with null
+    }
+
+    const transactions = (await storage.getBlockTransactions(hash)).map((txData) => Transaction.fromJSON(txData, { keepHash: true }));
+    const block = Block.fromJSON({ ...result, transactions }, { keepHash: true });
+    for (const transaction of block.transactions) {
+      if (!transaction.isValid()) {
+        console.error(`Invalid transaction in block ${block.index}: ${transaction.hash}`);
+        throw new Error(`Invalid transaction in block ${block.index}`);
+      }
+    }
+
+    // Validate the block's hash and Merkle root
+    if (block.hash !== block.calculateHash()) {
+      console.error(`Invalid block hash for block ${block.index}`);
+      throw new Error(`Invalid block hash for block ${block.index}`);
+    }
+    if (block.merkleRoot !== block.calculateMerkleRoot()) {
+      console.error(`Invalid Merkle root for block ${block.index}`);
+      throw new Error(`Invalid Merkle root for block ${block.index}`);
+    }
+    return block;
   }
 }
 
-class Blockchain {
-  constructor() {
-    this.chain = []; // Start with the genesis block
-    this.difficulty = 0; // Initial difficulty (for mining)
-    this.pendingTransactions = []; // Transactions waiting to be mined
-    this.miningReward = 100; // Reward for mining a new block
-    this.transactionThreshold = 2; // Number of transactions required to mine a block
-    this.minerAddress = "miner-address"; // Set your miner address here
-    this.genesisAddress = "genesis-address"; 
+// Events emitted by Blockchain
+const BlockchainEvent = Object.freeze({
+  BLOCK_MINED: 'blockMined', // A block joined the main branch, mined locally or received from a peer: (block)
+  TRANSACTION_ADDED: 'transactionAdded', // A transaction was accepted into the pending pool: (transaction)
+  TRANSACTION_EVICTED: 'transactionEvicted', // A pending transaction was dropped without being mined: (transaction, reason), see src/mempool.js
+  REORG: 'reorg', // The main branch switched to another branch: ({ forkIndex, orphaned, connected })
+  MINING_PROGRESS: 'miningProgress', // Progress of the block being mined: ({ index, hashes, hashrate, elapsed })
+  BALANCE_CHANGED: 'balanceChanged' // The confirmed balance of an address changed: (address, balance)
+});
+
+// Why minePendingTransactions() mined no block, as the code of the MiningError it throws
+const MiningFailure = Object.freeze({
+  BUSY: 'busy', // Another miner holds the mining lock
+  CANCELLED: 'cancelled', // A competing block arrived while mining
+  FAILED: 'failed' // The block could not be built or saved
+});
+
+class MiningError extends Error {
+  // Failure to mine the pending transactions, `code` is one of MiningFailure
+  constructor(code, message) {
+    super(message);
+    this.name = 'MiningError';
+    this.code = code;
+  }
+}
+
+class Blockchain extends EventEmitter {
+  // Creates an empty blockchain, use Blockchain.load() to resume from storage or start a new chain.
+  // Options: chainSpec (defaults to the configured network, see src/chainSpec.js), storage (defaults
+  // to the configured backend; separate storages let several nodes share a process) and the
+  // difficulty, targetBlockTime and difficultyAdjustmentInterval overriding the chain spec, mempool
+  // overriding the configured limits of the pending pool (see src/mempool.js) and mining the configured
+  // mining threads (see src/miner.js).
+  constructor(options = {}) {
+    super();
+    const spec = options.chainSpec || getChainSpec();
+    this.chainSpec = spec; // Network parameters, identical on every node of the network
+    this.chainId = spec.chainId; // Identifies the network, peers of other networks are refused
+    this.storage = options.storage || getStorage(); // Where blocks and the pending pool are persisted
+    this.chain = []; // Main branch of the block tree, starting with the genesis block
+    this.blocks = new Map(); // Every known block (main branch and forks) indexed by hash
+    this.cumulativeWork = new Map(); // Block hash -> total work of the branch ending at that block
+    this.blockQueue = Promise.resolve(); // Settles once the blocks being added are, see addBlock()
+    this.initialDifficulty = options.difficulty !== undefined ? options.difficulty : spec.genesis.difficulty; // Difficulty of the genesis block
+    this.difficulty = this.initialDifficulty; // Current difficulty (for mining), retargeted as blocks are added
+    this.targetBlockTime = options.targetBlockTime || spec.targetBlockTime; // Desired time between blocks in milliseconds
+    this.difficultyAdjustmentInterval = options.difficultyAdjustmentInterval || spec.difficultyAdjustmentInterval; // Retarget every N blocks
+    this.monetaryPolicy = MonetaryPolicy.fromChainSpec(spec); // Block rewards: halving schedule and supply cap
+    this.transactionThreshold = spec.transactionThreshold; // Number of pending transactions that triggers mining in the CLI
+    this.blockLimits = spec.blockLimits; // Maximum transactions (besides the reward) and bytes per block
+    this.minerAddress = spec.minerAddress; // Default address receiving the mining rewards
+    this.state = new LedgerState(getRedisClient()); // Account state replayed from the chain, cached in Redis
+    this.mempool = new Mempool(this.storage, this.state, options.mempool || config.mempool); // Transactions waiting to be mined
+    this.miner = new Miner(options.mining || config.mining); // Searches the proof of work of new blocks
+    this.miner.on('progress', (progress) => this.emit(BlockchainEvent.MINING_PROGRESS, progress));
     console.log("Blockchain initialized with transaction threshold:", this.transactionThreshold);
 
-    // Initialize the blockchain with the genesis block
-    this.initializeGenesisBlock();
+    if (this.difficultyAdjustmentInterval < 2) {
+      throw new Error("Difficulty adjustment interval must be at least 2 blocks");
+    }
+    for (const { version } of spec.blockVersions) {
+      if (!Block.isSupportedVersion(version)) {
+        throw new Error(`Chain ${spec.chainId} uses block version ${version}, which this node does not support`);
+      }
+    }
+  }
+
+  // Transactions waiting to be mined, in order of arrival
+  get pendingTransactions() {
+    return this.mempool.getTransactions();
+  }
+
+  // Version of the block at `height`: the last entry of the chain spec's schedule activated at or below it
+  getBlockVersion(height = this.chain.length) {
+    let version = this.chainSpec.blockVersions[0].version;
+    for (const entry of this.chainSpec.blockVersions) {
+      if (entry.height <= height) version = entry.version;
+    }
+    return version;
+  }
 
+  // State root the block at `height` commits to once `transactions` are applied on top of `state`
+  // (the main branch by default), or null when blocks of that height carry no state root
+  computeStateRoot(height, transactions, state = this.state) {
+    if (!Block.hasStateRoot(this.getBlockVersion(height))) return null;
+    const next = state.clone();
+    for (const tx of transactions) {
+      next.applyTransaction(tx);
+    }
+    return next.getStateRoot();
   }
 
   // Create the first block of the blockchain (genesis block)
-  initializeGenesisBlock() {
-    console.log("Creating genesis block...");
-    this.createGenesisBlockWithReward("genesis-address", 1000000); // Adjust address and reward as needed
+  async initializeGenesisBlock() {
+    console.log(`Creating genesis block of chain ${this.chainId}...`);
+    await this.createGenesisBlockWithReward();
   }
 
-  // Create the genesis block with a reward transaction
-  async createGenesisBlockWithReward(genesisAddress, initialReward) {
-    const rewardTx = new Transaction(null, genesisAddress, initialReward); // Reward transaction
-    rewardTx.hash = rewardTx.calculateHash();
-    rewardTx.signature = null; // Reward transactions don't need a signature
+  // Build the genesis block with one reward transaction per allocation of the chain spec.
+  // Everything comes from the spec (timestamps included), so every node of the network builds the same block.
+  buildGenesisBlock() {
+    const { timestamp, allocations } = this.chainSpec.genesis;
+    const rewardTxs = allocations.map(({ address, amount }) => {
+      const rewardTx = new Transaction(null, address, amount, timestamp); // Reward transaction
+      rewardTx.signature = null; // Reward transactions don't need a signature
+      return rewardTx;
+    });
 
     const genesisBlock = new Block(
       0,
       "0",
-      Date.now(),
-      [rewardTx], // Include reward transaction in the genesis block
-      this.difficulty
+      timestamp,
+      rewardTxs, // Include the reward transactions in the genesis block
+      this.initialDifficulty,
+      this.getBlockVersion(0),
+      this.computeStateRoot(0, rewardTxs, new LedgerState())
     );
-    genesisBlock.mineBlock(this.difficulty);
-
-    this.chain.push(genesisBlock);
-
-    await genesisBlock.save(); // Save the block to the database
+    genesisBlock.mineBlock(genesisBlock.difficulty);
+    return genesisBlock;
+  }
 
-    // Update the balance of the genesis address
-    await this.updateWalletBalance(genesisAddress, initialReward);
+  // Create, save and connect the genesis block
+  async createGenesisBlockWithReward() {
+    const genesisBlock = this.buildGenesisBlock();
+    await this.saveBlock(genesisBlock); // Save the block to the database
+    const touched = this.connectBlock(genesisBlock); // Credit the genesis allocations
+    await this.state.writeCache(touched);
 
-    console.log(`Genesis block created with initial balance of ${initialReward} to address ${genesisAddress}`);
+    for (const { address, amount } of this.chainSpec.genesis.allocations) {
+      console.log(`Genesis block created with initial balance of ${amount} to address ${address}`);
+    }
   }
 
   // Get the latest block in the blockchain
@@ -458,134 +497,609 @@ class Blockchain {
     return this.chain[this.chain.length - 1];
   }
 
+  // Get any known block (main branch or fork) by its hash
+  getBlockByHash(hash) {
+    return this.blocks.get(hash) || null;
+  }
+
+  // Find a transaction in the main branch or in the pending pool
+  findTransaction(hash) {
+    for (let i = this.chain.length - 1; i >= 0; i--) {
+      const transaction = this.chain[i].transactions.find((tx) => tx.hash === hash);
+      if (transaction) {
+        return { transaction, block: this.chain[i], confirmations: this.chain.length - i };
+      }
+    }
+    const pending = this.mempool.get(hash);
+    return pending ? { transaction: pending, block: null, confirmations: 0 } : null;
+  }
+
+  // Get the confirmed and pending transactions sent or received by an address, newest first
+  getTransactionsOfAddress(address) {
+    const involves = (tx) => tx.fromAddress === address || tx.toAddress === address;
+    const transactions = this.pendingTransactions
+      .filter(involves)
+      .map((transaction) => ({ transaction, block: null, confirmations: 0 }));
+
+    for (let i = this.chain.length - 1; i >= 0; i--) {
+      for (const transaction of this.chain[i].transactions.filter(involves)) {
+        transactions.push({ transaction, block: this.chain[i], confirmations: this.chain.length - i });
+      }
+    }
+    return transactions;
+  }
+
+  // Get the stored Merkle proof of a transaction in a block, with the Merkle root it leads to
+  // and the tree construction (MerkleMode) of the block's version needed to verify it
+  async getTransactionProof(transactionHash, blockHash) {
+    const block = this.blocks.get(blockHash) || await this.storage.getBlock(blockHash);
+    if (!block) return null;
+    const entry = (await this.storage.getMerkleProofs(blockHash)).find((row) => row.transactionHash === transactionHash);
+    if (!entry) return null;
+    const merkleMode = BLOCK_VERSIONS[block.version || 1].merkleMode;
+    return { transactionHash, blockHash, merkleRoot: block.merkleRoot, merkleMode, proof: entry.proof };
+  }
+
+  // Check that a transaction is included in a block from the block's Merkle root and the stored proof alone,
+  // as a light client holding only block headers would
+  async verifyTransactionInclusion(transactionHash, blockHash) {
+    const proof = await this.getTransactionProof(transactionHash, blockHash);
+    return proof !== null &&
+      MerkleTree.verifyProof(Node.hashLeaf(transactionHash, proof.merkleMode), proof.proof, proof.merkleRoot, proof.merkleMode);
+  }
+
+  // Build one Merkle multiproof covering several transactions of a known block.
+  // The transaction hashes are returned in the order of the proof's leaf positions.
+  getMultiProof(blockHash, transactionHashes) {
+    const block = this.blocks.get(blockHash);
+    if (!block) {
+      throw new Error(`Block ${blockHash} not found`);
+    }
+    const proof = block.buildMerkleTree().getMultiProof(transactionHashes.map((hash) => block.getMerkleLeaf(hash)));
+    return {
+      blockHash,
+      merkleRoot: block.merkleRoot,
+      merkleMode: block.getMerkleMode(),
+      transactionHashes: proof.indices.map((index) => block.transactions[index].hash),
+      proof,
+      encoded: MerkleTree.serializeMultiProof(proof)
+    };
+  }
+
+  // Prove the confirmed balance and nonce of an address against the state root of the latest block
+  getBalanceProof(address) {
+    const block = this.getLatestBlock();
+    if (block.stateRoot === null) {
+      throw new Error(`Block ${block.index} of version ${block.version} does not commit to the account state`);
+    }
+    return {
+      address,
+      ...this.state.getAccount(address),
+      blockHash: block.hash,
+      blockIndex: block.index,
+      stateRoot: block.stateRoot,
+      proof: this.state.getAccountProof(address)
+    };
+  }
+
+  // Check a balance proof against the state root of a block header, as a light client holding only headers would
+  static verifyBalanceProof(balanceProof, stateRoot) {
+    const { address, balance, nonce, proof } = balanceProof;
+    return StateTree.verifyProof(address, { balance, nonce }, proof, stateRoot);
+  }
+
+  // Amount of work represented by a block, each leading zero multiplies the expected hashes by 16
+  static getBlockWork(block) {
+    return Math.pow(16, block.difficulty);
+  }
+
+  // Register a block in the block tree and record the cumulative work of its branch
+  indexBlock(block) {
+    const parentWork = this.cumulativeWork.get(block.previousHash) || 0;
+    this.blocks.set(block.hash, block);
+    this.cumulativeWork.set(block.hash, parentWork + Blockchain.getBlockWork(block));
+  }
+
+  // Remove a block that was rejected after being indexed
+  unindexBlock(block) {
+    this.blocks.delete(block.hash);
+    this.cumulativeWork.delete(block.hash);
+  }
+
+  // Save a block together with the pending pool changes it causes, in a single database transaction:
+  // either everything is written or, on any error, nothing is.
+  // A block mined under a lock passes the fencing token of the lock as `fence` ({ resource, token }): the
+  // storage refuses the write if an owner who acquired the lock later already wrote (see src/lock.js).
+  async saveBlock(block, { removePending = [], addPending = [], fence = null } = {}) {
+    await this.storage.transaction(async(storage) => {
+      if (fence) await storage.saveFencingToken(fence.resource, fence.token);
+      await block.save(storage);
+      for (const tx of removePending) {
+        await storage.removePendingTransaction(tx.hash);
+      }
+      for (const tx of addPending) {
+        await tx.savePending(storage);
+      }
+    });
+  }
+
+  emitBalanceChanges(addresses) {
+    for (const address of addresses) {
+      this.emit(BlockchainEvent.BALANCE_CHANGED, address, this.state.getBalance(address));
+    }
+  }
+
+  // Append a block on top of the main branch and apply it to the ledger state
+  connectBlock(block) {
+    this.indexBlock(block);
+    this.chain.push(block);
+    this.difficulty = block.difficulty;
+    return this.state.applyBlock(block);
+  }
+
+  // Get the difficulty the block at `index` must be mined with.
+  // Every `difficultyAdjustmentInterval` blocks the time taken by the previous interval is compared
+  // against `targetBlockTime`: much faster raises the difficulty by one, much slower lowers it by one.
+  getDifficultyForIndex(index, chain = this.chain) {
+    if (index === 0) return this.initialDifficulty;
+
+    const previousBlock = chain[index - 1];
+    if (index % this.difficultyAdjustmentInterval !== 0) {
+      return previousBlock.difficulty; // Not a retarget block, keep the previous difficulty
+    }
+
+    const firstBlock = chain[index - this.difficultyAdjustmentInterval];
+    const expectedTime = this.targetBlockTime * (this.difficultyAdjustmentInterval - 1);
+    const actualTime = previousBlock.timestamp - firstBlock.timestamp;
+
+    if (actualTime < expectedTime / 2) {
+      return previousBlock.difficulty + 1; // Blocks came in too fast
+    }
+    if (actualTime > expectedTime * 2) {
+      return Math.max(previousBlock.difficulty - 1, 0); // Blocks came in too slow
+    }
+    return previousBlock.difficulty;
+  }
+
+  // Credit an address by mining a block without transactions whose reward goes to it.
+  // The amount is minted like any block reward, so it cannot exceed the reward of the block.
   async addInitialBalance(address, amount) {
+    const reward = this.getMiningReward(this.chain.length);
+    if (amount > reward) {
+      throw new Error(`Initial balance of ${amount} exceeds the block reward of ${reward}`);
+    }
+
     // Create an initial reward transaction
     const rewardTx = new Transaction(null, address, amount);
     rewardTx.hash = rewardTx.calculateHash();
     rewardTx.signature = null; // Reward transactions don't need a signature
 
     // Create a block with the reward transaction
+    const parent = this.getLatestBlock();
     const block = new Block(
       this.chain.length,
-      this.getLatestBlock().hash,
-      Date.now(),
+      parent.hash,
+      this.getNextTimestamp(this.chain.length),
       [rewardTx],
-      this.difficulty
+      this.getDifficultyForIndex(this.chain.length),
+      this.getBlockVersion(this.chain.length),
+      this.computeStateRoot(this.chain.length, [rewardTx])
     );
-    block.mineBlock(this.difficulty);
+    if (!await this.miner.mine(block) || this.getLatestBlock() !== parent) {
+      throw new Error(`Mining of block ${block.index} was cancelled by a competing block`);
+    }
 
     console.log(`Mined initial block with hash: ${block.hash}`);
-    this.chain.push(block);
-
-    await block.save(); // Save the block to the database
+    await this.addBlock(block); // A competing block may still take the tip before this one is saved
+    if (this.getLatestBlock() !== block) {
+      throw new Error(`Block ${block.index} was mined but a competing block took the tip first`);
+    }
     console.log(`Initial balance of ${amount} credited to address ${address}`);
   }
 
+  // Admit a transaction into the pending pool, see Mempool.add() for the rules it must follow.
+  // A transaction reusing the nonce of a pending one replaces it if it pays enough more fee.
   async addTransaction(transaction) {
-    if (!transaction.fromAddress || !transaction.toAddress) {
-        throw new Error("Transaction must include from and to address");
+    const evicted = await this.mempool.add(transaction);
+    console.log("Transaction added to pending transactions:", transaction.hash);
+    this.emitEvictions(evicted);
+    this.emit(BlockchainEvent.TRANSACTION_ADDED, transaction);
+  }
+
+
+  // Mine pending transactions and add a new block to the blockchain. Resolves with the block, or with
+  // undefined when there is nothing to mine; throws a MiningError when no block could be mined.
+  async minePendingTransactions(miningRewardAddress) {
+    // Another process using the same Redis (or another call of this one) may be mining the same pending transactions
+    const lockToken = await acquireLock("miningLock", 10000);
+    if (!lockToken) {
+        throw new MiningError(MiningFailure.BUSY, "Mining is already in progress");
     }
-    if (!transaction.isValid()) {
-        throw new Error("Cannot add invalid transaction to chain");
+
+    try {
+        console.log("Mining pending transactions...");
+
+        const lastBlock = this.getLatestBlock();
+        const block = this.createBlockTemplate(miningRewardAddress);
+        if (block.transactions.length === 1) {
+            console.log("No pending transactions to mine.");
+            return;
+        }
+
+        // Search the proof of work in the mining threads, a competing block arriving meanwhile cancels it
+        if (!await this.miner.mine(block) || this.getLatestBlock() !== lastBlock) {
+            throw new MiningError(MiningFailure.CANCELLED, `Stopped mining block ${block.index}: the chain moved on to block ${this.getLatestBlock().hash}`);
+        }
+
+        // The block and the removal of its transactions from the pending pool are written together,
+        // unless the lock expired while mining and another miner took it over. Like any other block it
+        // goes through addBlock(), which leaves it on a side branch if a competing block got in first.
+        await checkFencingToken("miningLock", lockToken);
+        await this.addBlock(block, { fence: { resource: "miningLock", token: lockToken } });
+        if (this.getLatestBlock() !== block) {
+            throw new MiningError(MiningFailure.CANCELLED, `Mined block ${block.hash} lost the tip to block ${this.getLatestBlock().hash}`);
+        }
+
+        console.log("Cleared mined transactions from the pending pool.");
+        return block;
+    } catch (error) {
+        if (error instanceof MiningError) throw error;
+        console.error("Error during mining process:", error);
+        throw new MiningError(MiningFailure.FAILED, `Mining failed: ${error.message}`);
+    } finally {
+        await releaseLock("miningLock", lockToken);
     }
-    if (transaction.amount <= 0) {
-        throw new Error("Transaction amount must be greater than 0");
+  }
+
+  // Build the next block on top of the main branch, still to be mined: the pending transactions picked
+  // by the mempool within the block limits, followed by the reward transaction paying the block reward
+  // plus their fees to `miningRewardAddress`. Without pending transactions it only holds the reward.
+  createBlockTemplate(miningRewardAddress) {
+    const lastBlock = this.getLatestBlock();
+    const height = lastBlock.index + 1;
+    const { maxTransactions, maxBytes } = this.blockLimits;
+    const rewardSize = this.createRewardTransaction(miningRewardAddress, [], height).getSize();
+    const blockTransactions = this.mempool.selectTransactions(maxTransactions, maxBytes - rewardSize);
+
+    // The miner collects the block reward plus the fees of every included transaction.
+    // Fees can make the reward transaction longer, drop the last selected transactions until the block fits.
+    let rewardTx = this.createRewardTransaction(miningRewardAddress, blockTransactions, height);
+    while (blockTransactions.length > 0 &&
+      blockTransactions.reduce((size, tx) => size + tx.getSize(), rewardTx.getSize()) > maxBytes) {
+      blockTransactions.pop();
+      rewardTx = this.createRewardTransaction(miningRewardAddress, blockTransactions, height);
     }
+    blockTransactions.push(rewardTx);
+
+    return new Block(
+      height,
+      lastBlock.hash,
+      this.getNextTimestamp(height),
+      blockTransactions,
+      this.getDifficultyForIndex(height),
+      this.getBlockVersion(height),
+      this.computeStateRoot(height, blockTransactions)
+    );
+  }
 
-    const balance = await this.getBalanceOfAddress(transaction.fromAddress);
-    if (balance < transaction.amount) {
-        throw new Error("Not enough balance");
+  // Timestamp of a new block at `height` of the main branch: the current time, unless the clock
+  // is behind the median time past the consensus rules require
+  getNextTimestamp(height = this.chain.length) {
+    return Math.max(Date.now(), consensus.getMedianTimePast(this.chain, height));
+  }
+
+  // Add a block mined from a template, here or by an external miner, with every check of addBlock().
+  // Resolves with the outcome instead of throwing: accepted (new tip), side_branch (its parent is no
+  // longer the tip), duplicate (already known) or rejected, with the reason and the code of the broken rule.
+  // `options` are passed on to addBlock().
+  async submitBlock(block, options = {}) {
+    let added;
+    try {
+      added = await this.addBlock(block, options);
+    } catch (error) {
+      const rejection = { hash: block.hash, status: 'rejected', reason: error.message };
+      if (error instanceof consensus.ConsensusError) {
+        rejection.code = error.code; // The broken consensus rule, see RejectCode
+      }
+      return rejection;
+    }
+    if (!added) {
+      return { hash: block.hash, status: 'duplicate' };
     }
+    return { hash: block.hash, status: this.getLatestBlock() === block ? 'accepted' : 'side_branch' };
+  }
 
-    await this.updateWalletBalance(transaction.fromAddress, -transaction.amount);
-    await this.updateWalletBalance(transaction.toAddress, transaction.amount);
+  // Get the reward the block at `height` may mint (the next block by default)
+  getMiningReward(height = this.chain.length) {
+    return this.monetaryPolicy.getBlockReward(height);
+  }
 
-    await transaction.savePendingToRedis();
-    this.pendingTransactions.push(transaction);
-    console.log("Transaction added to pending transactions:", transaction.hash);
+  // Create the transaction paying the reward of the block at `height` plus the fees of `transactions` to the miner
+  createRewardTransaction(miningRewardAddress, transactions, height) {
+    const totalFees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+    return new Transaction(null, miningRewardAddress, this.getMiningReward(height) + totalFees);
   }
 
+  // Summarise the supply once the main branch block at `height` is mined
+  getSupply(height = this.chain.length - 1) {
+    return {
+      height,
+      circulatingSupply: this.getCirculatingSupply(height),
+      blockReward: this.getMiningReward(height),
+      maxSupply: this.monetaryPolicy.maxSupply
+    };
+  }
 
-  // Mine pending transactions and add a new block to the blockchain
-  async minePendingTransactions(miningRewardAddress) {
-    const lockAcquired = await acquireLock("miningLock", 10000);
-    if (!lockAcquired) {
-        console.log("Mining is already in progress.");
-        return;
+  // Get the coins in circulation once the main branch block at `height` is mined:
+  // everything minted by reward transactions, minus the fees they collected back
+  getCirculatingSupply(height = this.chain.length - 1) {
+    let supply = 0;
+    for (const block of this.chain.slice(0, height + 1)) {
+      for (const tx of block.transactions) {
+        supply += tx.fromAddress === null ? tx.amount : -tx.fee;
+      }
     }
+    return supply;
+  }
 
-    try {
-        console.log("Mining pending transactions...");
+  // Values the consensus rules check the block at `height` against, derived from the blocks below it:
+  // `branch[i]` is the block at height i of its branch, only the last few heights are read (see getRecentBranch()).
+  // With `now`, the block may not be dated too far past it, which only applies to blocks arriving now.
+  getConsensusRules(height, branch, now = undefined) {
+    const version = this.getBlockVersion(height);
+    return {
+      version,
+      hasStateRoot: Block.hasStateRoot(version),
+      difficulty: this.getDifficultyForIndex(height, branch),
+      reward: this.getMiningReward(height),
+      blockLimits: this.blockLimits,
+      medianTimePast: consensus.getMedianTimePast(branch, height),
+      now
+    };
+  }
 
-        // Use Redis to get pending transactions
-        this.pendingTransactions = await Transaction.loadPendingTransactionsFromRedis();
+  // Get the blocks of the branch ending at `hash` that the rules of the next block depend on,
+  // as a sparse array indexed by height like the chain
+  getRecentBranch(hash) {
+    const branch = [];
+    const depth = Math.max(this.difficultyAdjustmentInterval, consensus.MEDIAN_TIME_SPAN);
+    let block = this.blocks.get(hash);
+    for (let i = 0; block && i < depth; i++) {
+      branch[block.index] = block;
+      block = block.index > 0 ? this.blocks.get(block.previousHash) : null;
+    }
+    return branch;
+  }
 
-        const lastBlock = this.chain.length > 0 ? this.getLatestBlock() : null;
-        const blockTransactions = this.pendingTransactions.slice(0, this.transactionThreshold);
+  // Check every consensus rule a block must follow on top of `parent`, except the ones depending on the
+  // account state, which are checked once its branch is applied (see validateChain()).
+  // Throws a ConsensusError naming the broken rule.
+  checkBlock(block, parent, now = undefined) {
+    const rules = this.getConsensusRules(parent.index + 1, this.getRecentBranch(parent.hash), now);
+    consensus.checkBlock(block, parent, rules);
+  }
 
-        if (blockTransactions.length === 0) {
-            console.log("No pending transactions to mine.");
-            return;
-        }
+  // Drop pending transactions that can no longer be mined (nonce used, balance too low) or waited
+  // too long, then trim the pool to its limits, see Mempool.prune()
+  async prunePendingTransactions(now = Date.now()) {
+    this.emitEvictions(await this.mempool.prune(now));
+  }
 
-        const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward);
-        rewardTx.hash = rewardTx.calculateHash();
-        blockTransactions.push(rewardTx);
+  emitEvictions(evicted) {
+    for (const { transaction, reason } of evicted) {
+      this.emit(BlockchainEvent.TRANSACTION_EVICTED, transaction, reason);
+    }
+  }
 
-        const block = new Block(
-            lastBlock ? lastBlock.index + 1 : 0,
-            lastBlock ? lastBlock.hash : "",
-            Date.now(),
-            blockTransactions,
-            this.difficulty
-        );
+  // Add a block received from elsewhere (e.g. another node) to the block tree.
+  // The block may extend the main branch or any fork; when its branch carries more
+  // cumulative work than the main branch, the chain is reorganised onto it.
+  // A block breaking a consensus rule is rejected with a ConsensusError, see src/consensus.js.
+  // Blocks are added one at a time: each is checked against the tip, which only moves once it is saved.
+  // A block mined under a lock passes its fencing token as `options.fence`, see saveBlock().
+  addBlock(block, options = {}) {
+    const added = this.blockQueue.then(() => this.insertBlock(block, options));
+    this.blockQueue = added.catch(() => {});
+    return added;
+  }
 
-        block.mineBlock(this.difficulty);
-        this.chain.push(block);
+  // Add a block to the block tree once the blocks added before it are, see addBlock()
+  async insertBlock(block, { fence = null } = {}) {
+    if (this.blocks.has(block.hash)) {
+      return false; // Already known
+    }
 
-        await block.save();
+    const parent = this.blocks.get(block.previousHash);
+    if (!parent) {
+      throw new Error(`Unknown parent block ${block.previousHash} for block ${block.hash}`);
+    }
+    this.checkBlock(block, parent, Date.now());
+
+    this.indexBlock(block);
+
+    const tip = this.getLatestBlock();
+    if (this.cumulativeWork.get(block.hash) > this.cumulativeWork.get(tip.hash)) {
+      await this.reorganize(block, fence); // Saves the block, or drops it again if its branch turns out to be invalid
+      this.miner.cancel(); // A block being mined locally no longer extends the main branch
+    } else {
+      try {
+        await this.saveBlock(block, { fence });
+      } catch (error) {
+        this.unindexBlock(block);
+        throw error;
+      }
+      console.log(`Stored block ${block.hash} on a side branch`);
+    }
+    return true;
+  }
 
-        for (const tx of blockTransactions) {
-            await Transaction.removePendingTransactionFromRedis(tx.hash);
+  // Build a block locator: hashes of the main branch from the tip back to the genesis block,
+  // one by one for the last 10 blocks and then with exponentially growing steps
+  getBlockLocator() {
+    const locator = [];
+    let step = 1;
+    for (let index = this.chain.length - 1; index > 0; index -= step) {
+      locator.push(this.chain[index].hash);
+      if (locator.length >= 10) step *= 2;
+    }
+    if (this.chain.length > 0) {
+      locator.push(this.chain[0].hash); // Always end with the genesis block
+    }
+    return locator;
+  }
 
-            await this.updateWalletBalance(tx.fromAddress, -tx.amount);
-            await this.updateWalletBalance(tx.toAddress, tx.amount);
-        }
+  // Get up to `limit` main branch blocks following the first locator hash found on the main branch
+  getBlocksAfterLocator(locator, limit = 500) {
+    let start = 0;
+    for (const hash of locator) {
+      const block = this.blocks.get(hash);
+      if (block && this.chain[block.index] === block) {
+        start = block.index + 1;
+        break;
+      }
+    }
+    return this.chain.slice(start, start + limit);
+  }
 
-        console.log("Cleared mined transactions from Redis.");
-    } catch (error) {
-        console.error("Error during mining process:", error);
-    } finally {
-        await releaseLock("miningLock");
+  // Get the blocks from the genesis block up to (and including) the given block
+  getBranch(tipHash) {
+    const branch = [];
+    let block = this.blocks.get(tipHash);
+    while (block) {
+      branch.unshift(block);
+      block = block.index > 0 ? this.blocks.get(block.previousHash) : null;
     }
+    return branch;
   }
 
-  getMinerAddress() {
-    return this.minerAddress;
+  // Check the branch ending at `newTip` from the point it forks off the main branch: the main branch state
+  // is rolled back to the fork point on a copy, and only the blocks the branch would connect are replayed
+  // on it. Returns the fork index with the orphaned and connected blocks; throws the ConsensusError of the
+  // first connected block breaking a rule.
+  checkBranch(newTip) {
+    const connected = [];
+    let block = newTip;
+    while (this.chain[block.index] !== block) {
+      connected.unshift(block);
+      block = this.blocks.get(block.previousHash);
+    }
+    const forkIndex = block.index;
+    const orphaned = this.chain.slice(forkIndex + 1);
+
+    const state = this.state.clone();
+    for (const orphan of [...orphaned].reverse()) {
+      state.revertBlock(orphan);
+    }
+    for (const next of connected) {
+      const rules = this.getConsensusRules(next.index, this.getRecentBranch(next.previousHash));
+      consensus.checkBlock(next, this.blocks.get(next.previousHash), rules);
+      consensus.applyBlock(next, state, rules);
+    }
+    return { forkIndex, orphaned, connected };
   }
 
-  async updateWalletBalance(address, amount) {
+  // Switch the main branch to the branch ending at `newTip`, a block not saved yet.
+  // Orphaned blocks are rolled back from the state and their transactions return to the pending pool.
+  // The new tip and the pending pool changes are saved in one database transaction before anything
+  // changes in memory, so a failed write leaves the node exactly as it was. `fence` is saved with it, see saveBlock().
+  async reorganize(newTip, fence = null) {
+    let branch;
     try {
-        let currentBalance = await client.get(`wallet_balance_${address}`);
-        currentBalance = currentBalance ? parseFloat(currentBalance) : 0;
-        const newBalance = currentBalance + amount;
+      branch = this.checkBranch(newTip);
+    } catch (error) {
+      this.unindexBlock(newTip);
+      if (!(error instanceof consensus.ConsensusError)) throw error;
+      throw new consensus.ConsensusError(error.code, `Rejected invalid branch ending at block ${newTip.hash}: ${error.message}`);
+    }
+    const { forkIndex, orphaned, connected } = branch;
+
+    // Transactions of orphaned blocks go back to the pending pool unless the new branch includes them
+    const confirmed = new Set(connected.flatMap((block) => block.transactions.map((tx) => tx.hash)));
+    const returned = [];
+    for (const block of orphaned) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress === null || confirmed.has(tx.hash)) continue;
+        if (this.mempool.has(tx.hash)) continue;
+        returned.push(tx);
+      }
+    }
+    const mined = this.pendingTransactions.filter((pending) => confirmed.has(pending.hash));
 
-        await client.set(`wallet_balance_${address}`, newBalance);
-        console.log(`Updated balance for ${address}: ${newBalance}`);
+    try {
+      await this.saveBlock(newTip, { removePending: mined, addPending: returned, fence });
     } catch (error) {
-        console.error(`Error updating balance for ${address}:`, error);
+      this.unindexBlock(newTip);
+      throw error;
     }
+
+    // Roll the state back to the fork point, then apply the new branch
+    const touched = new Set();
+    for (const block of [...orphaned].reverse()) {
+      this.state.revertBlock(block).forEach((address) => touched.add(address));
+    }
+    for (const block of connected) {
+      this.state.applyBlock(block).forEach((address) => touched.add(address));
+    }
+    this.chain.length = forkIndex + 1;
+    for (const block of connected) {
+      this.chain.push(block);
+    }
+    this.difficulty = newTip.difficulty;
+    await this.state.writeCache([...touched]);
+
+    for (const tx of returned) {
+      tx.blockHash = '';
+    }
+    this.mempool.restore(returned);
+    this.mempool.forget(mined);
+    await this.prunePendingTransactions();
+
+    if (orphaned.length > 0) {
+      console.log(`Reorganised chain at block ${forkIndex}: ${orphaned.length} blocks orphaned, ${connected.length} blocks connected`);
+      this.emit(BlockchainEvent.REORG, { forkIndex, orphaned, connected });
+    }
+    for (const block of connected) {
+      this.emit(BlockchainEvent.BLOCK_MINED, block);
+    }
+    this.emitBalanceChanges([...touched]);
   }
 
+  getMinerAddress() {
+    return this.minerAddress;
+  }
+
+  // Get the next nonce of an address based on the transactions confirmed in the chain
+  getNonceOfAddress(address) {
+    return this.state.getNonce(address);
+  }
+
+  // Get the nonce the next transaction of an address must use, counting its pending transactions
+  getNextNonce(address) {
+    return this.mempool.getNextNonce(address);
+  }
+
+  // Get the confirmed balance of an address from the state replayed from the chain
   async getBalanceOfAddress(address) {
-    try {
-        const balance = await client.get(`wallet_balance_${address}`);
-        return balance ? parseFloat(balance) : 0;
-    } catch (error) {
-        console.error(`Error retrieving balance for ${address}:`, error);
-        return 0; // Return 0 if there is an error
+    return this.state.getBalance(address);
+  }
+
+  // Recompute every balance by replaying the confirmed blocks and rewrite the Redis cache
+  async rebuildState() {
+    this.state.replay(this.chain);
+    await this.state.rebuildCache();
+    console.log(`State rebuilt from ${this.chain.length} blocks (${this.state.balances.size} addresses)`);
+  }
+
+  // Compare the cached balances in Redis against a fresh replay of the chain
+  async checkStateConsistency() {
+    const replayed = new LedgerState(getRedisClient());
+    replayed.replay(this.chain);
+    const result = await replayed.checkConsistency();
+    for (const { address, cached, expected } of result.mismatches) {
+      console.error(`Balance mismatch for ${address}: cached ${cached}, expected ${expected}`);
     }
-  } 
+    return result;
+  }
 
   async displayBalance(address) {
     try {
@@ -597,83 +1111,200 @@ class Blockchain {
   }
 
 
-  // Check if the blockchain is valid
-  isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
-
-      // Check if the current block's hash is valid
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        console.error(`Invalid hash at block ${currentBlock.index}`);
-        return false;
+  // Check a chain (the main branch by default) against the consensus rules, replaying the account state
+  // along it to check nonces, balances and state roots. Returns the ConsensusError of the first block
+  // breaking a rule, or null when every block follows them. The genesis block is checked by load().
+  validateChain(chain = this.chain) {
+    const state = new LedgerState(); // Account state replayed along the chain
+    if (chain.length > 0) state.applyBlock(chain[0]);
+
+    for (let i = 1; i < chain.length; i++) {
+      try {
+        const rules = this.getConsensusRules(i, chain);
+        consensus.checkBlock(chain[i], chain[i - 1], rules);
+        consensus.applyBlock(chain[i], state, rules);
+      } catch (error) {
+        if (error instanceof consensus.ConsensusError) return error;
+        throw error;
       }
+    }
+    return null;
+  }
 
-      // Check if the previous hash matches the previous block's hash
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        console.error(`Invalid previous hash at block ${currentBlock.index}`);
-        return false;
+  // Check if the blockchain (the main branch by default) is valid
+  isChainValid(chain = this.chain) {
+    const violation = this.validateChain(chain);
+    if (violation) {
+      console.error(violation.message);
+      return false;
+    }
+    return true; // Blockchain is valid
+  }
+
+  // Check that every row written by Block.save() exists for a stored block
+  static async isBlockComplete(row, storage = getStorage()) {
+    const transactions = (await storage.getBlockTransactions(row.hash)).map((txData) => Transaction.fromJSON(txData, { keepHash: true }));
+    if (transactions.length === 0) return false; // Every block holds at least its reward transaction
+
+    // Missing transactions change the Merkle root. Other corruption is left for the chain validation to report.
+    const block = Block.fromJSON({ ...row, transactions }, { keepHash: true });
+    if (block.merkleRoot !== block.calculateMerkleRoot()) return false;
+
+    const merkleTree = block.buildMerkleTree();
+    const nodes = await storage.getMerkleNodes(row.hash);
+    const proofs = await storage.getMerkleProofs(row.hash);
+    return nodes.length === merkleTree.getNodes().length && proofs.length === transactions.length;
+  }
+
+  // Rewrite the Merkle proofs of a stored block when they predate proofs with a side flag at each level,
+  // which cannot be verified. Returns true when the proofs were rewritten.
+  static async upgradeMerkleProofs(row, storage = getStorage()) {
+    const proofs = await storage.getMerkleProofs(row.hash);
+    const positional = (proof) => proof.every((step) => step !== null && typeof step === 'object' && 'position' in step);
+    if (proofs.every(({ proof }) => positional(proof))) return false;
+
+    const transactions = (await storage.getBlockTransactions(row.hash)).map((txData) => Transaction.fromJSON(txData, { keepHash: true }));
+    const block = Block.fromJSON({ ...row, transactions }, { keepHash: true });
+    const merkleTree = block.buildMerkleTree();
+    await storage.transaction(async(tx) => {
+      await tx.deleteMerkleProofs(row.hash);
+      for (const [position, { hash }] of transactions.entries()) {
+        await tx.saveMerkleProof(row.hash, hash, merkleTree.getProofByIndex(position));
       }
+    });
+    return true;
+  }
 
-      // Check if the Merkle root is valid
-      const calculatedMerkleRoot = currentBlock.calculateMerkleRoot();
-      if (currentBlock.merkleRoot !== calculatedMerkleRoot) {
-        console.error(`Invalid Merkle root in block ${currentBlock.index}`);
-        console.error(`Stored Merkle root: ${currentBlock.merkleRoot}`);
-        console.error(`Calculated Merkle root: ${calculatedMerkleRoot}`);
-        return false;
+  // Find blocks left half-written (e.g. by a crash before block writes were atomic) and delete them,
+  // along with their descendants and any rows pointing at a block that does not exist.
+  // Signed transactions of a deleted block go back to the pending pool unless another block has them.
+  // Merkle proofs in the old format of complete blocks are rewritten.
+  static async repairStorage(storage = getStorage()) {
+    const removed = new Set();
+    const upgraded = [];
+    for (const row of await storage.getBlocks()) {
+      if (!removed.has(row.previousHash) && await Blockchain.isBlockComplete(row, storage)) {
+        if (await Blockchain.upgradeMerkleProofs(row, storage)) upgraded.push(row.hash);
+        continue;
       }
+
+      const transactions = (await storage.getBlockTransactions(row.hash)).map((txData) => Transaction.fromJSON(txData, { keepHash: true }));
+      await storage.transaction(async(tx) => {
+        await tx.deleteBlock(row.hash);
+        const pending = new Set((await tx.getPendingTransactions()).map((pendingTx) => pendingTx.hash));
+        for (const transaction of transactions) {
+          if (transaction.fromAddress === null || !transaction.isValid() || pending.has(transaction.hash)) continue;
+          if (await tx.getTransaction(transaction.hash)) continue; // Confirmed by another block
+          await transaction.savePending(tx);
+        }
+      });
+      removed.add(row.hash);
+      console.error(`Removed incomplete block ${row.hash} at index ${row.index}`);
     }
-    return true; // Blockchain is valid
+
+    const orphanedRows = await storage.deleteOrphanedRows();
+    if (orphanedRows > 0) {
+      console.error(`Removed ${orphanedRows} rows belonging to missing blocks`);
+    }
+    if (upgraded.length > 0) {
+      console.log(`Rewrote the Merkle proofs of ${upgraded.length} blocks`);
+    }
+    return { removedBlocks: [...removed], orphanedRows, upgradedBlocks: upgraded };
   }
 
-  // Load the blockchain from the database
-  static async load() {
-    const blockchain = new Blockchain();
-    const query = "SELECT * FROM blocks ORDER BY index ASC";
-    return new Promise((resolve, reject) => {
-      db.query(query, async (err, results) => {
-        if (err) return reject(err); // If there is an error, reject the promise
-        for (const result of results) {
-          const block = await Block.load(result.hash); // Load each block
-          if (block) {
-            blockchain.chain.push(block); // Add the block to the blockchain
-          }
-        }
+  // Resume the blockchain from storage, or start a new chain with a genesis block when storage is empty.
+  // Half-written blocks are repaired first, then every stored block is indexed (side branches included),
+  // the branch with the most work becomes the main branch and is verified before the state is replayed.
+  static async load(options = {}) {
+    const blockchain = new Blockchain(options);
+    const storage = blockchain.storage;
+    await Blockchain.repairStorage(storage);
+
+    const results = await storage.getBlocks(); // Ordered by index, so parents come before their children
+    if (results.length === 0) {
+      await blockchain.initializeGenesisBlock();
+      return blockchain;
+    }
 
-        // Validate the blockchain after loading
-        if (!blockchain.isChainValid()) {
-          console.error("Blockchain is invalid");
-          reject(new Error("Blockchain is invalid"));
-        } else {
-          console.log("Blockchain is valid");
-          resolve(blockchain); // Resolve with the loaded blockchain
+    const genesis = results[0];
+    if (genesis.index !== 0) {
+      throw new Error(`Stored chain does not start with a genesis block (lowest index is ${genesis.index})`);
+    }
+    if (genesis.hash !== blockchain.buildGenesisBlock().hash) {
+      throw new Error(`Stored genesis block ${genesis.hash} does not match the genesis of chain ${blockchain.chainId}`);
+    }
+
+    for (const result of results) {
+      if (result.hash !== genesis.hash && !blockchain.blocks.has(result.previousHash)) {
+        console.error(`Skipping stored block ${result.hash}: its parent ${result.previousHash} is unknown`);
+        continue;
+      }
+      const block = await Block.load(result.hash, storage);
+      if (result.hash !== genesis.hash) {
+        // Blocks stored before a rule existed may break it, they leave the block tree with their descendants
+        try {
+          blockchain.checkBlock(block, blockchain.blocks.get(block.previousHash));
+        } catch (error) {
+          if (!(error instanceof consensus.ConsensusError)) throw error;
+          console.error(`Skipping stored block ${result.hash}: ${error.message}`);
+          continue;
         }
-      });
-    });
+      }
+      blockchain.indexBlock(block); // Add the block to the block tree
+    }
+
+    // The main branch ends at the block with the most cumulative work, the first one stored on a tie
+    let tipHash = genesis.hash;
+    for (const [hash, work] of blockchain.cumulativeWork) {
+      if (work > blockchain.cumulativeWork.get(tipHash)) tipHash = hash;
+    }
+    blockchain.chain = blockchain.getBranch(tipHash);
+    blockchain.initialDifficulty = genesis.difficulty;
+    blockchain.difficulty = blockchain.getLatestBlock().difficulty;
+
+    // Validate the blockchain after loading
+    if (!blockchain.isChainValid()) {
+      console.error("Blockchain is invalid");
+      throw new Error("Blockchain is invalid");
+    }
+    console.log(`Blockchain is valid, resumed at block ${blockchain.getLatestBlock().index} (${blockchain.blocks.size} blocks stored)`);
+
+    blockchain.state.replay(blockchain.chain); // Derive balances from the loaded blocks
+    await blockchain.state.rebuildCache();
+
+    // Resume the pending pool, minus what the chain already confirmed
+    const confirmed = new Set(blockchain.chain.flatMap((block) => block.transactions.map((tx) => tx.hash)));
+    const pending = [];
+    for (const tx of await Transaction.loadPendingTransactions(storage)) {
+      if (confirmed.has(tx.hash)) {
+        await Transaction.removePendingTransaction(tx.hash, storage);
+      } else {
+        pending.push(tx);
+      }
+    }
+    blockchain.mempool.restore(pending);
+    await blockchain.prunePendingTransactions();
+    return blockchain;
+  }
+
+  // Keep JSON output (e.g. when printing the chain) to the chain itself, without storage and cache clients
+  toJSON() {
+    return {
+      chain: this.chain,
+      difficulty: this.difficulty,
+      pendingTransactions: this.pendingTransactions,
+      miningReward: this.getMiningReward()
+    };
   }
 
   async countPendingTransactions() {
-    return new Promise((resolve, reject) => {
-      const query = "SELECT COUNT(*) AS count FROM pending_transactions"; // SQL query to count pending transactions
-      db.query(query, (err, results) => {
-        if (err) return reject(err); // Reject promise if there's an error
-        resolve(results[0].count); // Resolve promise with the count of pending transactions
-      });
-    });
+    return this.storage.countPendingTransactions();
   }
 
-  // Clear pending transactions from the database
+  // Clear pending transactions from the pool and the database
   async clearPendingTransactions() {
-    return new Promise((resolve, reject) => {
-      const query = "DELETE FROM pending_transactions"; // SQL query to delete pending transactions
-      db.query(query, (err, results) => {
-        if (err) return reject(err); // Reject promise if there's an error
-        resolve(results); // Resolve promise with the result of the deletion
-      });
-    });
+    await this.mempool.clear();
   }
-  
 }
 
 // Check pending transactions
@@ -692,6 +1323,9 @@ if (require.main === module) {
 
 module.exports = {
   Blockchain,
+  BlockchainEvent,
+  MiningFailure,
+  MiningError,
   Transaction,
   Block
 };
@@ -0,0 +1,163 @@
+'use strict';
+
+const fs = require('fs');
+const config = require('./config');
+
+// Values used for every field a chain spec file leaves out
+const DEFAULTS = {
+  targetBlockTime: 10000, // Desired time between blocks in milliseconds
+  difficultyAdjustmentInterval: 10, // Retarget every N blocks
+  transactionThreshold: 2, // Pending transactions that make the CLI mine a block
+  minerAddress: 'miner-address', // Default address receiving block rewards
+  reward: {
+    initial: 100, // Reward minted by the coinbase transaction of the first blocks
+    halvingInterval: 0, // Blocks between two halvings of the reward, 0 to never halve
+    maxSupply: null // Hard cap on the supply (genesis allocations included), null for none
+  },
+  blockLimits: {
+    maxTransactions: 100, // Transactions per block, not counting the coinbase transaction
+    maxBytes: 1000000 // Serialised size of the transactions of a block
+  },
+  blockVersions: [{ version: 1, height: 0 }] // Block format version from each activation height on
+};
+
+function fail(message) {
+  throw new Error(`Invalid chain spec: ${message}`);
+}
+
+function requireInteger(value, name, min) {
+  if (!Number.isInteger(value) || value < min) fail(`${name} must be an integer of at least ${min}`);
+  return value;
+}
+
+function requirePositiveNumber(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) fail(`${name} must be a positive number`);
+  return value;
+}
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.length === 0) fail(`${name} must be a non-empty string`);
+  return value;
+}
+
+// Activation schedule of the block versions: starts at the genesis block, versions only go up
+function parseBlockVersions(blockVersions) {
+  if (!Array.isArray(blockVersions) || blockVersions.length === 0) fail('blockVersions must list at least one version');
+  return blockVersions.map((entry, i) => {
+    const version = requireInteger(entry && entry.version, `blockVersions[${i}].version`, 1);
+    const height = requireInteger(entry.height, `blockVersions[${i}].height`, 0);
+    if (i === 0 && height !== 0) fail('blockVersions must start at height 0');
+    if (i > 0 && (version <= blockVersions[i - 1].version || height <= blockVersions[i - 1].height)) {
+      fail('blockVersions must increase in version and height');
+    }
+    return { version, height };
+  });
+}
+
+/**
+ * Validates a chain spec and fills in the defaults of the optional fields.
+ *
+ * A chain spec describes a network: every node started from the same spec builds the same
+ * genesis block, so nodes of one network agree on it and nodes of different networks never do.
+ *
+ * {
+ *   "chainId": "aibtcc-dev",                  required, also checked when peers connect
+ *   "genesis": {
+ *     "timestamp": 1722470400000,             required, fixed so the genesis hash is deterministic
+ *     "difficulty": 0,                         optional, difficulty of the genesis block
+ *     "allocations": [{ "address": "...", "amount": 1000000 }]   required, initial balances
+ *   },
+ *   "reward": { "initial": 100, "halvingInterval": 210000, "maxSupply": 21000000 },   see src/monetaryPolicy.js
+ *   "targetBlockTime": 10000,
+ *   "difficultyAdjustmentInterval": 10,
+ *   "blockLimits": { "maxTransactions": 100, "maxBytes": 1000000 },
+ *   "blockVersions": [{ "version": 1, "height": 0 }, { "version": 2, "height": 50000 }],   version 2 hashes
+ *                                             transactions into an RFC 6962 Merkle tree, see src/merkleTree.js,
+ *                                             version 3 also commits to the account state, see src/stateTree.js
+ *   "transactionThreshold": 2,
+ *   "minerAddress": "miner-address"
+ * }
+ * @param {object} spec - Parsed chain spec
+ * @returns {object} - Complete chain spec
+ * @throws {Error} - If a field is missing or invalid
+ */
+function parseChainSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) fail('must be a JSON object');
+  const genesis = spec.genesis;
+  if (!genesis || typeof genesis !== 'object') fail('genesis is required');
+  if (!Array.isArray(genesis.allocations) || genesis.allocations.length === 0) {
+    fail('genesis.allocations must list at least one allocation');
+  }
+
+  // Genesis allocations become reward transactions, the same address twice would give two identical transactions
+  const addresses = new Set();
+  const allocations = genesis.allocations.map((allocation, i) => {
+    const address = requireString(allocation && allocation.address, `genesis.allocations[${i}].address`);
+    if (addresses.has(address)) fail(`genesis.allocations lists ${address} more than once`);
+    addresses.add(address);
+    return { address, amount: requirePositiveNumber(allocation.amount, `genesis.allocations[${i}].amount`) };
+  });
+
+  const reward = { ...DEFAULTS.reward, ...spec.reward };
+  const genesisSupply = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+  if (typeof reward.maxSupply === 'number' && genesisSupply > reward.maxSupply) {
+    fail(`genesis allocations of ${genesisSupply} exceed reward.maxSupply of ${reward.maxSupply}`);
+  }
+  const blockLimits = { ...DEFAULTS.blockLimits, ...spec.blockLimits };
+  return {
+    chainId: requireString(spec.chainId, 'chainId'),
+    genesis: {
+      timestamp: requireInteger(genesis.timestamp, 'genesis.timestamp', 0),
+      difficulty: requireInteger(genesis.difficulty !== undefined ? genesis.difficulty : 0, 'genesis.difficulty', 0),
+      allocations
+    },
+    reward: {
+      initial: requireInteger(reward.initial, 'reward.initial', 1),
+      halvingInterval: requireInteger(reward.halvingInterval, 'reward.halvingInterval', 0),
+      maxSupply: reward.maxSupply === null ? null : requirePositiveNumber(reward.maxSupply, 'reward.maxSupply')
+    },
+    targetBlockTime: requireInteger(spec.targetBlockTime !== undefined ? spec.targetBlockTime : DEFAULTS.targetBlockTime, 'targetBlockTime', 1),
+    difficultyAdjustmentInterval: requireInteger(
+      spec.difficultyAdjustmentInterval !== undefined ? spec.difficultyAdjustmentInterval : DEFAULTS.difficultyAdjustmentInterval,
+      'difficultyAdjustmentInterval', 2),
+    blockLimits: {
+      maxTransactions: requireInteger(blockLimits.maxTransactions, 'blockLimits.maxTransactions', 1),
+      maxBytes: requireInteger(blockLimits.maxBytes, 'blockLimits.maxBytes', 1)
+    },
+    blockVersions: parseBlockVersions(spec.blockVersions !== undefined ? spec.blockVersions : DEFAULTS.blockVersions),
+    transactionThreshold: requireInteger(
+      spec.transactionThreshold !== undefined ? spec.transactionThreshold : DEFAULTS.transactionThreshold, 'transactionThreshold', 1),
+    minerAddress: requireString(spec.minerAddress !== undefined ? spec.minerAddress : DEFAULTS.minerAddress, 'minerAddress')
+  };
+}
+
+/**
+ * Reads and validates a chain spec file.
+ * @param {string} file - Path of the JSON file
+ * @returns {object} - Complete chain spec
+ * @throws {Error} - If the file cannot be read or is not a valid chain spec
+ */
+function loadChainSpec(file) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read chain spec ${file}: ${error.message}`);
+  }
+  return parseChainSpec(spec);
+}
+
+let chainSpec = null; // Spec of the configured network, loaded on first use
+
+/**
+ * Gets the chain spec of the configured network, loading it on first use.
+ * @returns {object} - Complete chain spec
+ */
+function getChainSpec() {
+  if (!chainSpec) {
+    chainSpec = loadChainSpec(config.chainSpec);
+  }
+  return chainSpec;
+}
+
+module.exports = { parseChainSpec, loadChainSpec, getChainSpec };
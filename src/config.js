@@ -0,0 +1,51 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+// Node configuration, read from the environment so every entry point (CLI, P2P node, tests) shares it.
+//
+//   STORAGE_BACKEND   mysql (default), sqlite or memory
+//   MYSQL_HOST, MYSQL_PORT, MYSQL_USER, MYSQL_PASSWORD, MYSQL_DATABASE
+//   SQLITE_FILE       database file of the sqlite backend
+//   REDIS_ENABLED     set to "false" to run without Redis (no balance cache, the mining lock only excludes
+//                     miners of the same process)
+//   REDIS_URL         e.g. redis://localhost:6379
+//   CHAIN_SPEC        chain spec file of the network to join (chains/dev.json by default)
+//   MEMPOOL_MAX_TRANSACTIONS, MEMPOOL_MAX_BYTES   limits of the pending pool, the lowest fees are evicted first
+//   MEMPOOL_MAX_AGE   milliseconds a transaction may stay pending (3 hours by default)
+//   MEMPOOL_MIN_FEE_BUMP   fee increase in percent replacing a pending transaction requires (10 by default)
+//   MINING_THREADS    worker threads searching the proof of work (one per CPU by default)
+//   MINING_PROGRESS_INTERVAL   milliseconds between two mining progress reports (1000 by default)
+const config = {
+  chainSpec: process.env.CHAIN_SPEC || path.join(__dirname, '..', 'chains', 'dev.json'),
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'mysql',
+    mysql: {
+      host: process.env.MYSQL_HOST || 'localhost',
+      port: Number(process.env.MYSQL_PORT) || 3306,
+      user: process.env.MYSQL_USER || 'root',
+      password: process.env.MYSQL_PASSWORD !== undefined ? process.env.MYSQL_PASSWORD : 'g46',
+      database: process.env.MYSQL_DATABASE || 'blockchain'
+    },
+    sqlite: {
+      filename: process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'blockchain.sqlite')
+    }
+  },
+  redis: {
+    enabled: process.env.REDIS_ENABLED !== 'false',
+    url: process.env.REDIS_URL || 'redis://localhost:6379'
+  },
+  mempool: {
+    maxTransactions: Number(process.env.MEMPOOL_MAX_TRANSACTIONS) || 5000,
+    maxBytes: Number(process.env.MEMPOOL_MAX_BYTES) || 5000000,
+    maxAge: Number(process.env.MEMPOOL_MAX_AGE) || 3 * 60 * 60 * 1000,
+    minFeeBump: process.env.MEMPOOL_MIN_FEE_BUMP !== undefined ? Number(process.env.MEMPOOL_MIN_FEE_BUMP) : 10
+  },
+  mining: {
+    threads: Number(process.env.MINING_THREADS) || os.cpus().length,
+    progressInterval: Number(process.env.MINING_PROGRESS_INTERVAL) || 1000
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,217 @@
+'use strict';
+
+// Consensus rules every block after the genesis block must follow, whether mined here, received from a
+// peer or submitted by an external miner, and checked again for every block loaded from storage.
+// The rules only compare a block against values derived from the blocks below it (see
+// Blockchain.getConsensusRules()), so every node reaches the same verdict for the same branch.
+
+const MEDIAN_TIME_SPAN = 11; // Blocks whose median timestamp a new block may not precede
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000; // How far ahead of the local clock a block may be dated
+
+// Which rule a rejected block broke, given as the `code` of a ConsensusError
+const RejectCode = Object.freeze({
+  BAD_LINK: 'bad_link', // Its index or previous hash does not follow its parent
+  BAD_VERSION: 'bad_version', // Not the version the chain spec schedules, or the state root does not match the version
+  BAD_HASH: 'bad_hash', // Its hash is not the hash of its content
+  BAD_MERKLE_ROOT: 'bad_merkle_root', // Its Merkle root is not the root of its transactions
+  BAD_DIFFICULTY: 'bad_difficulty', // Not mined with the scheduled difficulty
+  INSUFFICIENT_WORK: 'insufficient_work', // Its hash does not meet its difficulty
+  TIME_TOO_OLD: 'time_too_old', // Dated before the median time of the previous blocks
+  TIME_TOO_NEW: 'time_too_new', // Dated too far in the future
+  TOO_LARGE: 'too_large', // Exceeds the block limits of the chain spec
+  BAD_TRANSACTION: 'bad_transaction', // Holds a badly signed or malformed transaction
+  DUPLICATE_TRANSACTION: 'duplicate_transaction', // Holds the same transaction twice
+  BAD_COINBASE: 'bad_coinbase', // Not exactly one reward transaction, or it claims more than allowed
+  BAD_NONCE: 'bad_nonce', // A sender's nonce is reused or skipped
+  INSUFFICIENT_BALANCE: 'insufficient_balance', // A sender spends more than its balance at that height
+  BAD_STATE_ROOT: 'bad_state_root' // Its state root is not the root of the state once it is applied
+});
+
+class ConsensusError extends Error {
+  /**
+   * Rejection of a block that breaks a consensus rule.
+   * @param {string} code - One of RejectCode
+   * @param {string} message - Human readable description naming the block and the violation
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ConsensusError';
+    this.code = code;
+  }
+}
+
+/**
+ * Gets the median timestamp of the MEDIAN_TIME_SPAN blocks below `height`, the earliest time
+ * the block at `height` may be dated.
+ * @param {Block[]} branch - Blocks of the branch indexed by height, at least the last MEDIAN_TIME_SPAN below `height`
+ * @param {number} height - Height of the block to date
+ * @returns {number}
+ */
+function getMedianTimePast(branch, height) {
+  const timestamps = [];
+  for (let index = Math.max(0, height - MEDIAN_TIME_SPAN); index < height; index++) {
+    timestamps.push(branch[index].timestamp);
+  }
+  timestamps.sort((a, b) => a - b);
+  return timestamps.length > 0 ? timestamps[Math.floor(timestamps.length / 2)] : 0;
+}
+
+/**
+ * Checks every rule that does not depend on the account state: the link to the parent, the header
+ * against the expected values, the timestamp, the size, the transactions and the reward transaction.
+ * @param {Block} block - Block to check
+ * @param {Block} parent - Block it claims to extend
+ * @param {object} rules - Expected values at the block's height, see Blockchain.getConsensusRules()
+ * @param {number} rules.version - Scheduled block version
+ * @param {boolean} rules.hasStateRoot - Whether blocks of that version commit to the state
+ * @param {number} rules.difficulty - Scheduled difficulty
+ * @param {number} rules.reward - Block reward it may mint besides the fees
+ * @param {{maxTransactions: number, maxBytes: number}} rules.blockLimits - Block limits of the chain spec
+ * @param {number} rules.medianTimePast - Earliest allowed timestamp, see getMedianTimePast()
+ * @param {number} [rules.now] - Local time to check the block is not dated in the future, omitted for stored blocks
+ * @throws {ConsensusError} - On the first rule the block breaks
+ */
+function checkBlock(block, parent, rules) {
+  const reject = (code, message) => {
+    throw new ConsensusError(code, message);
+  };
+
+  if (block.previousHash !== parent.hash) {
+    reject(RejectCode.BAD_LINK, `Invalid previous hash ${block.previousHash} for block ${block.hash}, expected ${parent.hash}`);
+  }
+  if (block.index !== parent.index + 1) {
+    reject(RejectCode.BAD_LINK, `Invalid index ${block.index} for block ${block.hash}, expected ${parent.index + 1}`);
+  }
+  if (block.version !== rules.version) {
+    reject(RejectCode.BAD_VERSION, `Invalid version ${block.version} for block ${block.hash}, expected ${rules.version}`);
+  }
+  if (rules.hasStateRoot !== (block.stateRoot !== null)) {
+    reject(RejectCode.BAD_VERSION, `Block ${block.hash} of version ${block.version} must ${block.stateRoot === null ? '' : 'not '}have a state root`);
+  }
+  if (block.hash !== block.calculateHash()) {
+    reject(RejectCode.BAD_HASH, `Invalid hash for block ${block.hash}`);
+  }
+  if (block.merkleRoot !== block.calculateMerkleRoot()) {
+    reject(RejectCode.BAD_MERKLE_ROOT, `Invalid Merkle root for block ${block.hash}`);
+  }
+  if (block.difficulty !== rules.difficulty) {
+    reject(RejectCode.BAD_DIFFICULTY, `Invalid difficulty ${block.difficulty} for block ${block.hash}, expected ${rules.difficulty}`);
+  }
+  if (!block.hasValidProofOfWork()) {
+    reject(RejectCode.INSUFFICIENT_WORK, `Insufficient proof of work for block ${block.hash}`);
+  }
+
+  if (!Number.isSafeInteger(block.timestamp) || block.timestamp < rules.medianTimePast) {
+    reject(RejectCode.TIME_TOO_OLD, `Timestamp ${block.timestamp} of block ${block.hash} is before the median time ${rules.medianTimePast} of the previous blocks`);
+  }
+  if (rules.now !== undefined && block.timestamp > rules.now + MAX_FUTURE_BLOCK_TIME) {
+    reject(RejectCode.TIME_TOO_NEW, `Timestamp ${block.timestamp} of block ${block.hash} is more than ${MAX_FUTURE_BLOCK_TIME} ms in the future`);
+  }
+
+  const { maxTransactions, maxBytes } = rules.blockLimits;
+  if (block.transactions.length > maxTransactions + 1) { // The reward transaction is not counted
+    reject(RejectCode.TOO_LARGE, `Block ${block.hash} is too large: ${block.transactions.length - 1} transactions exceed the limit of ${maxTransactions}`);
+  }
+  const size = block.getSize();
+  if (size > maxBytes) {
+    reject(RejectCode.TOO_LARGE, `Block ${block.hash} is too large: ${size} bytes exceed the limit of ${maxBytes}`);
+  }
+
+  const seen = new Set();
+  for (const tx of block.transactions) {
+    const error = checkTransaction(tx);
+    if (error) {
+      reject(RejectCode.BAD_TRANSACTION, `Invalid transaction ${tx.hash} in block ${block.hash}: ${error}`);
+    }
+    if (seen.has(tx.hash)) {
+      reject(RejectCode.DUPLICATE_TRANSACTION, `Transaction ${tx.hash} appears twice in block ${block.hash}`);
+    }
+    seen.add(tx.hash);
+  }
+
+  // Exactly one reward transaction, claiming at most the block reward plus the fees the block collects
+  const rewardTxs = block.transactions.filter((tx) => tx.fromAddress === null);
+  if (rewardTxs.length !== 1) {
+    const violation = rewardTxs.length === 0
+      ? 'no reward transaction, exactly one is required'
+      : `${rewardTxs.length} reward transactions, only one is allowed`;
+    reject(RejectCode.BAD_COINBASE, `Invalid coinbase in block ${block.hash}: ${violation}`);
+  }
+  const totalFees = block.transactions.reduce((sum, tx) => sum + tx.fee, 0);
+  const allowed = rules.reward + totalFees;
+  if (rewardTxs[0].amount > allowed) {
+    reject(RejectCode.BAD_COINBASE, `Invalid coinbase in block ${block.hash}: reward transaction of ${rewardTxs[0].amount} exceeds the block reward plus fees of ${allowed}`);
+  }
+}
+
+// Check a transaction on its own, returns the violation or null
+function checkTransaction(tx) {
+  if (tx.hash !== tx.calculateHash()) {
+    return 'its hash does not match its content';
+  }
+  if (!tx.toAddress) {
+    return 'it has no recipient';
+  }
+  if (tx.fromAddress === null) {
+    if (!Number.isFinite(tx.amount) || tx.amount < 0 || tx.fee !== 0) {
+      return 'a reward transaction must mint a non-negative amount and pay no fee';
+    }
+    return null;
+  }
+  if (!Number.isFinite(tx.amount) || tx.amount <= 0) {
+    return 'its amount must be greater than 0';
+  }
+  if (!Number.isFinite(tx.fee) || tx.fee < 0) {
+    return 'its fee cannot be negative';
+  }
+  if (!Number.isSafeInteger(tx.nonce) || tx.nonce < 0) {
+    return 'its nonce must be a non-negative integer';
+  }
+  if (!tx.isValid()) {
+    return 'its signature is invalid';
+  }
+  return null;
+}
+
+/**
+ * Applies a block checked by checkBlock() to the state at its parent, checking that every sender uses
+ * its next nonce and can afford what it spends at that point of the block, then that the block's state
+ * root is the root of the resulting state.
+ * @param {Block} block - Block to apply
+ * @param {LedgerState} state - State once its parent is applied, updated in place
+ * @param {object} rules - Expected values at the block's height, see checkBlock()
+ * @throws {ConsensusError} - On the first rule the block breaks, leaving `state` partially updated
+ */
+function applyBlock(block, state, rules) {
+  for (const tx of block.transactions) {
+    if (tx.fromAddress !== null) {
+      const expectedNonce = state.getNonce(tx.fromAddress);
+      if (tx.nonce !== expectedNonce) {
+        throw new ConsensusError(RejectCode.BAD_NONCE,
+          `Invalid nonce ${tx.nonce} for ${tx.fromAddress} in block ${block.hash}, expected ${expectedNonce}`);
+      }
+      const balance = state.getBalance(tx.fromAddress);
+      if (balance < tx.amount + tx.fee) {
+        throw new ConsensusError(RejectCode.INSUFFICIENT_BALANCE,
+          `Transaction ${tx.hash} in block ${block.hash} spends ${tx.amount + tx.fee} but ${tx.fromAddress} only has ${balance}`);
+      }
+    }
+    state.applyTransaction(tx);
+  }
+
+  const expectedStateRoot = rules.hasStateRoot ? state.getStateRoot() : null;
+  if (block.stateRoot !== expectedStateRoot) {
+    throw new ConsensusError(RejectCode.BAD_STATE_ROOT,
+      `Invalid state root ${block.stateRoot} for block ${block.hash}, expected ${expectedStateRoot}`);
+  }
+}
+
+module.exports = {
+  MEDIAN_TIME_SPAN,
+  MAX_FUTURE_BLOCK_TIME,
+  RejectCode,
+  ConsensusError,
+  getMedianTimePast,
+  checkBlock,
+  applyBlock
+};
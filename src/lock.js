@@ -1,17 +1,181 @@
-const locks = {};
+'use strict';
 
-// Acquire a lock for a specific resource
-async function acquireLock(resource) {
-  if (locks[resource]) {
-    return false; // Lock is already acquired
+const os = require('os');
+const crypto = require('crypto');
+const { getRedisClient } = require('./redis');
+
+// Locks shared by every process using the same Redis instance, e.g. the CLI and a background job, so only
+// one of them mines the pending transactions at a time.
+// A lock is a Redis key holding its owner's id and expiring after `ttl` milliseconds. The owner renews it
+// while it holds it, so the lock frees itself soon after the owner crashed, and only the owner may release it.
+// Every acquisition returns a fencing token, growing with each acquisition of the resource: an owner whose
+// lock expired anyway (e.g. a long pause) sees a newer token in checkFencingToken() and must not write.
+// The check alone leaves a window before the write, so the write itself also hands its token to the storage,
+// which refuses tokens older than the last one written (see saveFencingToken() of the storage backends).
+// Without Redis (REDIS_ENABLED=false) the locks only exclude callers of the same process.
+
+const LOCK_KEY_PREFIX = 'lock:'; // Redis key of a lock, holding the owner's id
+const TOKEN_KEY_PREFIX = 'lock_token:'; // Redis key of the last fencing token of a resource
+const DEFAULT_TTL = 30000;
+
+// Take the lock if it is free and draw the next fencing token, nil if it is held
+const ACQUIRE_SCRIPT = `
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+  return redis.call('INCR', KEYS[2])
+end
+return false`;
+
+// Extend the lock if the caller still owns it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Delete the lock if the caller still owns it, never the lock another owner took after it expired
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const held = new Map(); // Locks this process holds: resource -> { owner, token, ttl, timer }
+
+// Lock store of a single process, used when Redis is disabled
+const localLocks = new Map(); // resource -> { owner, expiresAt }
+const localTokens = new Map(); // resource -> last fencing token
+const localStore = {
+  async acquire(resource, owner, ttl) {
+    const lock = localLocks.get(resource);
+    if (lock && lock.expiresAt > Date.now()) return null;
+    const token = (localTokens.get(resource) || 0) + 1;
+    localLocks.set(resource, { owner, expiresAt: Date.now() + ttl });
+    localTokens.set(resource, token);
+    return token;
+  },
+  async renew(resource, owner, ttl) {
+    const lock = localLocks.get(resource);
+    if (!lock || lock.owner !== owner || lock.expiresAt <= Date.now()) return false;
+    lock.expiresAt = Date.now() + ttl;
+    return true;
+  },
+  async release(resource, owner) {
+    const lock = localLocks.get(resource);
+    if (!lock || lock.owner !== owner) return false;
+    localLocks.delete(resource);
+    return lock.expiresAt > Date.now();
+  },
+  async getToken(resource) {
+    return localTokens.get(resource) || 0;
+  }
+};
+
+// Lock store shared through Redis, every check-and-set runs in a script so it is atomic
+function redisStore(client) {
+  const keys = (resource) => [LOCK_KEY_PREFIX + resource, TOKEN_KEY_PREFIX + resource];
+  return {
+    async acquire(resource, owner, ttl) {
+      const token = await client.eval(ACQUIRE_SCRIPT, { keys: keys(resource), arguments: [owner, String(ttl)] });
+      return token === null ? null : Number(token);
+    },
+    async renew(resource, owner, ttl) {
+      return await client.eval(RENEW_SCRIPT, { keys: [LOCK_KEY_PREFIX + resource], arguments: [owner, String(ttl)] }) === 1;
+    },
+    async release(resource, owner) {
+      return await client.eval(RELEASE_SCRIPT, { keys: [LOCK_KEY_PREFIX + resource], arguments: [owner] }) === 1;
+    },
+    async getToken(resource) {
+      return Number(await client.get(TOKEN_KEY_PREFIX + resource)) || 0;
+    }
+  };
+}
+
+function getStore() {
+  const client = getRedisClient();
+  return client ? redisStore(client) : localStore;
+}
+
+// Stop renewing a lock this process no longer holds
+function forget(resource, lock) {
+  clearInterval(lock.timer);
+  if (held.get(resource) === lock) {
+    held.delete(resource);
   }
-  locks[resource] = true;
-  return true; // Lock acquired successfully
 }
 
-// Release a lock for a specific resource
-async function releaseLock(resource) {
-  delete locks[resource];
+async function renew(resource, lock) {
+  try {
+    if (!await getStore().renew(resource, lock.owner, lock.ttl)) {
+      console.error(`Lost the lock on ${resource}: it expired and may be held by another process`);
+      forget(resource, lock);
+    }
+  } catch (error) {
+    console.error(`Could not renew the lock on ${resource}:`, error.message);
+  }
+}
+
+/**
+ * Acquires the lock of a resource, without waiting if another owner holds it.
+ * The lock is renewed every third of `ttl` until released, and expires `ttl` milliseconds after
+ * the last renewal if this process dies.
+ * @param {string} resource - Name of the locked resource, e.g. "miningLock"
+ * @param {number} [ttl=30000] - Milliseconds the lock outlives its owner
+ * @returns {Promise<number|false>} - Fencing token of the lock, or false if the lock is held
+ */
+async function acquireLock(resource, ttl = DEFAULT_TTL) {
+  if (!Number.isInteger(ttl) || ttl < 1) {
+    throw new Error(`Lock TTL must be a positive integer of milliseconds, got ${ttl}`);
+  }
+  if (held.has(resource)) {
+    return false; // Lock is already acquired by this process
+  }
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(8).toString('hex')}`;
+  const token = await getStore().acquire(resource, owner, ttl);
+  if (token === null) {
+    return false; // Lock is held by another owner
+  }
+  const lock = { owner, token, ttl };
+  lock.timer = setInterval(() => renew(resource, lock), Math.max(1, Math.floor(ttl / 3)));
+  lock.timer.unref(); // Never keep the process alive for a lock
+  held.set(resource, lock);
+  return token;
+}
+
+/**
+ * Releases a lock this process holds. Releasing a lock that expired never frees the lock
+ * another owner took since.
+ * @param {string} resource - Name of the locked resource
+ * @param {number} [token] - Fencing token returned by acquireLock(), to only release that acquisition
+ * @returns {Promise<boolean>} - Whether the lock was still held and is now free
+ */
+async function releaseLock(resource, token) {
+  const lock = held.get(resource);
+  if (!lock || (token !== undefined && lock.token !== token)) {
+    return false;
+  }
+  forget(resource, lock);
+  try {
+    return await getStore().release(resource, lock.owner);
+  } catch (error) {
+    // The lock expires by itself
+    console.error(`Could not release the lock on ${resource}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Checks that no other owner acquired the lock since the acquisition that returned `token`,
+ * before writing what the lock protects. The lock may still be taken over between this check and
+ * the write, which the storage catches when the token is saved with the write.
+ * @param {string} resource - Name of the locked resource
+ * @param {number} token - Fencing token returned by acquireLock()
+ * @returns {Promise<void>} - Rejects if the lock was taken over
+ */
+async function checkFencingToken(resource, token) {
+  const current = await getStore().getToken(resource);
+  if (current !== token) {
+    throw new Error(`Lock on ${resource} was taken over: fencing token ${token} is stale, the current token is ${current}`);
+  }
 }
 
-module.exports = { acquireLock, releaseLock };
+module.exports = { acquireLock, releaseLock, checkFencingToken };
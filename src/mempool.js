@@ -0,0 +1,348 @@
+'use strict';
+
+// Why a pending transaction left the pool without being mined, given with the TRANSACTION_EVICTED event
+const EvictionReason = Object.freeze({
+  REPLACED: 'replaced', // Another transaction of the sender with the same nonce paid a higher fee
+  NONCE_USED: 'nonce_used', // A confirmed transaction of the sender used its nonce
+  INSUFFICIENT_BALANCE: 'insufficient_balance', // The confirmed balance of the sender no longer covers it
+  EXPIRED: 'expired', // It waited longer than the pool's maxAge
+  POOL_FULL: 'pool_full' // A transaction paying a higher fee needed its room
+});
+
+class Mempool {
+  /**
+   * Pool of the transactions waiting to be mined, the only way into a block besides the reward.
+   * Admission checks the signature, the nonce and the sender's confirmed balance minus what its other
+   * pending transactions spend. A sender has at most one transaction per nonce: a transaction reusing
+   * a pending nonce replaces it when it pays at least `minFeeBump` percent more fee. The pool holds at
+   * most `maxTransactions` transactions and `maxBytes` bytes, evicting the lowest fee first, and drops
+   * transactions waiting longer than `maxAge`.
+   * Every change is written to the pending pool of the storage, from which the pool is resumed on restart.
+   * @param {object} storage - Storage backend holding the pending pool, see src/storage/index.js
+   * @param {LedgerState} state - Confirmed balances and nonces the transactions are checked against
+   * @param {object} [limits]
+   * @param {number} [limits.maxTransactions=Infinity] - Most transactions the pool holds
+   * @param {number} [limits.maxBytes=Infinity] - Most bytes of transactions the pool holds
+   * @param {number} [limits.maxAge=Infinity] - Milliseconds a transaction may wait in the pool
+   * @param {number} [limits.minFeeBump=10] - Fee increase in percent a replacement must pay
+   */
+  constructor(storage, state, { maxTransactions = Infinity, maxBytes = Infinity, maxAge = Infinity, minFeeBump = 10 } = {}) {
+    this.storage = storage;
+    this.state = state;
+    this.maxTransactions = maxTransactions;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge;
+    this.minFeeBump = minFeeBump;
+    this.entries = new Map(); // Hash -> { transaction, size, receivedAt }, in order of arrival
+    this.bytes = 0; // Total size of the pooled transactions
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(hash) {
+    return this.entries.has(hash);
+  }
+
+  /**
+   * Gets a pending transaction.
+   * @param {string} hash - Transaction hash
+   * @returns {Transaction|null}
+   */
+  get(hash) {
+    const entry = this.entries.get(hash);
+    return entry ? entry.transaction : null;
+  }
+
+  /**
+   * Gets every pending transaction.
+   * @returns {Transaction[]} - Transactions in order of arrival
+   */
+  getTransactions() {
+    return [...this.entries.values()].map((entry) => entry.transaction);
+  }
+
+  /**
+   * Gets the nonce the next transaction of an address must use, counting its pending transactions.
+   * @param {string} address - Sender address
+   * @returns {number}
+   */
+  getNextNonce(address) {
+    let nonce = this.state.getNonce(address);
+    for (const { transaction } of this.entries.values()) {
+      if (transaction.fromAddress === address && transaction.nonce >= nonce) {
+        nonce = transaction.nonce + 1;
+      }
+    }
+    return nonce;
+  }
+
+  /**
+   * Checks a transaction and adds it to the pool, replacing the sender's pending transaction with
+   * the same nonce or evicting lower fee transactions when the pool is full.
+   * @param {Transaction} transaction - Signed transaction
+   * @param {number} [now=Date.now()] - Time the transaction is received
+   * @returns {Promise<{transaction: Transaction, reason: string}[]>} - Transactions evicted to make room for it
+   * @throws {Error} - If the transaction is not admitted, the pool is then unchanged
+   */
+  async add(transaction, now = Date.now()) {
+    if (!transaction.fromAddress || !transaction.toAddress) {
+      throw new Error('Transaction must include from and to address');
+    }
+    if (!transaction.isValid()) {
+      throw new Error('Cannot add invalid transaction to chain');
+    }
+    if (transaction.hash !== transaction.calculateHash()) {
+      throw new Error(`Transaction hash ${transaction.hash} does not match its content`);
+    }
+    if (!Number.isFinite(transaction.amount) || transaction.amount <= 0) {
+      throw new Error('Transaction amount must be greater than 0');
+    }
+    if (!Number.isFinite(transaction.fee) || transaction.fee < 0) {
+      throw new Error('Transaction fee cannot be negative');
+    }
+    if (this.entries.has(transaction.hash)) {
+      throw new Error(`Transaction ${transaction.hash} is already pending`);
+    }
+
+    // Reject replayed or out-of-order transactions from this sender, a pending nonce may only be replaced
+    const sender = transaction.fromAddress;
+    const pending = this.getTransactions().filter((tx) => tx.fromAddress === sender);
+    const replaced = pending.find((tx) => tx.nonce === transaction.nonce) || null;
+    if (replaced) {
+      const minFee = replaced.fee * (100 + this.minFeeBump) / 100;
+      if (transaction.fee <= replaced.fee || transaction.fee < minFee) {
+        throw new Error(`Replacing pending transaction ${replaced.hash} requires a fee above ${replaced.fee} and of at least ${minFee}`);
+      }
+    } else {
+      const expectedNonce = this.getNextNonce(sender);
+      if (transaction.nonce !== expectedNonce) {
+        throw new Error(`Invalid nonce ${transaction.nonce} for ${sender}, expected ${expectedNonce}`);
+      }
+    }
+
+    // The confirmed balance must also cover what the sender already spends in other pending transactions
+    const pendingSpend = pending
+      .filter((tx) => tx !== replaced)
+      .reduce((sum, tx) => sum + tx.amount + tx.fee, 0);
+    if (this.state.getBalance(sender) - pendingSpend < transaction.amount + transaction.fee) {
+      throw new Error('Not enough balance');
+    }
+
+    const size = transaction.getSize();
+    if (size > this.maxBytes) {
+      throw new Error(`Transaction of ${size} bytes exceeds the mempool limit of ${this.maxBytes} bytes`);
+    }
+    const evicted = replaced ? [{ transaction: replaced, reason: EvictionReason.REPLACED }] : [];
+    for (const victim of this.findRoom(transaction, size, replaced)) {
+      evicted.push({ transaction: victim, reason: EvictionReason.POOL_FULL });
+    }
+
+    // The new transaction and the removal of those it displaces are written together
+    await this.storage.transaction(async(storage) => {
+      for (const { transaction: tx } of evicted) {
+        await storage.removePendingTransaction(tx.hash);
+      }
+      await transaction.savePending(storage);
+    });
+    this.forget(evicted.map((entry) => entry.transaction));
+    this.remember(transaction, now);
+    return evicted;
+  }
+
+  // Pick the transactions to evict for `transaction` to fit in the pool once `replaced` is gone: the lowest
+  // fee last transaction of another sender first, so no sender is left with a gap in its nonces.
+  // Throws when the transaction does not pay more than a transaction it would evict.
+  findRoom(transaction, size, replaced) {
+    let count = this.entries.size + 1 - (replaced ? 1 : 0);
+    let bytes = this.bytes + size - (replaced ? this.entries.get(replaced.hash).size : 0);
+    const queues = this.getQueues();
+    queues.delete(transaction.fromAddress);
+
+    const victims = [];
+    while (count > this.maxTransactions || bytes > this.maxBytes) {
+      const victim = Mempool.lowestFeeTail(queues);
+      if (!victim) {
+        throw new Error('Mempool is full');
+      }
+      if (victim.fee >= transaction.fee) {
+        throw new Error(`Mempool is full, a fee above ${victim.fee} is needed`);
+      }
+      queues.get(victim.fromAddress).pop();
+      victims.push(victim);
+      count--;
+      bytes -= this.entries.get(victim.hash).size;
+    }
+    return victims;
+  }
+
+  // Sender -> its pending transactions by nonce, the highest fee first for equal nonces
+  getQueues() {
+    const queues = new Map();
+    for (const { transaction } of this.entries.values()) {
+      if (!queues.has(transaction.fromAddress)) queues.set(transaction.fromAddress, []);
+      queues.get(transaction.fromAddress).push(transaction);
+    }
+    for (const queue of queues.values()) {
+      queue.sort((a, b) => a.nonce - b.nonce || b.fee - a.fee);
+    }
+    return queues;
+  }
+
+  // The lowest fee transaction among the last ones of each queue, the most recent one on a tie
+  static lowestFeeTail(queues) {
+    let lowest = null;
+    for (const queue of queues.values()) {
+      const tail = queue[queue.length - 1];
+      if (tail && (!lowest || tail.fee < lowest.fee || (tail.fee === lowest.fee && tail.timestamp > lowest.timestamp))) {
+        lowest = tail;
+      }
+    }
+    return lowest;
+  }
+
+  /**
+   * Picks up to `limit` pending transactions totalling at most `maxBytes` for the next block, highest fee
+   * first, keeping each sender's nonces consecutive from its confirmed nonce.
+   * @param {number} limit - Most transactions to pick
+   * @param {number} [maxBytes=Infinity] - Most bytes of transactions to pick
+   * @returns {Transaction[]} - Transactions in the order they must appear in the block
+   */
+  selectTransactions(limit, maxBytes = Infinity) {
+    // Only the head of a sender's queue can be mined next
+    const queues = this.getQueues();
+    const expectedNonces = new Map();
+    const selected = [];
+    let size = 0;
+    while (selected.length < limit) {
+      let best = null;
+      for (const [address, queue] of queues) {
+        if (!expectedNonces.has(address)) {
+          expectedNonces.set(address, this.state.getNonce(address));
+        }
+        // Skip transactions whose nonce has already been used
+        while (queue.length > 0 && queue[0].nonce < expectedNonces.get(address)) {
+          queue.shift();
+        }
+        const head = queue[0];
+        if (!head || head.nonce !== expectedNonces.get(address)) continue;
+        if (!best || head.fee > best.fee || (head.fee === best.fee && head.timestamp < best.timestamp)) {
+          best = head;
+        }
+      }
+      if (!best) break; // Nothing else can be mined right now
+
+      if (size + best.getSize() > maxBytes) {
+        queues.delete(best.fromAddress); // The sender's later transactions cannot be mined without this one
+        continue;
+      }
+      queues.get(best.fromAddress).shift();
+      expectedNonces.set(best.fromAddress, best.nonce + 1);
+      selected.push(best);
+      size += best.getSize();
+    }
+    return selected;
+  }
+
+  /**
+   * Puts back transactions already in the storage pending pool, e.g. when resuming or when their block
+   * was orphaned. They are not checked again, prune() drops those that are no longer valid.
+   * @param {Transaction[]} transactions - Transactions to put back
+   * @param {number} [now=Date.now()] - Time they are received
+   */
+  restore(transactions, now = Date.now()) {
+    for (const transaction of transactions) {
+      if (!this.entries.has(transaction.hash)) this.remember(transaction, now);
+    }
+  }
+
+  /**
+   * Forgets transactions already removed from the storage pending pool, e.g. when their block was saved.
+   * @param {Transaction[]} transactions - Transactions to forget, those not pending are ignored
+   */
+  forget(transactions) {
+    for (const { hash } of transactions) {
+      const entry = this.entries.get(hash);
+      if (!entry) continue;
+      this.entries.delete(hash);
+      this.bytes -= entry.size;
+    }
+  }
+
+  remember(transaction, now) {
+    const size = transaction.getSize();
+    this.entries.set(transaction.hash, { transaction, size, receivedAt: now });
+    this.bytes += size;
+  }
+
+  /**
+   * Drops the transactions that can no longer be mined or have waited too long: those whose nonce
+   * is used, which the sender's confirmed balance no longer covers or older than `maxAge`, along with
+   * the sender's later transactions that depend on them. Then evicts the lowest fees until the pool
+   * is within its limits again.
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<{transaction: Transaction, reason: string}[]>} - Evicted transactions
+   */
+  async prune(now = Date.now()) {
+    const evicted = [];
+    const kept = new Map(); // Sender -> its transactions staying in the pool, by nonce
+    for (const [address, queue] of this.getQueues()) {
+      let nonce = this.state.getNonce(address);
+      let available = this.state.getBalance(address);
+      let reason = null; // Set once a transaction is dropped, the sender's later transactions depend on it
+      kept.set(address, []);
+      for (const tx of queue) {
+        if (tx.nonce < nonce) {
+          evicted.push({ transaction: tx, reason: EvictionReason.NONCE_USED });
+          continue;
+        }
+        if (!reason) {
+          available -= tx.amount + tx.fee;
+          if (available < 0) {
+            reason = EvictionReason.INSUFFICIENT_BALANCE;
+          } else if (now - this.entries.get(tx.hash).receivedAt > this.maxAge) {
+            reason = EvictionReason.EXPIRED;
+          }
+        }
+        if (reason) {
+          evicted.push({ transaction: tx, reason });
+          continue;
+        }
+        nonce = tx.nonce + 1;
+        kept.get(address).push(tx);
+      }
+    }
+
+    let count = this.entries.size - evicted.length;
+    let bytes = this.bytes - evicted.reduce((sum, { transaction }) => sum + this.entries.get(transaction.hash).size, 0);
+    while (count > this.maxTransactions || bytes > this.maxBytes) {
+      const victim = Mempool.lowestFeeTail(kept);
+      kept.get(victim.fromAddress).pop();
+      evicted.push({ transaction: victim, reason: EvictionReason.POOL_FULL });
+      count--;
+      bytes -= this.entries.get(victim.hash).size;
+    }
+
+    if (evicted.length > 0) {
+      await this.storage.transaction(async(storage) => {
+        for (const { transaction } of evicted) {
+          await storage.removePendingTransaction(transaction.hash);
+        }
+      });
+      this.forget(evicted.map((entry) => entry.transaction));
+    }
+    return evicted;
+  }
+
+  /**
+   * Empties the pool and the storage pending pool.
+   */
+  async clear() {
+    await this.storage.clearPendingTransactions();
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+module.exports = { Mempool, EvictionReason };
@@ -1,5 +1,20 @@
-const crypto = require("crypto"); // Import the crypto module for hashing
-const db = require("./db"); // Import the database connection module
+const crypto = require('crypto'); // Import the crypto module for hashing
+const { getStorage } = require('./storage'); // Import the configured storage backend
+
+const MULTIPROOF_VERSION = 1; // Version byte of serialised multiproofs
+
+// How leaves and inner nodes are hashed and odd levels completed, selected by the block version
+const MerkleMode = Object.freeze({
+  // Bitcoin style: leaves and inner nodes hashed alike, an odd level is padded with a copy of its last node.
+  // Lists ending with a duplicated value get the same root as without it (CVE-2012-2459).
+  LEGACY: 'legacy',
+  // RFC 6962: leaves hashed with a 0x00 prefix and inner nodes with 0x01, so neither can pass for the other;
+  // the last node of an odd level moves up unpaired instead of being duplicated
+  RFC6962: 'rfc6962'
+});
+
+const LEAF_PREFIX = Buffer.from([0x00]); // RFC 6962 prefix of leaf hashes
+const NODE_PREFIX = Buffer.from([0x01]); // RFC 6962 prefix of inner node hashes
 
 class Node {
   /**
@@ -22,7 +37,38 @@ class Node {
    * @returns {string} - SHA-256 hash of the value
    */
   static hash(val) {
-    return crypto.createHash("sha256").update(val).digest("hex");
+    return crypto.createHash('sha256').update(val).digest('hex');
+  }
+
+  /**
+   * Hashes a value into a leaf.
+   * @param {string} value - Value of the leaf, e.g. a transaction hash
+   * @param {string} [mode=MerkleMode.LEGACY] - One of MerkleMode
+   * @returns {string} - Hash of the leaf node
+   */
+  static hashLeaf(value, mode = MerkleMode.LEGACY) {
+    if (mode === MerkleMode.RFC6962) {
+      return crypto.createHash('sha256').update(LEAF_PREFIX).update(value).digest('hex');
+    }
+    return Node.hash(value);
+  }
+
+  /**
+   * Hashes two sibling hashes into their parent.
+   * @param {string} left - Hash of the left child
+   * @param {string} right - Hash of the right child
+   * @param {string} [mode=MerkleMode.LEGACY] - One of MerkleMode
+   * @returns {string} - Hash of the parent node
+   */
+  static hashChildren(left, right, mode = MerkleMode.LEGACY) {
+    if (mode === MerkleMode.RFC6962) {
+      return crypto.createHash('sha256')
+        .update(NODE_PREFIX)
+        .update(Buffer.from(left, 'hex'))
+        .update(Buffer.from(right, 'hex'))
+        .digest('hex');
+    }
+    return Node.hash(left + right);
   }
 
   /**
@@ -37,133 +83,122 @@ class Node {
 class MerkleTree {
   /**
    * Constructs a Merkle Tree from a list of values.
+   * The tree is kept as one array of hashes per level, built bottom-up without recursion, so its size
+   * is only limited by memory.
    * @param {string[]} values - List of values to build the Merkle Tree from
+   * @param {string} [mode=MerkleMode.LEGACY] - How to hash the tree, one of MerkleMode
    * @throws {Error} - If no values are provided
    */
-  constructor(values) {
+  constructor(values, mode = MerkleMode.LEGACY) {
     if (!values || values.length === 0) {
-      throw new Error("Cannot build Merkle Tree with no values.");
+      throw new Error('Cannot build Merkle Tree with no values.');
     }
-    this.root = this.buildTree(values); // Build the Merkle Tree and set the root
+    this.mode = mode; // Hashing of the leaves and inner nodes
+    this.leafCount = values.length; // Number of values, copied leaves excluded
+    this.levels = this.buildLevels(values); // Node hashes per level, leaves first and the root last
   }
 
   /**
-   * Saves all nodes of the Merkle Tree to the database.
-   * @param {string} blockHash - Hash of the block associated with the Merkle Tree
-   * @param {Node} [node=this.root] - Current node being processed
-   * @param {number} [level=0] - Current level in the tree
-   * @param {number} [index=0] - Index of the current node
-   * @returns {Promise<void>}
+   * Gets the number of levels below the root of a tree built from `leafCount` values.
+   * @param {number} leafCount - Number of values
+   * @param {string} [mode=MerkleMode.LEGACY] - One of MerkleMode
+   * @returns {number} - Depth of the tree. In legacy mode at least 1, since a single leaf is paired with its copy.
    */
-  async saveNodesToDatabase(blockHash, node = this.root, level = 0, index = 0) {
-    if (node !== null) {
-      // Prepare SQL query to insert node data
-      const query =
-        "INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES (?, ?, ?, ?)";
-      const values = [blockHash, level, index, node.value];
-
-      // Execute the SQL query
-      await new Promise((resolve, reject) => {
-        db.query(query, values, (err) => {
-          if (err) reject(err); // Reject the promise if an error occurs
-          else resolve(); // Resolve the promise if the operation is successful
-        });
-      });
-
-      // Recursively save left and right child nodes
-      if (node.left !== null) {
-        await this.saveNodesToDatabase(
-          blockHash,
-          node.left,
-          level + 1,
-          index * 2
-        );
-        await this.saveNodesToDatabase(
-          blockHash,
-          node.right,
-          level + 1,
-          index * 2 + 1
-        );
-      }
+  static getDepth(leafCount, mode = MerkleMode.LEGACY) {
+    let depth = 0;
+    let width = leafCount;
+    while (width > 1 || (depth === 0 && mode === MerkleMode.LEGACY)) {
+      width = Math.ceil(width / 2); // The last node of an odd level is paired with its copy or moves up alone
+      depth++;
     }
+    return depth;
   }
 
   /**
-   * Builds the Merkle Tree from a list of leaf nodes.
-   * @param {string[]} values - List of values to be used as leaf nodes
-   * @returns {Node} - Root node of the constructed Merkle Tree
+   * Hashes the values into leaves and combines them level by level up to the root.
+   * @param {string[]} values - List of values to be used as leaves
+   * @returns {string[][]} - Node hashes per level, leaves first
    */
-  buildTree(values) {
-    // Create leaf nodes with hash values
-    let leaves = values.map((e) => new Node(null, null, Node.hash(e), false));
-
-    // If there is an odd number of leaves, duplicate the last leaf
-    if (leaves.length % 2 === 1) {
-      leaves.push(leaves[leaves.length - 1].copy());
+  buildLevels(values) {
+    const levels = [values.map((value) => Node.hashLeaf(value, this.mode))];
+    for (let depth = MerkleTree.getDepth(this.leafCount, this.mode); depth > 0; depth--) {
+      const level = levels[levels.length - 1];
+      const parents = new Array(Math.ceil(level.length / 2));
+      for (let i = 0; i < level.length; i += 2) {
+        if (i + 1 < level.length) {
+          parents[i >> 1] = Node.hashChildren(level[i], level[i + 1], this.mode);
+        } else if (this.mode === MerkleMode.LEGACY) {
+          parents[i >> 1] = Node.hashChildren(level[i], level[i], this.mode); // Paired with its copy
+        } else {
+          parents[i >> 1] = level[i]; // RFC 6962: the unpaired last node moves up unchanged
+        }
+      }
+      levels.push(parents);
     }
-
-    return this.buildTreeRec(leaves); // Build the tree recursively
+    return levels;
   }
 
   /**
-   * Recursively builds the Merkle Tree from a list of nodes.
-   * @param {Node[]} nodes - List of nodes at the current level
-   * @param {number} [depth=0] - Current recursion depth
-   * @returns {Node} - Root node of the constructed tree
-   * @throws {Error} - If maximum recursion depth is exceeded or no nodes are provided
+   * Gets the values of every level of the tree, from the leaves up to the root.
+   * Levels hold no copies: the last node of an odd level has no sibling, it is paired with itself in
+   * legacy mode and moves up unchanged in RFC 6962 mode. Otherwise the sibling of the node at index `i`
+   * is at index `i ^ 1` and its parent at index `i >> 1`.
+   * @returns {string[][]} - Node values per level, leaves first. Shared with the tree, do not modify.
    */
-  buildTreeRec(nodes, depth = 0) {
-    const maxDepth = 10; // Maximum allowed recursion depth
-    if (depth > maxDepth) {
-      throw new Error("Max recursion depth exceeded");
-    }
-
-    if (nodes.length === 1) {
-      return nodes[0]; // Return the root node when only one node is left
-    }
-
-    if (nodes.length === 0) {
-      throw new Error("No nodes to process.");
-    }
-
-    // If there is an odd number of nodes, duplicate the last node
-    if (nodes.length % 2 === 1) {
-      nodes.push(nodes[nodes.length - 1].copy());
-    }
-
-    // Build the next level of nodes
-    const newLevel = [];
-    for (let i = 0; i < nodes.length; i += 2) {
-      const left = nodes[i];
-      const right = nodes[i + 1];
-      const value = Node.hash(left.value + right.value); // Combine and hash the left and right nodes
-      newLevel.push(new Node(left, right, value, false)); // Create a new parent node
-    }
-
-    return this.buildTreeRec(newLevel, depth + 1); // Recursively build the tree
+  getLevels() {
+    return this.levels;
   }
 
   /**
-   * Prints the Merkle Tree to the console.
+   * Saves all nodes of the Merkle Tree to the database, in batches.
+   * @param {string} blockHash - Hash of the block associated with the Merkle Tree
+   * @param {object} [storage=getStorage()] - Storage to write to, e.g. the one of an open database transaction
+   * @returns {Promise<void>}
    */
-  printTree() {
-    this.printTreeRec(this.root); // Start printing from the root
+  async saveNodesToDatabase(blockHash, storage = getStorage()) {
+    await storage.saveMerkleNodes(this.getNodes().map(({ level, index, value }) => ({ blockHash, level, index, value })));
   }
 
   /**
-   * Recursively prints the Merkle Tree.
-   * @param {Node} node - Current node being printed
-   * @param {number} [level=0] - Current level in the tree
+   * Lists every node of the tree with its position, as stored in the database: `level` counts from the
+   * root (0) down and `index` from the left, so the children of a node are at `2 * index` and `2 * index + 1`
+   * one level below. In legacy mode copied nodes are listed with their copied children, which completes
+   * the tree. In RFC 6962 mode a node that moved up unpaired is listed once, where it gets a sibling.
+   * @returns {Array<{level: number, index: number, value: string}>} - Nodes, level by level from the root
    */
-  printTreeRec(node, level = 0) {
-    if (node !== null) {
-      if (node.left !== null) {
-        this.printTreeRec(node.left, level + 1); // Print left subtree
-        console.log(" ".repeat(level * 2) + node.value); // Print current node value
-        this.printTreeRec(node.right, level + 1); // Print right subtree
-      } else {
-        console.log(" ".repeat(level * 2) + node.value); // Print leaf node value
+  getNodes() {
+    const nodes = [];
+    // `height` and `position` locate each node of the current level in `this.levels`
+    let current = [{ index: 0, height: this.levels.length - 1, position: 0 }];
+    for (let level = 0; current.length > 0; level++) {
+      const next = [];
+      for (let { index, height, position } of current) {
+        nodes.push({ level, index, value: this.levels[height][position] });
+        if (this.mode === MerkleMode.RFC6962) {
+          // A node that moved up unpaired has the children it was built from further down
+          while (height > 0 && 2 * position + 1 >= this.levels[height - 1].length) {
+            height--;
+            position *= 2;
+          }
+        }
+        if (height === 0) continue; // Leaf
+        const width = this.levels[height - 1].length;
+        for (const side of [0, 1]) {
+          // In legacy mode the missing right child is the copy of the left one
+          next.push({ index: 2 * index + side, height: height - 1, position: Math.min(2 * position + side, width - 1) });
+        }
       }
+      current = next;
+    }
+    return nodes;
+  }
+
+  /**
+   * Prints the Merkle Tree to the console, one line per node from the root down.
+   */
+  printTree() {
+    for (const { level, value } of this.getNodes()) {
+      console.log(' '.repeat(level * 2) + value);
     }
   }
 
@@ -172,24 +207,32 @@ class MerkleTree {
    * @returns {string} - Hash value of the root node
    */
   getRootHash() {
-    return this.root.value; // Return the root node's hash value
+    return this.levels[this.levels.length - 1][0];
   }
 
   /**
    * Verify a proof path for a given leaf hash.
-   * @param {string} leaf - The hash of the leaf node (transaction hash).
-   * @param {string[]} proof - The proof path (array of sibling hashes).
+   * The proof is folded from the leaf up to the root, combining left and right by position
+   * exactly as buildLevels() does.
+   * @param {string} leaf - The hash of the leaf node, `Node.hashLeaf(transactionHash, mode)` for a transaction.
+   * @param {Array<{hash: string, position: string}>} proof - The proof path, as returned by getProof().
    * @param {string} root - The root hash of the Merkle tree.
+   * @param {string} [mode=MerkleMode.LEGACY] - Mode the tree was built with.
    * @returns {boolean} - True if the proof is valid, false otherwise.
    */
-  static verifyProof(leaf, proof, root) {
+  static verifyProof(leaf, proof, root, mode = MerkleMode.LEGACY) {
+    // An empty proof is only valid for the single leaf of an RFC 6962 tree, which is its own root
+    if (!Array.isArray(proof) || (proof.length === 0 && mode === MerkleMode.LEGACY)) return false;
     let hash = leaf;
 
-    for (const sibling of proof) {
-      if (hash < sibling) {
-        hash = Node.hash(hash + sibling);
+    for (const step of proof) {
+      if (!step || typeof step.hash !== 'string') return false;
+      if (step.position === 'left') {
+        hash = Node.hashChildren(step.hash, hash, mode); // Sibling is the left child
+      } else if (step.position === 'right') {
+        hash = Node.hashChildren(hash, step.hash, mode); // Sibling is the right child
       } else {
-        hash = Node.hash(sibling + hash);
+        return false;
       }
     }
 
@@ -197,93 +240,192 @@ class MerkleTree {
   }
 
   /**
-   * Gets the proof for a specific leaf value.
-   * @param {string} leafValue - The hash of the leaf node to find
-   * @returns {Array<string>} - The proof path for the leaf node
+   * Gets the proof for a specific leaf value: the sibling of every node on the path from the leaf
+   * to the root, with the side it sits on, one step per level from the leaf upwards.
+   * In RFC 6962 mode levels where the path has no sibling are skipped, so proofs may be shorter than the depth.
+   * @param {string} leafValue - The hash of the leaf node to find, `Node.hashLeaf(transactionHash, mode)` for a transaction
+   * @returns {Array<{hash: string, position: string}>} - The proof path for the leaf node, `position` is "left" or "right"
+   * @throws {Error} - If no leaf has this value
    */
   getProof(leafValue) {
+    const index = this.levels[0].indexOf(leafValue);
+    if (index === -1) {
+      throw new Error('Leaf not found in the Merkle Tree');
+    }
+    return this.getProofByIndex(index);
+  }
+
+  /**
+   * Gets the proof for the leaf at a given position, see getProof().
+   * @param {number} index - Position of the leaf, e.g. of the transaction in its block
+   * @returns {Array<{hash: string, position: string}>} - The proof path for the leaf node
+   * @throws {Error} - If there is no leaf at this position
+   */
+  getProofByIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.leafCount) {
+      throw new Error(`No leaf at position ${index} of the Merkle Tree`);
+    }
     const proof = [];
-    let node = this.root;
-    
-    while (node) {
-      if (node.left && node.left.value === leafValue) {
-        proof.push(node.right ? node.right.value : null);
-        node = node.left;
-      } else if (node.right && node.right.value === leafValue) {
-        proof.push(node.left ? node.left.value : null);
-        node = node.right;
-      } else {
-        if (node.left) proof.push(node.left.value);
-        if (node.right) proof.push(node.right.value);
-        node = null;
+    for (const level of this.levels.slice(0, -1)) {
+      const sibling = index ^ 1;
+      if (sibling < level.length) {
+        proof.push({ hash: level[sibling], position: index % 2 === 0 ? 'right' : 'left' });
+      } else if (this.mode === MerkleMode.LEGACY) {
+        proof.push({ hash: level[index], position: 'right' }); // Paired with its copy
       }
+      index >>= 1;
     }
-    
-    if (proof.length === 0) {
-      throw new Error("Leaf not found in the Merkle Tree");
-    }
-
     return proof;
   }
 
   /**
-   * Finds the index of a leaf node with the given value.
-   * @param {Node} node - The current node being processed.
-   * @param {string} leafValue - The value of the leaf node to find.
-   * @returns {number} - The index of the leaf node or -1 if not found.
+   * Gets one proof covering several leaves. Siblings that can be computed from the covered leaves
+   * are left out, so shared parts of the paths are only sent once. A node without sibling is paired with
+   * its own hash in legacy mode, like buildLevels() pairs it, and contributes nothing in RFC 6962 mode.
+   * @param {string[]} leafValues - The hashes of the leaf nodes, `Node.hashLeaf(transactionHash, mode)` for transactions
+   * @returns {{leafCount: number, indices: number[], hashes: string[]}} - The multiproof: number of leaves of the
+   *   tree, positions of the covered leaves in ascending order and the sibling hashes needed, level by level
+   * @throws {Error} - If a leaf is not found
    */
-  findLeafIndex(node, leafValue) {
-    if (!node) return -1;
-    if (!node.left && !node.right) return node.value === leafValue ? 0 : -1;
-  
-    const leftIndex = this.findLeafIndex(node.left, leafValue);
-    if (leftIndex !== -1) return leftIndex * 2;
-  
-    const rightIndex = this.findLeafIndex(node.right, leafValue);
-    const foundIndex = rightIndex !== -1 ? rightIndex * 2 + 1 : -1;
-    console.log(`Leaf value ${leafValue} found at index ${foundIndex}`);
-    return foundIndex;
+  getMultiProof(leafValues) {
+    const levels = this.getLevels();
+    const positions = new Map();
+    levels[0].forEach((value, index) => {
+      if (!positions.has(value)) positions.set(value, index);
+    });
+
+    const indices = [...new Set(leafValues.map((value) => {
+      if (!positions.has(value)) throw new Error('Leaf not found in the Merkle Tree');
+      return positions.get(value);
+    }))].sort((a, b) => a - b);
+    if (indices.length === 0) {
+      throw new Error('A multiproof needs at least one leaf');
+    }
+
+    const hashes = [];
+    let known = indices; // Positions whose value the verifier knows or computes at the current level
+    for (const level of levels.slice(0, -1)) {
+      const knownSet = new Set(known);
+      const parents = [];
+      for (const index of known) {
+        const parent = index >> 1;
+        if (parents[parents.length - 1] === parent) continue; // Sibling of the previous position, both are known
+        if ((index ^ 1) >= level.length) {
+          if (this.mode === MerkleMode.LEGACY) hashes.push(level[index]); // Paired with its copy
+        } else if (!knownSet.has(index ^ 1)) {
+          hashes.push(level[index ^ 1]);
+        }
+        parents.push(parent);
+      }
+      known = parents;
+    }
+    return { leafCount: this.leafCount, indices, hashes };
   }
 
   /**
-   * Gets all leaf nodes of the tree.
-   * @returns {Node[]} - An array of leaf nodes.
+   * Verifies a multiproof, consuming its hashes in the order getMultiProof() produced them.
+   * @param {string[]} leaves - The hashes of the covered leaf nodes, in the order of `proof.indices`
+   * @param {{leafCount: number, indices: number[], hashes: string[]}} proof - The multiproof
+   * @param {string} root - The root hash of the Merkle tree
+   * @param {string} [mode=MerkleMode.LEGACY] - Mode the tree was built with
+   * @returns {boolean} - True if the proof is valid, false otherwise
    */
-  getLeaves() {
-    const leaves = [];
-    this.collectLeaves(this.root, leaves);
-    return leaves;
+  static verifyMultiProof(leaves, proof, root, mode = MerkleMode.LEGACY) {
+    if (!proof || !Number.isInteger(proof.leafCount) || !Array.isArray(proof.indices) || !Array.isArray(proof.hashes)) {
+      return false;
+    }
+    if (leaves.length === 0 || leaves.length !== proof.indices.length) return false;
+    for (const [i, index] of proof.indices.entries()) {
+      if (!Number.isInteger(index) || index < 0 || index >= proof.leafCount || (i > 0 && index <= proof.indices[i - 1])) {
+        return false; // Positions must be distinct leaves in ascending order
+      }
+    }
+
+    let known = proof.indices.map((index, i) => ({ index, hash: leaves[i] }));
+    let next = 0; // Next unused hash of the proof
+    let width = proof.leafCount; // Number of nodes of the current level
+    for (let depth = MerkleTree.getDepth(proof.leafCount, mode); depth > 0; depth--, width = Math.ceil(width / 2)) {
+      const parents = [];
+      for (let i = 0; i < known.length; i++) {
+        const { index, hash } = known[i];
+        let sibling;
+        if (mode === MerkleMode.RFC6962 && index + 1 === width && index % 2 === 0) {
+          parents.push({ index: index >> 1, hash }); // Unpaired last node, moves up unchanged
+          continue;
+        }
+        if (index % 2 === 0 && i + 1 < known.length && known[i + 1].index === index + 1) {
+          sibling = known[++i].hash; // Both children are known
+        } else if (next < proof.hashes.length) {
+          sibling = proof.hashes[next++];
+        } else {
+          return false; // Proof too short
+        }
+        const value = index % 2 === 0 ? Node.hashChildren(hash, sibling, mode) : Node.hashChildren(sibling, hash, mode);
+        parents.push({ index: index >> 1, hash: value });
+      }
+      known = parents;
+    }
+
+    return next === proof.hashes.length && known[0].hash === root;
   }
 
   /**
-   * Recursively collects leaf nodes.
-   * @param {Node} node - The current node being processed.
-   * @param {Node[]} leaves - The array to collect leaf nodes into.
+   * Encodes a multiproof compactly: a version byte, the leaf count, the number of positions and each
+   * position as 32-bit big-endian integers, then the number of hashes and each hash as 32 raw bytes.
+   * @param {{leafCount: number, indices: number[], hashes: string[]}} proof - The multiproof
+   * @returns {string} - Hex encoded multiproof
    */
-  collectLeaves(node, leaves) {
-    if (!node) return;
-    if (!node.left && !node.right) {
-      leaves.push(node);
-    } else {
-      this.collectLeaves(node.left, leaves);
-      this.collectLeaves(node.right, leaves);
+  static serializeMultiProof(proof) {
+    const buffer = Buffer.alloc(1 + 4 + 4 + 4 * proof.indices.length + 4 + 32 * proof.hashes.length);
+    let offset = buffer.writeUInt8(MULTIPROOF_VERSION, 0);
+    offset = buffer.writeUInt32BE(proof.leafCount, offset);
+    offset = buffer.writeUInt32BE(proof.indices.length, offset);
+    for (const index of proof.indices) {
+      offset = buffer.writeUInt32BE(index, offset);
+    }
+    offset = buffer.writeUInt32BE(proof.hashes.length, offset);
+    for (const hash of proof.hashes) {
+      offset += Buffer.from(hash, 'hex').copy(buffer, offset);
     }
+    return buffer.toString('hex');
   }
-}
 
-// New class added to the file
-class MerkleProofPath {
-  static async getProofPath(transactionHash) {
-    const query =
-      "SELECT proof_path FROM merkle_proof_paths WHERE transaction_hash = ?";
-    return new Promise((resolve, reject) => {
-      db.query(query, [transactionHash], (err, results) => {
-        if (err) reject(err);
-        else if (results.length > 0) resolve(JSON.parse(results[0].proof_path));
-        else resolve(null);
-      });
-    });
+  /**
+   * Decodes a multiproof encoded by serializeMultiProof().
+   * @param {string} encoded - Hex encoded multiproof
+   * @returns {{leafCount: number, indices: number[], hashes: string[]}} - The multiproof
+   * @throws {Error} - If the encoding is malformed or of another version
+   */
+  static deserializeMultiProof(encoded) {
+    if (typeof encoded !== 'string' || !/^([0-9a-f]{2})*$/i.test(encoded)) {
+      throw new Error('Invalid multiproof encoding: not a hex string');
+    }
+    const buffer = Buffer.from(encoded, 'hex');
+    try {
+      if (buffer.readUInt8(0) !== MULTIPROOF_VERSION) {
+        throw new Error(`Unsupported multiproof version ${buffer.readUInt8(0)}`);
+      }
+      let offset = 1;
+      const leafCount = buffer.readUInt32BE(offset);
+      const indices = [];
+      const indexCount = buffer.readUInt32BE(offset += 4);
+      offset += 4;
+      for (let i = 0; i < indexCount; i++, offset += 4) {
+        indices.push(buffer.readUInt32BE(offset));
+      }
+      const hashes = [];
+      const hashCount = buffer.readUInt32BE(offset);
+      offset += 4;
+      for (let i = 0; i < hashCount; i++, offset += 32) {
+        if (offset + 32 > buffer.length) throw new RangeError('Truncated hash');
+        hashes.push(buffer.toString('hex', offset, offset + 32));
+      }
+      if (offset !== buffer.length) throw new RangeError('Trailing bytes');
+      return { leafCount, indices, hashes };
+    } catch (error) {
+      throw new Error(`Invalid multiproof encoding: ${error.message}`);
+    }
   }
 }
 
-module.exports = { Node, MerkleTree };
+module.exports = { Node, MerkleTree, MerkleMode };
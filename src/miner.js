@@ -0,0 +1,118 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'miningWorker.js');
+
+class Miner extends EventEmitter {
+  /**
+   * Searches the proof of work of blocks in worker threads, so mining never blocks the event loop.
+   * The threads split the nonce space: thread i of n tries the nonces i + 1, i + 1 + n, i + 1 + 2n...
+   * While mining, a 'progress' event ({ index, hashes, hashrate, elapsed }) is emitted every
+   * `progressInterval` milliseconds, hashes counting every thread and hashrate in hashes per second.
+   * @param {object} [options]
+   * @param {number} [options.threads=os.cpus().length] - Worker threads per block
+   * @param {number} [options.progressInterval=1000] - Milliseconds between two progress events
+   */
+  constructor({ threads = os.cpus().length, progressInterval = 1000 } = {}) {
+    super();
+    if (!Number.isInteger(threads) || threads < 1) {
+      throw new Error(`Mining threads must be a positive integer, got ${threads}`);
+    }
+    this.threads = threads;
+    this.progressInterval = progressInterval;
+    this.jobs = new Set(); // Blocks being mined: { block, workers, finish(error, block) }
+    this.hashrate = 0; // Hashes per second of the current or last job
+  }
+
+  isMining() {
+    return this.jobs.size > 0;
+  }
+
+  getHashrate() {
+    return this.hashrate;
+  }
+
+  /**
+   * Mines a block: sets its nonce and hash so the hash meets the block's difficulty.
+   * @param {Block} block - Block to mine, its current nonce is tried first
+   * @returns {Promise<Block|null>} - The mined block, or null if mining was cancelled
+   */
+  mine(block) {
+    if (block.hasValidProofOfWork()) {
+      return Promise.resolve(block); // Nothing to search, e.g. at difficulty 0
+    }
+    const { prefix, suffix } = block.getHashingData();
+    const startedAt = Date.now();
+    let hashes = 0;
+
+    return new Promise((resolve, reject) => {
+      const updateHashrate = () => {
+        const elapsed = Date.now() - startedAt;
+        this.hashrate = elapsed > 0 ? Math.round(hashes * 1000 / elapsed) : 0;
+        return elapsed;
+      };
+      const timer = setInterval(() => {
+        const elapsed = updateHashrate();
+        this.emit('progress', { index: block.index, hashes, hashrate: this.hashrate, elapsed });
+      }, this.progressInterval);
+
+      const job = { block, workers: [] };
+      job.finish = (error, result) => {
+        if (!this.jobs.delete(job)) return; // Another thread or a cancellation finished it first
+        clearInterval(timer);
+        for (const worker of job.workers) {
+          worker.terminate();
+        }
+        updateHashrate();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+      this.jobs.add(job);
+
+      for (let i = 0; i < this.threads; i++) {
+        const worker = new Worker(WORKER_FILE, {
+          workerData: {
+            prefix,
+            suffix,
+            difficulty: block.difficulty,
+            start: block.nonce + 1 + i,
+            step: this.threads,
+            progressInterval: this.progressInterval
+          }
+        });
+        worker.on('message', (message) => {
+          hashes += message.hashes;
+          if (message.type !== 'found' || !this.jobs.has(job)) return;
+          block.nonce = message.nonce;
+          block.hash = block.calculateHash();
+          if (block.hash !== message.hash) {
+            job.finish(new Error(`Mining thread found hash ${message.hash} but block ${block.index} hashes to ${block.hash}`));
+          } else {
+            job.finish(null, block);
+          }
+        });
+        worker.on('error', (error) => job.finish(error));
+        job.workers.push(worker);
+      }
+    });
+  }
+
+  /**
+   * Stops mining, e.g. when a competing block arrived. The cancelled mine() calls resolve with null.
+   * @param {Block|null} [block=null] - Block to stop mining, null for every block
+   */
+  cancel(block = null) {
+    for (const job of [...this.jobs]) {
+      if (block === null || job.block === block) job.finish(null, null);
+    }
+  }
+}
+
+module.exports = { Miner };
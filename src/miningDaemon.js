@@ -0,0 +1,166 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { BlockchainEvent, MiningError, MiningFailure } = require('./blockchain');
+const { acquireLock, releaseLock, checkFencingToken } = require('./lock');
+
+// Events after which the template no longer holds the best pending transactions or no longer extends the tip
+const TEMPLATE_EVENTS = [
+  BlockchainEvent.TRANSACTION_ADDED,
+  BlockchainEvent.TRANSACTION_EVICTED,
+  BlockchainEvent.BLOCK_MINED,
+  BlockchainEvent.REORG
+];
+
+class MiningDaemon extends EventEmitter {
+  /**
+   * Keeps mining blocks on top of the main branch. The daemon mines a block template built from the
+   * mempool (see Blockchain.createBlockTemplate()) and rebuilds it when transactions arrive or leave the
+   * pool or the tip changes, restarting the proof-of-work search on the new template.
+   * Once started with an `interval`, it starts mining by itself every `interval` milliseconds when idle;
+   * mine() mines a block on demand. Emits 'template' (block) for every new template and 'block' (block)
+   * for every mined block that became the tip.
+   * @param {Blockchain} blockchain - Blockchain to extend
+   * @param {object} [options]
+   * @param {string} [options.rewardAddress] - Address receiving the rewards, the chain spec's miner address by default
+   * @param {number} [options.interval=0] - Milliseconds between two automatic attempts, 0 to only mine on demand
+   * @param {boolean} [options.mineEmptyBlocks=false] - Whether automatic attempts also mine blocks without transactions
+   * @param {P2PNode} [options.node] - Network node gossiping the mined blocks
+   */
+  constructor(blockchain, { rewardAddress, interval = 0, mineEmptyBlocks = false, node = null } = {}) {
+    super();
+    this.blockchain = blockchain;
+    this.rewardAddress = rewardAddress || blockchain.getMinerAddress();
+    this.interval = interval;
+    this.mineEmptyBlocks = mineEmptyBlocks;
+    this.node = node;
+    this.template = null; // Block being mined next, null until built or once it went stale
+    this.mining = null; // Promise of the mine() call in progress
+    this.stopping = false; // Set by stop() to end the search instead of restarting it
+    this.started = false; // Whether the daemon follows the blockchain
+    this.timer = null; // Interval of the automatic attempts, while started
+    this.onChange = () => this.invalidateTemplate();
+  }
+
+  isRunning() {
+    return this.started;
+  }
+
+  /**
+   * Follows the blockchain to keep the template fresh and, with an interval, mines automatically.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    for (const event of TEMPLATE_EVENTS) {
+      this.blockchain.on(event, this.onChange);
+    }
+    if (this.interval > 0) {
+      this.timer = setInterval(() => this.tick(), this.interval);
+    }
+  }
+
+  /**
+   * Stops following the blockchain and cancels the search in progress.
+   * @returns {Promise<void>} - Resolves once the search has stopped
+   */
+  async stop() {
+    this.started = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const event of TEMPLATE_EVENTS) {
+      this.blockchain.removeListener(event, this.onChange);
+    }
+    if (!this.mining) return;
+    this.stopping = true;
+    if (this.template) {
+      this.blockchain.miner.cancel(this.template);
+    }
+    try {
+      await this.mining;
+    } finally {
+      this.stopping = false;
+    }
+  }
+
+  /**
+   * Gets the block to mine next, rebuilding it when it went stale or no longer extends the tip.
+   * @returns {Block} - Template, not mined yet
+   */
+  getTemplate() {
+    if (!this.template || this.template.previousHash !== this.blockchain.getLatestBlock().hash) {
+      this.template = this.blockchain.createBlockTemplate(this.rewardAddress);
+      this.emit('template', this.template);
+    }
+    return this.template;
+  }
+
+  // Drop the template, the search on it restarts on a new one
+  invalidateTemplate() {
+    const stale = this.template;
+    this.template = null;
+    if (stale && this.mining) {
+      this.blockchain.miner.cancel(stale);
+    }
+  }
+
+  /**
+   * Mines a block from the template, following the new templates until one is found and becomes the tip.
+   * Calls made while mining share the search in progress. Each attempt holds the mining lock, like
+   * Blockchain.minePendingTransactions(), so processes sharing the same Redis never mine at the same time.
+   * @returns {Promise<Block|null>} - The mined block, or null if stop() ended the search
+   * @throws {MiningError} - If another miner holds the mining lock
+   */
+  mine() {
+    if (!this.mining) {
+      this.mining = this.mineTemplates().finally(() => {
+        this.mining = null;
+      });
+    }
+    return this.mining;
+  }
+
+  async mineTemplates() {
+    while (!this.stopping) {
+      const lockToken = await acquireLock('miningLock', 10000);
+      if (!lockToken) {
+        throw new MiningError(MiningFailure.BUSY, 'Mining is already in progress');
+      }
+
+      try {
+        const template = this.getTemplate();
+        const block = await this.blockchain.miner.mine(template);
+        if (!block) continue; // Cancelled: the template went stale or stop() was called
+
+        // The lock may have expired while mining and another miner taken it over, the storage also
+        // refuses the block if that miner already wrote with its newer fencing token
+        this.template = null;
+        await checkFencingToken('miningLock', lockToken);
+        const result = await this.blockchain.submitBlock(block, { fence: { resource: 'miningLock', token: lockToken } });
+        if (result.status === 'accepted') {
+          console.log(`Mined block ${block.index} with hash ${block.hash}`);
+          if (this.node) {
+            this.node.broadcastBlock(block);
+          }
+          this.emit('block', block);
+          return block;
+        }
+        if (result.status === 'rejected') {
+          throw new Error(`Mined block ${block.hash} was rejected: ${result.reason}`);
+        }
+        // Another block took the tip while this one was found, mine on top of it
+      } finally {
+        await releaseLock('miningLock', lockToken);
+      }
+    }
+    return null;
+  }
+
+  // Automatic attempt: mine unless a search is running or there is nothing worth mining
+  tick() {
+    if (this.mining || (!this.mineEmptyBlocks && this.blockchain.mempool.size === 0)) return;
+    this.mine().catch((error) => console.error('Mining failed:', error.message));
+  }
+}
+
+module.exports = { MiningDaemon };
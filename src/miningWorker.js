@@ -0,0 +1,28 @@
+'use strict';
+
+// Proof-of-work search run by the threads of a Miner (see src/miner.js).
+// Tries the nonces start, start + step, start + 2 * step... until the hash of `prefix + nonce + suffix`
+// starts with `difficulty` zeros, reporting the hashes tried every `progressInterval` milliseconds.
+// The miner stops the search by terminating the thread.
+
+const crypto = require('crypto');
+const { parentPort, workerData } = require('worker_threads');
+
+const { prefix, suffix, difficulty, start, step, progressInterval } = workerData;
+const target = '0'.repeat(difficulty);
+
+let hashes = 0;
+let lastReport = Date.now();
+for (let nonce = start; ; nonce += step) {
+  const hash = crypto.createHash('sha256').update(prefix + nonce + suffix).digest('hex');
+  hashes++;
+  if (hash.startsWith(target)) {
+    parentPort.postMessage({ type: 'found', nonce, hash, hashes });
+    break;
+  }
+  if ((hashes & 0x3ff) === 0 && Date.now() - lastReport >= progressInterval) {
+    parentPort.postMessage({ type: 'progress', hashes });
+    hashes = 0;
+    lastReport = Date.now();
+  }
+}
@@ -0,0 +1,85 @@
+'use strict';
+
+class MonetaryPolicy {
+  /**
+   * Issuance schedule of a chain: how many coins every block may mint.
+   * Block 1 to `halvingInterval` mint `initialReward`, every following `halvingInterval` blocks mint
+   * half as much (rounded down, so issuance ends once the reward reaches 0). With a `maxSupply` the
+   * reward of the block reaching the cap is cut to the remaining amount and later blocks mint nothing.
+   * The schedule only depends on these parameters, so every node computes the same rewards.
+   * @param {object} options
+   * @param {number} options.initialReward - Reward of the first blocks, an integer
+   * @param {number} [options.halvingInterval=0] - Blocks between two halvings, 0 to never halve
+   * @param {number|null} [options.maxSupply=null] - Hard cap on the supply, genesis allocations included
+   * @param {number} [options.genesisSupply=0] - Coins allocated by the genesis block
+   */
+  constructor({ initialReward, halvingInterval = 0, maxSupply = null, genesisSupply = 0 }) {
+    if (maxSupply !== null && genesisSupply > maxSupply) {
+      throw new Error(`Genesis allocations of ${genesisSupply} exceed the maximum supply of ${maxSupply}`);
+    }
+    this.initialReward = initialReward;
+    this.halvingInterval = halvingInterval;
+    this.maxSupply = maxSupply;
+    this.genesisSupply = genesisSupply;
+  }
+
+  /**
+   * Builds the policy described by a chain spec.
+   * @param {object} chainSpec - Complete chain spec, see src/chainSpec.js
+   * @returns {MonetaryPolicy}
+   */
+  static fromChainSpec(chainSpec) {
+    return new MonetaryPolicy({
+      initialReward: chainSpec.reward.initial,
+      halvingInterval: chainSpec.reward.halvingInterval,
+      maxSupply: chainSpec.reward.maxSupply,
+      genesisSupply: chainSpec.genesis.allocations.reduce((sum, allocation) => sum + allocation.amount, 0)
+    });
+  }
+
+  /**
+   * Gets the reward scheduled for a block, before applying the supply cap.
+   * @param {number} height - Block index, the genesis block (0) has no reward
+   * @returns {number}
+   */
+  getScheduledReward(height) {
+    if (height <= 0) return 0;
+    const halvings = this.halvingInterval > 0 ? Math.floor((height - 1) / this.halvingInterval) : 0;
+    return Math.floor(this.initialReward / Math.pow(2, halvings));
+  }
+
+  /**
+   * Gets the most coins that can exist once the block at `height` is mined.
+   * @param {number} height - Block index
+   * @returns {number}
+   */
+  getSupplyAtHeight(height) {
+    let issued = 0;
+    if (this.halvingInterval > 0) {
+      // Sum era by era: every block of an era has the same reward
+      for (let start = 1; start <= height; start += this.halvingInterval) {
+        const reward = this.getScheduledReward(start);
+        if (reward === 0) break;
+        issued += reward * (Math.min(start + this.halvingInterval - 1, height) - start + 1);
+      }
+    } else if (height > 0) {
+      issued = this.initialReward * height;
+    }
+
+    const supply = this.genesisSupply + issued;
+    return this.maxSupply !== null ? Math.min(supply, this.maxSupply) : supply;
+  }
+
+  /**
+   * Gets the reward the block at `height` may mint, the supply cap included.
+   * A coinbase transaction may claim this reward plus the fees of the block's transactions.
+   * @param {number} height - Block index
+   * @returns {number}
+   */
+  getBlockReward(height) {
+    if (height <= 0) return 0;
+    return this.getSupplyAtHeight(height) - this.getSupplyAtHeight(height - 1);
+  }
+}
+
+module.exports = { MonetaryPolicy };
@@ -0,0 +1,55 @@
+'use strict';
+
+// Version of the peer-to-peer wire format, peers speaking another version are disconnected
+const PROTOCOL_VERSION = 1;
+
+// Types of the messages exchanged between nodes
+const MessageType = Object.freeze({
+  HANDSHAKE: 'handshake', // First message on every connection: node id, chain id, genesis hash and chain tip
+  GET_BLOCKS: 'get_blocks', // Ask for the main branch blocks following a block locator
+  BLOCKS: 'blocks', // Answer to GET_BLOCKS
+  NEW_BLOCK: 'new_block', // Gossip of a newly mined or accepted block
+  NEW_TRANSACTION: 'new_transaction', // Gossip of a newly accepted transaction
+  ERROR: 'error' // Protocol error reported before closing the connection
+});
+
+/**
+ * Serialises a message for the wire.
+ * @param {string} type - One of MessageType
+ * @param {object} [payload={}] - Message specific data
+ * @returns {string} - JSON encoded message
+ */
+function createMessage(type, payload = {}) {
+  return JSON.stringify({ version: PROTOCOL_VERSION, type, payload });
+}
+
+/**
+ * Parses and checks a message received from a peer.
+ * @param {string|Buffer} raw - Data received on the socket
+ * @returns {{version: number, type: string, payload: object}} - Decoded message
+ * @throws {Error} - If the message is malformed, of another protocol version or of an unknown type
+ */
+function parseMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    throw new Error('Message is not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object') {
+    throw new Error('Message must be a JSON object');
+  }
+  if (message.version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported protocol version ${message.version}, expected ${PROTOCOL_VERSION}`);
+  }
+  if (!Object.values(MessageType).includes(message.type)) {
+    throw new Error(`Unknown message type ${message.type}`);
+  }
+  if (!message.payload || typeof message.payload !== 'object') {
+    throw new Error(`Missing payload in ${message.type} message`);
+  }
+  return message;
+}
+
+module.exports = { PROTOCOL_VERSION, MessageType, createMessage, parseMessage };
@@ -0,0 +1,301 @@
+'use strict';
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { Block, Transaction } = require('../blockchain');
+const { MessageType, createMessage, parseMessage } = require('./messages');
+
+class P2PNode {
+  /**
+   * A node of the peer-to-peer network. It accepts connections from other nodes over
+   * WebSockets, gossips new transactions and blocks, and syncs its chain from its peers.
+   * @param {Blockchain} blockchain - Local blockchain kept in sync with the network
+   * @param {object} [options]
+   * @param {number} [options.port=6001] - Port to listen on for incoming peers
+   * @param {string} [options.host='0.0.0.0'] - Interface to listen on
+   * @param {string} [options.nodeId] - Unique id of this node, random by default
+   * @param {number} [options.maxBlocksPerMessage=500] - Blocks sent in a single BLOCKS message
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.port = options.port !== undefined ? options.port : 6001; // 0 picks a free port
+    this.host = options.host || '0.0.0.0';
+    this.nodeId = options.nodeId || crypto.randomUUID();
+    this.maxBlocksPerMessage = options.maxBlocksPerMessage || 500;
+    this.server = null; // WebSocket server accepting incoming peers
+    this.peers = new Set(); // Connected peers: { socket, address, nodeId, ready, height }
+    this.queue = Promise.resolve(); // Messages are handled one at a time to keep the chain consistent
+  }
+
+  /**
+   * Starts listening for incoming peers.
+   * @returns {Promise<void>} - Resolves once the server is listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({ port: this.port, host: this.host });
+      this.server.once('listening', () => {
+        this.port = this.server.address().port; // Resolve the real port when 0 was requested
+        console.log(`P2P node ${this.nodeId} listening on port ${this.port}`);
+        resolve();
+      });
+      this.server.once('error', reject);
+      this.server.on('connection', (socket, request) => {
+        this.addPeer(socket, request.socket.remoteAddress);
+      });
+    });
+  }
+
+  /**
+   * Connects to another node and performs the handshake.
+   * @param {string} address - WebSocket URL of the peer, e.g. ws://localhost:6002
+   * @returns {Promise<object>} - Resolves with the peer once the handshake is complete
+   */
+  connect(address) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(address);
+      socket.once('open', () => {
+        const peer = this.addPeer(socket, address);
+        peer.onReady = () => resolve(peer);
+      });
+      socket.once('error', reject);
+      socket.once('close', () => reject(new Error(`Connection to ${address} closed before the handshake`)));
+    });
+  }
+
+  /**
+   * Closes every peer connection and stops the server.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const peer of this.peers) {
+      peer.socket.terminate();
+    }
+    this.peers.clear();
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Registers a new connection and sends our handshake.
+   * @param {WebSocket} socket - Open connection
+   * @param {string} address - Remote address, for logging
+   * @returns {object} - The peer
+   */
+  addPeer(socket, address) {
+    const peer = { socket, address, nodeId: null, ready: false, height: 0, onReady: null };
+    this.peers.add(peer);
+
+    socket.on('message', (raw) => {
+      this.queue = this.queue
+        .then(() => this.handleMessage(peer, raw))
+        .catch((error) => console.error(`Error handling message from ${peer.address}:`, error.message));
+    });
+    socket.on('close', () => this.peers.delete(peer));
+    socket.on('error', (error) => console.error(`Peer ${peer.address} error:`, error.message));
+
+    const tip = this.blockchain.getLatestBlock();
+    this.send(peer, MessageType.HANDSHAKE, {
+      nodeId: this.nodeId,
+      chainId: this.blockchain.chainId,
+      genesisHash: this.blockchain.chain[0].hash,
+      height: tip.index,
+      totalWork: this.blockchain.cumulativeWork.get(tip.hash)
+    });
+    return peer;
+  }
+
+  /**
+   * Gets the peers that completed the handshake.
+   * @returns {object[]} - Ready peers
+   */
+  getPeers() {
+    return [...this.peers].filter((peer) => peer.ready);
+  }
+
+  send(peer, type, payload) {
+    if (peer.socket.readyState === WebSocket.OPEN) {
+      peer.socket.send(createMessage(type, payload));
+    }
+  }
+
+  /**
+   * Sends a message to every ready peer.
+   * @param {string} type - One of MessageType
+   * @param {object} payload - Message specific data
+   * @param {object} [except] - Peer to skip, usually the one the data came from
+   */
+  broadcast(type, payload, except = null) {
+    for (const peer of this.getPeers()) {
+      if (peer !== except) this.send(peer, type, payload);
+    }
+  }
+
+  broadcastTransaction(transaction, except = null) {
+    this.broadcast(MessageType.NEW_TRANSACTION, { transaction }, except);
+  }
+
+  broadcastBlock(block, except = null) {
+    this.broadcast(MessageType.NEW_BLOCK, { block }, except);
+  }
+
+  /**
+   * Adds a transaction to the local pending pool and gossips it to the network.
+   * @param {Transaction} transaction - Signed transaction
+   * @returns {Promise<void>}
+   */
+  async submitTransaction(transaction) {
+    await this.blockchain.addTransaction(transaction);
+    this.broadcastTransaction(transaction);
+  }
+
+  /**
+   * Mines the pending transactions and gossips the new block to the network.
+   * @param {string} miningRewardAddress - Address receiving the block reward
+   * @returns {Promise<Block|undefined>} - The mined block, if any
+   */
+  async mine(miningRewardAddress) {
+    const block = await this.blockchain.minePendingTransactions(miningRewardAddress);
+    if (block) {
+      this.broadcastBlock(block);
+    }
+    return block;
+  }
+
+  /**
+   * Asks a peer for the blocks we are missing, starting from our block locator.
+   * @param {object} peer - Peer to sync from
+   */
+  requestBlocks(peer) {
+    this.send(peer, MessageType.GET_BLOCKS, {
+      locator: this.blockchain.getBlockLocator(),
+      limit: this.maxBlocksPerMessage
+    });
+  }
+
+  async handleMessage(peer, raw) {
+    let message;
+    try {
+      message = parseMessage(raw);
+    } catch (error) {
+      this.send(peer, MessageType.ERROR, { message: error.message });
+      peer.socket.close();
+      return;
+    }
+
+    if (!peer.ready && message.type !== MessageType.HANDSHAKE) {
+      return; // Nothing is accepted before the handshake
+    }
+
+    switch (message.type) {
+    case MessageType.HANDSHAKE:
+      return this.handleHandshake(peer, message.payload);
+    case MessageType.GET_BLOCKS:
+      return this.handleGetBlocks(peer, message.payload);
+    case MessageType.BLOCKS:
+      return this.handleBlocks(peer, message.payload);
+    case MessageType.NEW_BLOCK:
+      return this.handleNewBlock(peer, message.payload);
+    case MessageType.NEW_TRANSACTION:
+      return this.handleNewTransaction(peer, message.payload);
+    case MessageType.ERROR:
+      console.error(`Peer ${peer.address} reported an error: ${message.payload.message}`);
+    }
+  }
+
+  handleHandshake(peer, payload) {
+    if (payload.nodeId === this.nodeId) {
+      peer.socket.close(); // Connected to ourselves
+      return;
+    }
+    if (payload.chainId !== this.blockchain.chainId) {
+      this.send(peer, MessageType.ERROR, { message: `Chain mismatch: expected ${this.blockchain.chainId}, got ${payload.chainId}` });
+      peer.socket.close();
+      return;
+    }
+    if (payload.genesisHash !== this.blockchain.chain[0].hash) {
+      this.send(peer, MessageType.ERROR, { message: 'Genesis block mismatch' });
+      peer.socket.close();
+      return;
+    }
+
+    peer.nodeId = payload.nodeId;
+    peer.height = payload.height;
+    peer.ready = true;
+    console.log(`Handshake completed with ${peer.address} (node ${peer.nodeId}, height ${peer.height})`);
+
+    // Initial sync: fetch the peer's blocks when its chain carries more work than ours
+    const tip = this.blockchain.getLatestBlock();
+    if (payload.totalWork > this.blockchain.cumulativeWork.get(tip.hash)) {
+      this.requestBlocks(peer);
+    }
+    if (peer.onReady) peer.onReady();
+  }
+
+  handleGetBlocks(peer, payload) {
+    if (!Number.isInteger(payload.limit) || payload.limit <= 0) {
+      this.send(peer, MessageType.ERROR, { message: 'GET_BLOCKS limit must be a positive integer' });
+      return;
+    }
+    const limit = Math.min(payload.limit, this.maxBlocksPerMessage);
+    const blocks = this.blockchain.getBlocksAfterLocator(payload.locator || [], limit);
+    this.send(peer, MessageType.BLOCKS, { blocks });
+  }
+
+  async handleBlocks(peer, payload) {
+    const blocks = payload.blocks || [];
+    for (const data of blocks) {
+      let block;
+      try {
+        block = Block.fromJSON(data);
+        if (this.blockchain.getBlockByHash(block.hash)) continue;
+        await this.blockchain.addBlock(block);
+      } catch (error) {
+        console.error(`Rejected block ${block ? block.hash : '(malformed)'} from ${peer.address}:`, error.message);
+        return;
+      }
+      peer.height = Math.max(peer.height, block.index);
+    }
+
+    // A full batch means the peer probably has more blocks for us
+    if (blocks.length >= this.maxBlocksPerMessage) {
+      this.requestBlocks(peer);
+    }
+  }
+
+  async handleNewBlock(peer, payload) {
+    const block = Block.fromJSON(payload.block);
+    if (this.blockchain.getBlockByHash(block.hash)) return;
+
+    peer.height = Math.max(peer.height, block.index);
+    if (!this.blockchain.getBlockByHash(block.previousHash)) {
+      this.requestBlocks(peer); // We are missing its ancestors, sync them first
+      return;
+    }
+
+    await this.blockchain.addBlock(block);
+    this.broadcastBlock(block, peer);
+  }
+
+  async handleNewTransaction(peer, payload) {
+    // The hash is recomputed from the fields, a transaction announced under another hash is dropped
+    const transaction = Transaction.fromJSON(payload.transaction);
+    if (transaction.hash !== payload.transaction.hash) {
+      console.log(`Ignored transaction ${payload.transaction.hash} from ${peer.address}: its hash does not match its content`);
+      return;
+    }
+    if (this.blockchain.mempool.has(transaction.hash)) return;
+
+    try {
+      await this.blockchain.addTransaction(transaction);
+    } catch (error) {
+      console.log(`Ignored transaction ${transaction.hash} from ${peer.address}: ${error.message}`);
+      return;
+    }
+    this.broadcastTransaction(transaction, peer);
+  }
+}
+
+module.exports = { P2PNode };
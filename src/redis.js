@@ -1,21 +1,36 @@
+'use strict';
+
 const redis = require('redis');
-const { promisify } = require('util');
+const config = require('./config');
+
+let client = null; // Shared client, created on first use
 
-// Create a Redis client
-const client = redis.createClient();
+/**
+ * Gets the shared Redis client, connecting on first use.
+ * @returns {object|null} - Connected client, or null when Redis is disabled in the configuration
+ */
+function getRedisClient() {
+  if (!config.redis.enabled) return null;
+  if (!client) {
+    client = redis.createClient({ url: config.redis.url });
+    client.on('error', (err) => {
+      console.error('Redis Client Error', err);
+    });
+    client.connect().catch((err) => console.error('Could not connect to Redis:', err.message));
+  }
+  return client;
+}
 
-// Promisify Redis client methods for async/await usage
-const setAsync = promisify(client.set).bind(client);
-const getAsync = promisify(client.get).bind(client);
-const delAsync = promisify(client.del).bind(client);
-const lpushAsync = promisify(client.lpush).bind(client);
-const lrangeAsync = promisify(client.lrange).bind(client);
+/**
+ * Disconnects the shared client, if it was ever created.
+ * @returns {Promise<void>}
+ */
+async function closeRedisClient() {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit();
+  }
+}
 
-module.exports = {
-  setAsync,
-  getAsync,
-  delAsync,
-  lpushAsync,
-  lrangeAsync,
-  client,
-};
+module.exports = { getRedisClient, closeRedisClient };
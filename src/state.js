@@ -0,0 +1,207 @@
+'use strict';
+
+const { StateTree } = require('./stateTree');
+
+const BALANCE_KEY_PREFIX = 'wallet_balance_'; // Redis key prefix of the cached balances
+
+class LedgerState {
+  /**
+   * Account state (balances and nonces) derived by replaying confirmed blocks.
+   * The Redis cache is only a copy of this state and can always be rebuilt from the chain.
+   * @param {object|null} cache - Redis client used to cache balances, or null to disable caching
+   */
+  constructor(cache = null) {
+    this.cache = cache; // Redis client holding the cached balances
+    this.balances = new Map(); // Address -> confirmed balance
+    this.nonces = new Map(); // Address -> next nonce to be used by that address
+    this.tree = new StateTree(); // Sparse Merkle tree over every account, kept in step with the maps
+  }
+
+  /**
+   * Copies the state without its cache, e.g. to compute the state root of a block before applying it.
+   * @returns {LedgerState}
+   */
+  clone() {
+    const copy = new LedgerState();
+    copy.balances = new Map(this.balances);
+    copy.nonces = new Map(this.nonces);
+    copy.tree = this.tree.clone();
+    return copy;
+  }
+
+  /**
+   * Clears the state and replays every block of the chain in order.
+   * @param {Block[]} chain - Confirmed blocks, starting with the genesis block
+   */
+  replay(chain) {
+    this.balances.clear();
+    this.nonces.clear();
+    this.tree = new StateTree();
+    for (const block of chain) {
+      this.applyBlock(block);
+    }
+  }
+
+  /**
+   * Applies all transactions of a confirmed block.
+   * @param {Block} block - Block to apply
+   * @returns {string[]} - Addresses whose balance changed
+   */
+  applyBlock(block) {
+    const touched = new Set();
+    for (const tx of block.transactions) {
+      for (const address of this.applyTransaction(tx)) {
+        touched.add(address);
+      }
+    }
+    return [...touched];
+  }
+
+  /**
+   * Applies a single confirmed transaction.
+   * Reward transactions (no sender) only credit the recipient.
+   * @param {Transaction} tx - Transaction to apply
+   * @returns {string[]} - Addresses whose balance changed
+   */
+  applyTransaction(tx) {
+    const fee = tx.fee || 0;
+    const touched = [tx.toAddress];
+
+    if (tx.fromAddress !== null) {
+      this.balances.set(tx.fromAddress, this.getBalance(tx.fromAddress) - tx.amount - fee);
+      this.nonces.set(tx.fromAddress, Math.max(this.getNonce(tx.fromAddress), tx.nonce + 1));
+      touched.push(tx.fromAddress);
+    }
+    this.balances.set(tx.toAddress, this.getBalance(tx.toAddress) + tx.amount);
+    this.updateTree(touched);
+    return touched;
+  }
+
+  /**
+   * Undoes all transactions of a block, used when the block is orphaned by a reorganisation.
+   * Blocks must be reverted newest first.
+   * @param {Block} block - Block to revert
+   * @returns {string[]} - Addresses whose balance changed
+   */
+  revertBlock(block) {
+    const touched = new Set();
+    for (const tx of [...block.transactions].reverse()) {
+      const fee = tx.fee || 0;
+      if (tx.fromAddress !== null) {
+        this.balances.set(tx.fromAddress, this.getBalance(tx.fromAddress) + tx.amount + fee);
+        this.nonces.set(tx.fromAddress, Math.min(this.getNonce(tx.fromAddress), tx.nonce));
+        touched.add(tx.fromAddress);
+      }
+      this.balances.set(tx.toAddress, this.getBalance(tx.toAddress) - tx.amount);
+      touched.add(tx.toAddress);
+    }
+    this.updateTree(touched);
+    return [...touched];
+  }
+
+  /**
+   * Writes the current balance and nonce of the given addresses to the state tree.
+   * @param {Iterable<string>} addresses - Addresses that changed
+   */
+  updateTree(addresses) {
+    for (const address of addresses) {
+      this.tree.set(address, this.getAccount(address));
+    }
+  }
+
+  /**
+   * Gets the root hash of the state tree, committed to by the `stateRoot` of block headers.
+   * @returns {string}
+   */
+  getStateRoot() {
+    return this.tree.getRootHash();
+  }
+
+  /**
+   * Gets the proof of an account's state against getStateRoot(), see StateTree.getProof().
+   * @param {string} address - Address to prove
+   * @returns {{siblings: string[], leaf: object|null}}
+   */
+  getAccountProof(address) {
+    return this.tree.getProof(address);
+  }
+
+  /**
+   * Gets the confirmed balance of an address.
+   * @param {string} address - Address to look up
+   * @returns {number} - Balance of the address (0 if unknown)
+   */
+  getBalance(address) {
+    return this.balances.get(address) || 0;
+  }
+
+  /**
+   * Gets the balance and nonce of an address, as committed to by the state tree.
+   * @param {string} address - Address to look up
+   * @returns {{balance: number, nonce: number}}
+   */
+  getAccount(address) {
+    return { balance: this.getBalance(address), nonce: this.getNonce(address) };
+  }
+
+  /**
+   * Gets the next nonce an address has to use.
+   * @param {string} address - Address to look up
+   * @returns {number} - Number of transactions confirmed for the address
+   */
+  getNonce(address) {
+    return this.nonces.get(address) || 0;
+  }
+
+  /**
+   * Writes the balances of the given addresses to the cache.
+   * @param {string[]} [addresses] - Addresses to write, all known addresses by default
+   * @returns {Promise<void>}
+   */
+  async writeCache(addresses = [...this.balances.keys()]) {
+    if (!this.cache) return;
+    for (const address of addresses) {
+      await this.cache.set(BALANCE_KEY_PREFIX + address, this.getBalance(address));
+    }
+  }
+
+  /**
+   * Drops every cached balance and writes the current state to the cache.
+   * @returns {Promise<void>}
+   */
+  async rebuildCache() {
+    if (!this.cache) return;
+    const keys = await this.cache.keys(BALANCE_KEY_PREFIX + '*');
+    for (const key of keys) {
+      await this.cache.del(key);
+    }
+    await this.writeCache();
+  }
+
+  /**
+   * Compares the cached balances against the replayed state.
+   * @returns {Promise<{consistent: boolean, mismatches: Array<{address: string, cached: number|null, expected: number}>}>}
+   */
+  async checkConsistency() {
+    const mismatches = [];
+    if (!this.cache) return { consistent: true, mismatches };
+
+    const keys = await this.cache.keys(BALANCE_KEY_PREFIX + '*');
+    const addresses = new Set([
+      ...this.balances.keys(),
+      ...keys.map((key) => key.slice(BALANCE_KEY_PREFIX.length))
+    ]);
+
+    for (const address of addresses) {
+      const value = await this.cache.get(BALANCE_KEY_PREFIX + address);
+      const cached = value === null ? null : parseFloat(value);
+      const expected = this.getBalance(address);
+      if (cached !== expected) {
+        mismatches.push({ address, cached, expected });
+      }
+    }
+    return { consistent: mismatches.length === 0, mismatches };
+  }
+}
+
+module.exports = { LedgerState, BALANCE_KEY_PREFIX };
@@ -0,0 +1,214 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const EMPTY_HASH = '0'.repeat(64); // Hash of an empty subtree
+const LEAF_PREFIX = Buffer.from([0x00]); // Leaf and branch hashes are domain separated like RFC 6962 trees
+const BRANCH_PREFIX = Buffer.from([0x01]);
+const KEY_BITS = 256; // Accounts are placed by the SHA-256 hash of their address
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Nodes are immutable, updates rebuild the path to the root and share everything else:
+//   leaf    { key, valueHash, hash }  the only account of its subtree
+//   branch  { left, right, hash }     children are null for empty subtrees
+// A subtree holding a single account is replaced by its leaf, so paths are only as long as needed to
+// tell the accounts apart and the shape of the tree only depends on the accounts it holds.
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex');
+}
+
+function hashOf(node) {
+  return node ? node.hash : EMPTY_HASH;
+}
+
+// Bit of a hex key at `depth`, most significant bit first: 0 goes left, 1 goes right
+function bitAt(key, depth) {
+  return (parseInt(key[depth >> 2], 16) >> (3 - (depth & 3))) & 1;
+}
+
+function hashBranch(left, right) {
+  return sha256(BRANCH_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+function hashLeaf(key, valueHash) {
+  return sha256(LEAF_PREFIX, Buffer.from(key, 'hex'), Buffer.from(valueHash, 'hex'));
+}
+
+function makeLeaf(key, valueHash) {
+  return { key, valueHash, hash: hashLeaf(key, valueHash) };
+}
+
+function makeBranch(left, right) {
+  return { left, right, hash: hashBranch(hashOf(left), hashOf(right)) };
+}
+
+const isLeaf = (node) => node.key !== undefined;
+
+// Put two leaves below a new branch, adding branches until their keys differ
+function split(a, b, depth) {
+  const bitA = bitAt(a.key, depth);
+  if (bitA === bitAt(b.key, depth)) {
+    const child = split(a, b, depth + 1);
+    return bitA === 0 ? makeBranch(child, null) : makeBranch(null, child);
+  }
+  return bitA === 0 ? makeBranch(a, b) : makeBranch(b, a);
+}
+
+function insert(node, leaf, depth) {
+  if (node === null) return leaf;
+  if (isLeaf(node)) {
+    return node.key === leaf.key ? leaf : split(node, leaf, depth);
+  }
+  return bitAt(leaf.key, depth) === 0
+    ? makeBranch(insert(node.left, leaf, depth + 1), node.right)
+    : makeBranch(node.left, insert(node.right, leaf, depth + 1));
+}
+
+function remove(node, key, depth) {
+  if (node === null) return null;
+  if (isLeaf(node)) {
+    return node.key === key ? null : node;
+  }
+  const left = bitAt(key, depth) === 0 ? remove(node.left, key, depth + 1) : node.left;
+  const right = bitAt(key, depth) === 1 ? remove(node.right, key, depth + 1) : node.right;
+  if (left === node.left && right === node.right) return node; // Key not in the tree
+
+  // A branch left with a single leaf is replaced by that leaf, which then moves up as far as it can
+  if (left === null && (right === null || isLeaf(right))) return right;
+  if (right === null && isLeaf(left)) return left;
+  return makeBranch(left, right);
+}
+
+class StateTree {
+  /**
+   * Sparse Merkle tree over the account state, committed to by the `stateRoot` of block headers.
+   * Every account is a leaf at the position given by the hash of its address, so a proof shows both
+   * the balance of an account and, for an unknown address, that it has no balance at all.
+   * @param {object|null} [root=null] - Root node, shared with the tree it was cloned from
+   */
+  constructor(root = null) {
+    this.root = root;
+  }
+
+  /**
+   * Gets the key of an address: its position in the tree.
+   * @param {string} address - Account address
+   * @returns {string} - SHA-256 hash of the address
+   */
+  static keyOf(address) {
+    return sha256(address);
+  }
+
+  /**
+   * Hashes the state of an account into the value its leaf commits to.
+   * @param {{balance: number, nonce: number}} account - State of the account
+   * @returns {string} - Hash of the account state
+   */
+  static hashAccount({ balance, nonce }) {
+    return sha256(JSON.stringify([balance, nonce]));
+  }
+
+  /**
+   * Tells whether an account is absent from the tree. Accounts with neither balance nor transactions
+   * are left out, so an emptied account gives the same root as one that never existed.
+   * @param {{balance: number, nonce: number}|null} account - State of the account
+   * @returns {boolean}
+   */
+  static isEmptyAccount(account) {
+    return !account || (account.balance === 0 && account.nonce === 0);
+  }
+
+  /**
+   * Gets the root hash, the `stateRoot` of a block.
+   * @returns {string} - Root hash, 64 zeros for an empty tree
+   */
+  getRootHash() {
+    return hashOf(this.root);
+  }
+
+  /**
+   * Sets the state of an account, removing it when it is empty.
+   * @param {string} address - Account address
+   * @param {{balance: number, nonce: number}} account - New state of the account
+   */
+  set(address, account) {
+    const key = StateTree.keyOf(address);
+    this.root = StateTree.isEmptyAccount(account)
+      ? remove(this.root, key, 0)
+      : insert(this.root, makeLeaf(key, StateTree.hashAccount(account)), 0);
+  }
+
+  /**
+   * Copies the tree. Nodes are never modified, so the copy shares them and costs nothing.
+   * @returns {StateTree}
+   */
+  clone() {
+    return new StateTree(this.root);
+  }
+
+  /**
+   * Gets the proof of the state of an account: the sibling hashes on the path to the account's position,
+   * from the bottom up. When the path ends at the leaf of another account, that leaf is included to show
+   * the address has no leaf of its own.
+   * @param {string} address - Account address
+   * @returns {{siblings: string[], leaf: {key: string, valueHash: string}|null}} - The proof
+   */
+  getProof(address) {
+    const key = StateTree.keyOf(address);
+    const siblings = [];
+    let node = this.root;
+    for (let depth = 0; node !== null && !isLeaf(node); depth++) {
+      if (bitAt(key, depth) === 0) {
+        siblings.push(hashOf(node.right));
+        node = node.left;
+      } else {
+        siblings.push(hashOf(node.left));
+        node = node.right;
+      }
+    }
+    const leaf = node !== null && node.key !== key ? { key: node.key, valueHash: node.valueHash } : null;
+    return { siblings: siblings.reverse(), leaf };
+  }
+
+  /**
+   * Verifies the state of an account against a state root, using only the proof.
+   * @param {string} address - Account address
+   * @param {{balance: number, nonce: number}|null} account - Claimed state, null (or empty) for an unknown address
+   * @param {{siblings: string[], leaf: {key: string, valueHash: string}|null}} proof - The proof, as returned by getProof()
+   * @param {string} root - State root of a block header
+   * @returns {boolean} - True if the account has exactly this state under this root
+   */
+  static verifyProof(address, account, proof, root) {
+    if (!proof || !Array.isArray(proof.siblings) || proof.siblings.length > KEY_BITS) return false;
+    if (!proof.siblings.every((sibling) => typeof sibling === 'string' && HASH_PATTERN.test(sibling))) return false;
+    const key = StateTree.keyOf(address);
+    const depth = proof.siblings.length;
+
+    let hash;
+    if (!StateTree.isEmptyAccount(account)) {
+      if (proof.leaf) return false;
+      hash = hashLeaf(key, StateTree.hashAccount(account));
+    } else if (!proof.leaf) {
+      hash = EMPTY_HASH; // The position of the address is empty
+    } else {
+      // Another account holds the position: its key must share the path but differ from the address's key
+      const other = proof.leaf;
+      if (typeof other.key !== 'string' || !HASH_PATTERN.test(other.key) || other.key === key) return false;
+      if (typeof other.valueHash !== 'string' || !HASH_PATTERN.test(other.valueHash)) return false;
+      for (let d = 0; d < depth; d++) {
+        if (bitAt(other.key, d) !== bitAt(key, d)) return false;
+      }
+      hash = hashLeaf(other.key, other.valueHash);
+    }
+
+    for (const [i, sibling] of proof.siblings.entries()) {
+      hash = bitAt(key, depth - 1 - i) === 0 ? hashBranch(hash, sibling) : hashBranch(sibling, hash);
+    }
+    return hash === root;
+  }
+}
+
+module.exports = { StateTree, EMPTY_HASH };
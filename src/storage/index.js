@@ -0,0 +1,69 @@
+'use strict';
+
+const config = require('../config');
+const { MemoryStorage } = require('./memory');
+
+// Every storage backend implements the same asynchronous interface, exchanging plain objects:
+//
+//   blocks         saveBlock(block), getBlock(hash), getBlocks()  (ordered by index)
+//                  { hash, previousHash, timestamp, nonce, difficulty, merkleRoot, index, version, stateRoot }
+//   transactions   saveTransaction(tx), getTransaction(hash), getBlockTransactions(blockHash)  (ordered by position)
+//                  { hash, blockHash, position, fromAddress, toAddress, amount, fee, nonce, timestamp, signature }
+//   merkle nodes   saveMerkleNode(node), saveMerkleNodes(nodes) (batched inserts), getMerkleNodes(blockHash)
+//                  { blockHash, level, index, value }
+//   merkle proofs  saveMerkleProof(blockHash, transactionHash, proof), getMerkleProof(transactionHash),
+//                  getMerkleProofs(blockHash), deleteMerkleProofs(blockHash)
+//                  proof: [{ hash, position }] from the leaf up to the root, see MerkleTree.getProof()
+//   pending pool   addPendingTransaction(tx), getPendingTransactions(), removePendingTransaction(hash),
+//                  countPendingTransactions(), clearPendingTransactions()
+//                  { hash, fromAddress, toAddress, amount, fee, nonce, timestamp, signature }
+//   repair         deleteBlock(hash) (with its transactions, nodes and proofs), deleteOrphanedRows()
+//   atomicity      transaction(work): runs `await work(storage)` and commits every write made through
+//                  the given storage, or rolls all of them back when it throws. Not reentrant.
+//   lifecycle      close()
+
+let storage = null; // Shared storage, created on first use
+
+/**
+ * Creates the storage backend selected by the configuration.
+ * @param {object} [options=config.storage] - `backend` (mysql, sqlite or memory) and its settings
+ * @returns {object} - Storage backend
+ * @throws {Error} - If the backend is unknown
+ */
+function createStorage(options = config.storage) {
+  switch (options.backend) {
+  case 'mysql': {
+    const { MySqlStorage } = require('./mysql');
+    return new MySqlStorage(options.mysql);
+  }
+  case 'sqlite': {
+    const { SqliteStorage } = require('./sqlite');
+    return new SqliteStorage(options.sqlite);
+  }
+  case 'memory':
+    return new MemoryStorage();
+  default:
+    throw new Error(`Unknown storage backend ${options.backend}, expected mysql, sqlite or memory`);
+  }
+}
+
+/**
+ * Gets the shared storage, creating the configured backend on first use.
+ * @returns {object} - Storage backend
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replaces the shared storage, e.g. with a fresh in-memory store in tests.
+ * @param {object} newStorage - Storage backend
+ */
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+module.exports = { createStorage, getStorage, setStorage };
@@ -0,0 +1,231 @@
+'use strict';
+
+// Copy rows in and out so callers never share objects with the store, like a real database
+const copy = (row) => (row ? { ...row } : null);
+
+// Writes to a store, synchronous so that a committing transaction applies all of them without any
+// other caller interleaving. They check everything before changing anything, so a failed write has no effect.
+const writes = {
+  saveBlock(store, block) {
+    if (store.blocks.has(block.hash)) {
+      throw new Error(`Duplicate block ${block.hash}`);
+    }
+    store.blocks.set(block.hash, copy(block));
+  },
+
+  saveTransaction(store, transaction) {
+    store.transactions.push(copy(transaction));
+  },
+
+  saveMerkleNodes(store, nodes) {
+    for (const node of nodes) {
+      store.merkleNodes.push(copy(node));
+    }
+  },
+
+  saveMerkleProof(store, blockHash, transactionHash, proof) {
+    store.merkleProofs.push({ blockHash, transactionHash, proof: JSON.stringify(proof) });
+  },
+
+  deleteMerkleProofs(store, blockHash) {
+    store.merkleProofs = store.merkleProofs.filter((entry) => entry.blockHash !== blockHash);
+  },
+
+  deleteBlock(store, hash) {
+    store.blocks.delete(hash);
+    store.transactions = store.transactions.filter((tx) => tx.blockHash !== hash);
+    store.merkleNodes = store.merkleNodes.filter((node) => node.blockHash !== hash);
+    store.merkleProofs = store.merkleProofs.filter((entry) => entry.blockHash !== hash);
+  },
+
+  deleteOrphanedRows(store) {
+    const known = (row) => store.blocks.has(row.blockHash);
+    const before = store.transactions.length + store.merkleNodes.length + store.merkleProofs.length;
+    store.transactions = store.transactions.filter(known);
+    store.merkleNodes = store.merkleNodes.filter(known);
+    store.merkleProofs = store.merkleProofs.filter(known);
+    return before - (store.transactions.length + store.merkleNodes.length + store.merkleProofs.length);
+  },
+
+  addPendingTransaction(store, transaction) {
+    if (store.pending.has(transaction.hash)) {
+      throw new Error(`Duplicate pending transaction ${transaction.hash}`);
+    }
+    store.pending.set(transaction.hash, copy(transaction));
+  },
+
+  removePendingTransaction(store, hash) {
+    store.pending.delete(hash);
+  },
+
+  clearPendingTransactions(store) {
+    store.pending.clear();
+  },
+
+  saveFencingToken(store, resource, token) {
+    const last = store.fencingTokens.get(resource) || 0;
+    if (token < last) {
+      throw new Error(`Fencing token ${token} of ${resource} is stale, token ${last} already wrote`);
+    }
+    store.fencingTokens.set(resource, token);
+  }
+};
+
+class MemoryStorage {
+  /**
+   * Storage keeping everything in process memory. Nothing survives a restart, which makes it
+   * suited to tests and throwaway local nodes.
+   */
+  constructor() {
+    this.blocks = new Map(); // Block hash -> block row
+    this.transactions = []; // Transaction rows, in insertion order
+    this.merkleNodes = []; // Merkle node rows, in insertion order
+    this.merkleProofs = []; // Merkle proof rows, in insertion order
+    this.pending = new Map(); // Transaction hash -> pending transaction row, in insertion order
+    this.fencingTokens = new Map(); // Lock guarded resource -> last fencing token written
+    this.log = null; // Writes made inside a transaction, replayed on the store when it commits
+  }
+
+  // Apply a write, recording it when this is the staging store of a transaction
+  write(operation, ...args) {
+    const result = writes[operation](this, ...args);
+    if (this.log) this.log.push([operation, args]);
+    return result;
+  }
+
+  // Copy the collections (rows are never changed in place, so they can be shared)
+  getState() {
+    return {
+      blocks: new Map(this.blocks),
+      transactions: [...this.transactions],
+      merkleNodes: [...this.merkleNodes],
+      merkleProofs: [...this.merkleProofs],
+      pending: new Map(this.pending),
+      fencingTokens: new Map(this.fencingTokens)
+    };
+  }
+
+  async saveBlock(block) {
+    this.write('saveBlock', block);
+  }
+
+  async getBlock(hash) {
+    return copy(this.blocks.get(hash));
+  }
+
+  async getBlocks() {
+    return [...this.blocks.values()].sort((a, b) => a.index - b.index).map(copy);
+  }
+
+  async saveTransaction(transaction) {
+    this.write('saveTransaction', transaction);
+  }
+
+  async getTransaction(hash) {
+    return copy(this.transactions.find((tx) => tx.hash === hash));
+  }
+
+  async getBlockTransactions(blockHash) {
+    return this.transactions
+      .filter((tx) => tx.blockHash === blockHash)
+      .sort((a, b) => a.position - b.position)
+      .map(copy);
+  }
+
+  async saveMerkleNode(node) {
+    this.write('saveMerkleNodes', [node]);
+  }
+
+  async saveMerkleNodes(nodes) {
+    this.write('saveMerkleNodes', nodes);
+  }
+
+  async getMerkleNodes(blockHash) {
+    return this.merkleNodes
+      .filter((node) => node.blockHash === blockHash)
+      .sort((a, b) => a.level - b.level || a.index - b.index)
+      .map(copy);
+  }
+
+  async saveMerkleProof(blockHash, transactionHash, proof) {
+    this.write('saveMerkleProof', blockHash, transactionHash, proof);
+  }
+
+  async getMerkleProof(transactionHash) {
+    const row = this.merkleProofs.find((entry) => entry.transactionHash === transactionHash);
+    return row ? JSON.parse(row.proof) : null;
+  }
+
+  async getMerkleProofs(blockHash) {
+    return this.merkleProofs
+      .filter((entry) => entry.blockHash === blockHash)
+      .map((entry) => ({ transactionHash: entry.transactionHash, proof: JSON.parse(entry.proof) }));
+  }
+
+  async deleteMerkleProofs(blockHash) {
+    this.write('deleteMerkleProofs', blockHash);
+  }
+
+  async deleteBlock(hash) {
+    this.write('deleteBlock', hash);
+  }
+
+  async deleteOrphanedRows() {
+    return this.write('deleteOrphanedRows');
+  }
+
+  async addPendingTransaction(transaction) {
+    this.write('addPendingTransaction', transaction);
+  }
+
+  async getPendingTransactions() {
+    return [...this.pending.values()].map(copy);
+  }
+
+  async removePendingTransaction(hash) {
+    this.write('removePendingTransaction', hash);
+  }
+
+  async countPendingTransactions() {
+    return this.pending.size;
+  }
+
+  async clearPendingTransactions() {
+    this.write('clearPendingTransactions');
+  }
+
+  async saveFencingToken(resource, token) {
+    this.write('saveFencingToken', resource, token);
+  }
+
+  /**
+   * Runs `work` atomically: its writes go to a staging copy of the store and are replayed on the
+   * store only once it resolves, so other callers never see them before and a failure leaves nothing.
+   * Writes of other callers made meanwhile are kept.
+   * @param {function(MemoryStorage): Promise<*>} work - Writes to perform, given the storage to write to
+   * @returns {Promise<*>} - Result of `work`
+   * @throws {Error} - The error of `work`, or of a write conflicting with one committed meanwhile
+   */
+  async transaction(work) {
+    const staging = Object.assign(Object.create(this), this.getState(), { log: [] }); // Same methods, own collections
+    const result = await work(staging);
+
+    // Replayed synchronously: nothing else runs until every write is applied or the store is restored
+    const state = this.getState();
+    const logged = this.log ? this.log.length : 0;
+    try {
+      for (const [operation, args] of staging.log) {
+        this.write(operation, ...args);
+      }
+    } catch (error) {
+      Object.assign(this, state);
+      if (this.log) this.log.length = logged;
+      throw error;
+    }
+    return result;
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,72 @@
+'use strict';
+
+// Tables written by Block.save(), Transaction.save() and the pending pool.
+// Column types are chosen to mean the same thing on MySQL and SQLite.
+module.exports = {
+  up: [
+    `CREATE TABLE blocks (
+      hash VARCHAR(64) NOT NULL PRIMARY KEY,
+      previous_hash VARCHAR(64) NOT NULL,
+      timestamp BIGINT NOT NULL,
+      nonce BIGINT NOT NULL,
+      difficulty INT NOT NULL,
+      merkle_root VARCHAR(64) NOT NULL,
+      \`index\` INT NOT NULL
+    )`,
+    'CREATE INDEX idx_blocks_index ON blocks (`index`)',
+    'CREATE INDEX idx_blocks_previous_hash ON blocks (previous_hash)',
+
+    // A transaction can appear in blocks of competing branches, hence the composite key
+    `CREATE TABLE transactions (
+      hash VARCHAR(64) NOT NULL,
+      block_hash VARCHAR(64) NOT NULL,
+      position INT NOT NULL,
+      from_address VARCHAR(255),
+      to_address VARCHAR(255) NOT NULL,
+      amount DOUBLE NOT NULL,
+      fee DOUBLE NOT NULL DEFAULT 0,
+      nonce INT NOT NULL DEFAULT 0,
+      timestamp BIGINT NOT NULL,
+      signature TEXT,
+      PRIMARY KEY (hash, block_hash)
+    )`,
+    'CREATE INDEX idx_transactions_block_hash ON transactions (block_hash)',
+    'CREATE INDEX idx_transactions_from_address ON transactions (from_address)',
+    'CREATE INDEX idx_transactions_to_address ON transactions (to_address)',
+
+    `CREATE TABLE pending_transactions (
+      hash VARCHAR(64) NOT NULL PRIMARY KEY,
+      from_address VARCHAR(255) NOT NULL,
+      to_address VARCHAR(255) NOT NULL,
+      amount DOUBLE NOT NULL,
+      fee DOUBLE NOT NULL DEFAULT 0,
+      nonce INT NOT NULL DEFAULT 0,
+      timestamp BIGINT NOT NULL,
+      signature TEXT
+    )`,
+
+    `CREATE TABLE merkle_nodes (
+      block_hash VARCHAR(64) NOT NULL,
+      node_level INT NOT NULL,
+      node_index INT NOT NULL,
+      node_value VARCHAR(64) NOT NULL,
+      PRIMARY KEY (block_hash, node_level, node_index)
+    )`,
+
+    `CREATE TABLE merkle_proof_paths (
+      block_hash VARCHAR(64) NOT NULL,
+      transaction_hash VARCHAR(64) NOT NULL,
+      proof_path TEXT NOT NULL,
+      PRIMARY KEY (block_hash, transaction_hash)
+    )`,
+    'CREATE INDEX idx_merkle_proof_paths_transaction_hash ON merkle_proof_paths (transaction_hash)'
+  ],
+  // Indexes are dropped with their tables
+  down: [
+    'DROP TABLE merkle_proof_paths',
+    'DROP TABLE merkle_nodes',
+    'DROP TABLE pending_transactions',
+    'DROP TABLE transactions',
+    'DROP TABLE blocks'
+  ]
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+// Block format version, which selects the Merkle tree construction. Blocks stored before it existed are version 1.
+module.exports = {
+  up: [
+    'ALTER TABLE blocks ADD COLUMN version INT NOT NULL DEFAULT 1'
+  ],
+  down: [
+    'ALTER TABLE blocks DROP COLUMN version'
+  ]
+};
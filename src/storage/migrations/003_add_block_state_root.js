@@ -0,0 +1,11 @@
+'use strict';
+
+// State root committed to by blocks of version 3 and later, null for older blocks
+module.exports = {
+  up: [
+    'ALTER TABLE blocks ADD COLUMN state_root VARCHAR(64)'
+  ],
+  down: [
+    'ALTER TABLE blocks DROP COLUMN state_root'
+  ]
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+// Last fencing token written with each lock guarded resource, see saveFencingToken() of the storage backends
+module.exports = {
+  up: [
+    `CREATE TABLE fencing_tokens (
+      resource VARCHAR(255) NOT NULL PRIMARY KEY,
+      token BIGINT NOT NULL
+    )`
+  ],
+  down: [
+    'DROP TABLE fencing_tokens'
+  ]
+};
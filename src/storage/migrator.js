@@ -0,0 +1,155 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/; // e.g. 001_create_tables.js
+
+/**
+ * Loads the migrations of a directory, ordered by version.
+ * Each file is named `<version>_<name>.js` and exports `up` and `down` arrays of SQL statements.
+ * @param {string} [dir=MIGRATIONS_DIR] - Directory holding the migration files
+ * @returns {Array<{version: number, name: string, up: string[], down: string[]}>}
+ * @throws {Error} - If two files share a version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const { up, down } = require(path.join(dir, file));
+    migrations.push({ version: Number(match[1]), name: match[2], up, down });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+class Migrator {
+  /**
+   * Applies and reverts the schema migrations of a SQL storage backend.
+   * Applied versions are recorded in the `schema_migrations` table of the database itself.
+   * @param {SqlStorage} storage - MySQL or SQLite storage
+   * @param {Array} [migrations] - Migrations to manage, loaded from src/storage/migrations by default
+   * @throws {Error} - If the storage has no SQL schema (e.g. the in-memory backend)
+   */
+  constructor(storage, migrations = loadMigrations()) {
+    if (typeof storage.query !== 'function') {
+      throw new Error('Migrations only apply to the mysql and sqlite storage backends');
+    }
+    this.storage = storage;
+    this.migrations = migrations;
+  }
+
+  async ensureTable() {
+    await this.storage.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at BIGINT NOT NULL
+    )`);
+  }
+
+  /**
+   * Gets the applied migrations.
+   * @returns {Promise<Map<number, number>>} - Version -> timestamp it was applied at
+   */
+  async getApplied() {
+    await this.ensureTable();
+    const rows = await this.storage.query('SELECT version, applied_at FROM schema_migrations ORDER BY version ASC');
+    return new Map(rows.map((row) => [Number(row.version), Number(row.applied_at)]));
+  }
+
+  /**
+   * Gets the current schema version.
+   * @returns {Promise<number>} - Highest applied version, 0 for an empty database
+   */
+  async getVersion() {
+    const applied = await this.getApplied();
+    return applied.size > 0 ? Math.max(...applied.keys()) : 0;
+  }
+
+  /**
+   * Lists every known migration and whether it is applied.
+   * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: number|null}>>}
+   */
+  async status() {
+    const applied = await this.getApplied();
+    return this.migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.has(version) ? applied.get(version) : null
+    }));
+  }
+
+  /**
+   * Runs the statements of a migration together with the change to its `schema_migrations` row.
+   * On backends with transactional DDL (SQLite) both happen in one transaction, so a failing statement
+   * leaves the migration neither half applied nor recorded. MySQL commits each DDL statement implicitly.
+   * @param {string[]} statements - Statements of the migration
+   * @param {string} sql - Statement recording the migration
+   * @param {Array} params - Placeholder values of `sql`
+   */
+  async run(statements, sql, params) {
+    const work = async(db) => {
+      for (const statement of statements) {
+        await db.query(statement);
+      }
+      await db.query(sql, params);
+    };
+    if (this.storage.transactionalDdl) {
+      await this.storage.transaction(work);
+    } else {
+      await work(this.storage);
+    }
+  }
+
+  /**
+   * Applies the pending migrations in order.
+   * @param {number} [target=Infinity] - Last version to apply
+   * @returns {Promise<Array>} - Migrations that were applied
+   */
+  async up(target = Infinity) {
+    const applied = await this.getApplied();
+    const done = [];
+    for (const migration of this.migrations) {
+      if (migration.version > target || applied.has(migration.version)) continue;
+
+      console.log(`Applying migration ${migration.version} ${migration.name}`);
+      await this.run(
+        migration.up,
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, Date.now()]
+      );
+      done.push(migration);
+    }
+    return done;
+  }
+
+  /**
+   * Reverts the most recently applied migrations.
+   * @param {number} [steps=1] - Number of migrations to revert
+   * @returns {Promise<Array>} - Migrations that were reverted
+   */
+  async down(steps = 1) {
+    const applied = await this.getApplied();
+    const reverted = [];
+    for (const migration of [...this.migrations].reverse()) {
+      if (reverted.length >= steps) break;
+      if (!applied.has(migration.version)) continue;
+
+      console.log(`Reverting migration ${migration.version} ${migration.name}`);
+      await this.run(migration.down, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      reverted.push(migration);
+    }
+    return reverted;
+  }
+}
+
+module.exports = { Migrator, loadMigrations };
@@ -0,0 +1,73 @@
+'use strict';
+
+const mysql = require('mysql2');
+const { SqlStorage } = require('./sql');
+
+// Run a statement on a connection or pool
+function runQuery(connection, sql, params) {
+  return new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, results) => {
+      if (err) return reject(err);
+      resolve(Array.isArray(results) ? results : []);
+    });
+  });
+}
+
+// Storage bound to the connection of an open database transaction
+class MySqlTransaction extends SqlStorage {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+  }
+
+  query(sql, params = []) {
+    return runQuery(this.connection, sql, params);
+  }
+}
+
+class MySqlStorage extends SqlStorage {
+  /**
+   * Storage in a MySQL database.
+   * @param {object} options - Connection settings: host, port, user, password, database
+   */
+  constructor(options) {
+    super();
+    this.pool = mysql.createPool(options); // Transactions need a connection of their own
+  }
+
+  query(sql, params = []) {
+    return runQuery(this.pool, sql, params);
+  }
+
+  /**
+   * Runs `work` in a database transaction, committed when it resolves and rolled back when it throws.
+   * @param {function(SqlStorage): Promise<*>} work - Writes to perform, given the storage to write to
+   * @returns {Promise<*>} - Result of `work`
+   */
+  async transaction(work) {
+    const connection = await new Promise((resolve, reject) => {
+      this.pool.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+    });
+    try {
+      await runQuery(connection, 'START TRANSACTION', []);
+      try {
+        const result = await work(new MySqlTransaction(connection));
+        await runQuery(connection, 'COMMIT', []);
+        return result;
+      } catch (error) {
+        await runQuery(connection, 'ROLLBACK', []);
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.pool.end((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = { MySqlStorage };
@@ -0,0 +1,202 @@
+'use strict';
+
+// Map database rows (snake_case columns) to the plain objects exchanged with the storage callers
+
+function toBlock(row) {
+  return {
+    hash: row.hash,
+    previousHash: row.previous_hash,
+    timestamp: Number(row.timestamp),
+    nonce: Number(row.nonce),
+    difficulty: Number(row.difficulty),
+    merkleRoot: row.merkle_root,
+    index: Number(row.index),
+    version: Number(row.version),
+    stateRoot: row.state_root || null
+  };
+}
+
+function toTransaction(row) {
+  return {
+    hash: row.hash,
+    blockHash: row.block_hash,
+    position: Number(row.position),
+    fromAddress: row.from_address,
+    toAddress: row.to_address,
+    amount: Number(row.amount),
+    fee: Number(row.fee),
+    nonce: Number(row.nonce),
+    timestamp: Number(row.timestamp),
+    signature: row.signature
+  };
+}
+
+// Rows per multi-row INSERT, keeps the placeholders of a statement below SQLite's oldest limit of 999
+const INSERT_BATCH_SIZE = 200;
+
+function toPendingTransaction(row) {
+  const { blockHash, position, ...transaction } = toTransaction(row);
+  return transaction;
+}
+
+// Storage backed by a SQL database. Subclasses only provide `query()` for their driver,
+// every statement here is written to run unchanged on MySQL and SQLite.
+class SqlStorage {
+  /**
+   * Runs a statement.
+   * @param {string} sql - Statement with `?` placeholders
+   * @param {Array} [params=[]] - Placeholder values
+   * @returns {Promise<object[]>} - Selected rows, or an empty array for statements returning none
+   */
+  async query(sql, params = []) {
+    throw new Error('query() must be implemented by the SQL storage backend');
+  }
+
+  async saveBlock(block) {
+    await this.query(
+      'INSERT INTO blocks (hash, previous_hash, timestamp, nonce, difficulty, merkle_root, `index`, version, state_root) ' +
+        'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [block.hash, block.previousHash, block.timestamp, block.nonce, block.difficulty, block.merkleRoot, block.index,
+        block.version || 1, block.stateRoot || null]
+    );
+  }
+
+  async getBlock(hash) {
+    const rows = await this.query('SELECT * FROM blocks WHERE hash = ?', [hash]);
+    return rows.length > 0 ? toBlock(rows[0]) : null;
+  }
+
+  async getBlocks() {
+    const rows = await this.query('SELECT * FROM blocks ORDER BY `index` ASC');
+    return rows.map(toBlock);
+  }
+
+  async saveTransaction(transaction) {
+    await this.query(
+      'INSERT INTO transactions (hash, block_hash, position, from_address, to_address, amount, fee, nonce, timestamp, signature) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [transaction.hash, transaction.blockHash, transaction.position, transaction.fromAddress, transaction.toAddress,
+        transaction.amount, transaction.fee, transaction.nonce, transaction.timestamp, transaction.signature]
+    );
+  }
+
+  async getTransaction(hash) {
+    const rows = await this.query('SELECT * FROM transactions WHERE hash = ?', [hash]);
+    return rows.length > 0 ? toTransaction(rows[0]) : null;
+  }
+
+  async getBlockTransactions(blockHash) {
+    const rows = await this.query('SELECT * FROM transactions WHERE block_hash = ? ORDER BY position ASC', [blockHash]);
+    return rows.map(toTransaction);
+  }
+
+  async saveMerkleNode(node) {
+    await this.query(
+      'INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES (?, ?, ?, ?)',
+      [node.blockHash, node.level, node.index, node.value]
+    );
+  }
+
+  async saveMerkleNodes(nodes) {
+    for (let start = 0; start < nodes.length; start += INSERT_BATCH_SIZE) {
+      const batch = nodes.slice(start, start + INSERT_BATCH_SIZE);
+      await this.query(
+        `INSERT INTO merkle_nodes (block_hash, node_level, node_index, node_value) VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}`,
+        batch.flatMap((node) => [node.blockHash, node.level, node.index, node.value])
+      );
+    }
+  }
+
+  async getMerkleNodes(blockHash) {
+    const rows = await this.query(
+      'SELECT * FROM merkle_nodes WHERE block_hash = ? ORDER BY node_level ASC, node_index ASC',
+      [blockHash]
+    );
+    return rows.map((row) => ({
+      blockHash: row.block_hash,
+      level: Number(row.node_level),
+      index: Number(row.node_index),
+      value: row.node_value
+    }));
+  }
+
+  async saveMerkleProof(blockHash, transactionHash, proof) {
+    await this.query(
+      'INSERT INTO merkle_proof_paths (block_hash, transaction_hash, proof_path) VALUES (?, ?, ?)',
+      [blockHash, transactionHash, JSON.stringify(proof)]
+    );
+  }
+
+  async getMerkleProof(transactionHash) {
+    const rows = await this.query('SELECT proof_path FROM merkle_proof_paths WHERE transaction_hash = ?', [transactionHash]);
+    return rows.length > 0 ? JSON.parse(rows[0].proof_path) : null;
+  }
+
+  async getMerkleProofs(blockHash) {
+    const rows = await this.query('SELECT transaction_hash, proof_path FROM merkle_proof_paths WHERE block_hash = ?', [blockHash]);
+    return rows.map((row) => ({ transactionHash: row.transaction_hash, proof: JSON.parse(row.proof_path) }));
+  }
+
+  async deleteMerkleProofs(blockHash) {
+    await this.query('DELETE FROM merkle_proof_paths WHERE block_hash = ?', [blockHash]);
+  }
+
+  // Delete a block together with its transactions, merkle nodes and proofs
+  async deleteBlock(hash) {
+    for (const table of ['merkle_proof_paths', 'merkle_nodes', 'transactions']) {
+      await this.query(`DELETE FROM ${table} WHERE block_hash = ?`, [hash]);
+    }
+    await this.query('DELETE FROM blocks WHERE hash = ?', [hash]);
+  }
+
+  // Delete transactions, merkle nodes and proofs whose block does not exist, returns how many rows were deleted
+  async deleteOrphanedRows() {
+    let deleted = 0;
+    for (const table of ['merkle_proof_paths', 'merkle_nodes', 'transactions']) {
+      const condition = `FROM ${table} WHERE block_hash NOT IN (SELECT hash FROM blocks)`;
+      const rows = await this.query(`SELECT COUNT(*) AS count ${condition}`);
+      deleted += Number(rows[0].count);
+      await this.query(`DELETE ${condition}`);
+    }
+    return deleted;
+  }
+
+  async addPendingTransaction(transaction) {
+    await this.query(
+      'INSERT INTO pending_transactions (hash, from_address, to_address, amount, fee, nonce, timestamp, signature) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [transaction.hash, transaction.fromAddress, transaction.toAddress, transaction.amount,
+        transaction.fee, transaction.nonce, transaction.timestamp, transaction.signature]
+    );
+  }
+
+  async getPendingTransactions() {
+    const rows = await this.query('SELECT * FROM pending_transactions ORDER BY timestamp ASC');
+    return rows.map(toPendingTransaction);
+  }
+
+  async removePendingTransaction(hash) {
+    await this.query('DELETE FROM pending_transactions WHERE hash = ?', [hash]);
+  }
+
+  async countPendingTransactions() {
+    const rows = await this.query('SELECT COUNT(*) AS count FROM pending_transactions');
+    return Number(rows[0].count);
+  }
+
+  async clearPendingTransactions() {
+    await this.query('DELETE FROM pending_transactions');
+  }
+
+  // Record the fencing token a write under a lock holds, refusing a token older than the last one recorded.
+  // The UPDATE locks the row, so inside the transaction of the write the check and the write are atomic.
+  async saveFencingToken(resource, token) {
+    await this.query('UPDATE fencing_tokens SET token = ? WHERE resource = ? AND token <= ?', [token, resource, token]);
+    const rows = await this.query('SELECT token FROM fencing_tokens WHERE resource = ?', [resource]);
+    if (rows.length === 0) {
+      await this.query('INSERT INTO fencing_tokens (resource, token) VALUES (?, ?)', [resource, token]);
+    } else if (Number(rows[0].token) !== token) {
+      throw new Error(`Fencing token ${token} of ${resource} is stale, token ${rows[0].token} already wrote`);
+    }
+  }
+}
+
+module.exports = { SqlStorage };
@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { SqlStorage } = require('./sql');
+
+// Run a statement on a better-sqlite3 database
+function runStatement(db, sql, params) {
+  const statement = db.prepare(sql);
+  if (statement.reader) {
+    return statement.all(params);
+  }
+  statement.run(params);
+  return [];
+}
+
+// Storage used inside an open database transaction
+class SqliteTransaction extends SqlStorage {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async query(sql, params = []) {
+    return runStatement(this.db, sql, params);
+  }
+}
+
+class SqliteStorage extends SqlStorage {
+  /**
+   * Storage in a single SQLite file, for local development without a database server.
+   * Requires the optional better-sqlite3 dependency; the schema is created by the migrations.
+   * @param {object} options
+   * @param {string} options.filename - Database file, or ':memory:' for a temporary database
+   */
+  constructor(options) {
+    super();
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite storage backend requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    if (options.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(options.filename), { recursive: true });
+    }
+    this.db = new Database(options.filename);
+    this.active = null; // Promise settled when the open transaction ends
+    this.transactionalDdl = true; // CREATE and DROP roll back with the transaction, unlike on MySQL
+  }
+
+  async query(sql, params = []) {
+    // The connection is shared, wait so the statement does not end up inside someone else's transaction
+    while (this.active) await this.active;
+    return runStatement(this.db, sql, params);
+  }
+
+  /**
+   * Runs `work` in a database transaction, committed when it resolves and rolled back when it throws.
+   * @param {function(SqlStorage): Promise<*>} work - Writes to perform, given the storage to write to
+   * @returns {Promise<*>} - Result of `work`
+   */
+  async transaction(work) {
+    while (this.active) await this.active;
+    let finish;
+    this.active = new Promise((resolve) => { finish = resolve; });
+
+    this.db.exec('BEGIN');
+    try {
+      const result = await work(new SqliteTransaction(this.db));
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      this.active = null;
+      finish();
+    }
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStorage };
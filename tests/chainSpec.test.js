@@ -0,0 +1,113 @@
+const assert = require('assert');
+const path = require('path');
+const EC = require('elliptic').ec;
+const { parseChainSpec, loadChainSpec } = require('../src/chainSpec');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const { transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+const spec = {
+  chainId: 'test',
+  genesis: {
+    timestamp: 1722470400000,
+    allocations: [
+      { address: 'alice', amount: 500 },
+      { address: 'bob', amount: 250 }
+    ]
+  },
+  reward: { initial: 10 },
+  blockLimits: { maxTransactions: 2, maxBytes: 100000 }
+};
+
+describe('Chain spec', function() {
+  describe('parseChainSpec', function() {
+    it('should fill in the defaults of optional fields', function() {
+      const parsed = parseChainSpec(spec);
+      assert.strictEqual(parsed.genesis.difficulty, 0);
+      assert.strictEqual(parsed.targetBlockTime, 10000);
+      assert.strictEqual(parsed.minerAddress, 'miner-address');
+      assert.deepStrictEqual(parsed.blockLimits, { maxTransactions: 2, maxBytes: 100000 });
+    });
+
+    it('should reject missing or invalid fields', function() {
+      assert.throws(() => parseChainSpec({ ...spec, chainId: '' }), /chainId must be a non-empty string/);
+      assert.throws(() => parseChainSpec({ ...spec, genesis: { allocations: spec.genesis.allocations } }), /genesis.timestamp/);
+      assert.throws(() => parseChainSpec({ ...spec, genesis: { ...spec.genesis, allocations: [] } }), /at least one allocation/);
+      assert.throws(() => parseChainSpec({ ...spec, reward: { initial: -1 } }), /reward.initial must be an integer of at least 1/);
+      assert.throws(() => parseChainSpec({ ...spec, reward: { initial: 10, maxSupply: 100 } }), /exceed reward.maxSupply of 100/);
+      assert.throws(() => parseChainSpec({ ...spec, blockVersions: [{ version: 2, height: 5 }] }), /start at height 0/);
+      assert.throws(() => parseChainSpec({ ...spec, blockVersions: [{ version: 2, height: 0 }, { version: 1, height: 5 }] }), /increase in version and height/);
+    });
+
+    it('should reject an address allocated twice', function() {
+      const allocations = [{ address: 'alice', amount: 1 }, { address: 'alice', amount: 2 }];
+      assert.throws(() => parseChainSpec({ ...spec, genesis: { ...spec.genesis, allocations } }), /alice more than once/);
+    });
+
+    it('should load the chain specs of every network', function() {
+      const ids = ['dev', 'staging', 'demo'].map((name) => loadChainSpec(path.join(__dirname, '..', 'chains', `${name}.json`)).chainId);
+      assert.deepStrictEqual(ids, ['aibtcc-dev', 'aibtcc-staging', 'aibtcc-demo']);
+    });
+  });
+
+  describe('genesis', function() {
+    it('should build the same genesis block on every node', async function() {
+      const first = await Blockchain.load({ chainSpec: parseChainSpec(spec), storage: new MemoryStorage() });
+      const second = await Blockchain.load({ chainSpec: parseChainSpec(spec), storage: new MemoryStorage() });
+      assert.strictEqual(first.chain[0].hash, second.chain[0].hash);
+      assert.strictEqual(await first.getBalanceOfAddress('alice'), 500);
+      assert.strictEqual(await first.getBalanceOfAddress('bob'), 250);
+      assert.strictEqual(first.getMiningReward(), 10);
+    });
+
+    it('should build another genesis block for another network', async function() {
+      const other = parseChainSpec({ ...spec, chainId: 'other', genesis: { ...spec.genesis, timestamp: 1 } });
+      const first = await Blockchain.load({ chainSpec: parseChainSpec(spec), storage: new MemoryStorage() });
+      const second = await Blockchain.load({ chainSpec: other, storage: new MemoryStorage() });
+      assert.notStrictEqual(first.chain[0].hash, second.chain[0].hash);
+    });
+  });
+
+  describe('block limits', function() {
+    let blockchain;
+    let keyPair;
+
+    beforeEach(async function() {
+      keyPair = ec.genKeyPair();
+      blockchain = await Blockchain.load({ chainSpec: parseChainSpec(spec), storage: new MemoryStorage() });
+      await blockchain.addInitialBalance(keyPair.getPublic('hex'), 10);
+    });
+
+    it('should mine at most maxTransactions transactions besides the reward', async function() {
+      for (let nonce = 0; nonce < 3; nonce++) {
+        await blockchain.addTransaction(transfer(keyPair, { amount: 1, nonce: nonce, fee: 0 }));
+      }
+      const block = await blockchain.minePendingTransactions('miner');
+      assert.strictEqual(block.transactions.length, 3);
+      assert.strictEqual(blockchain.pendingTransactions.length, 1);
+    });
+
+    it('should mine at most maxBytes bytes of transactions', async function() {
+      const tx = transfer(keyPair, { amount: 1, nonce: 0, fee: 0 });
+      await blockchain.addTransaction(tx);
+      await blockchain.addTransaction(transfer(keyPair, { amount: 1, nonce: 1, fee: 0 }));
+      blockchain.blockLimits = { maxTransactions: 2, maxBytes: tx.getSize() * 2 };
+
+      const block = await blockchain.minePendingTransactions('miner');
+      assert.strictEqual(block.transactions.length, 2);
+      assert.ok(block.getSize() <= tx.getSize() * 2);
+    });
+
+    it('should reject a block above the limits', async function() {
+      const parent = blockchain.getLatestBlock();
+      const transactions = [0, 1, 2].map((nonce) => transfer(keyPair, { amount: 1, nonce, fee: 0 }));
+      transactions.push(new Transaction(null, 'miner', 10));
+      const block = new Block(parent.index + 1, parent.hash, Date.now(), transactions, blockchain.getDifficultyForIndex(parent.index + 1));
+      block.mineBlock(block.difficulty);
+
+      await assert.rejects(blockchain.addBlock(block), /too large: 3 transactions exceed the limit of 2/);
+    });
+  });
+});
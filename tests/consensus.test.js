@@ -0,0 +1,114 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { RejectCode, MAX_FUTURE_BLOCK_TIME, getMedianTimePast } = require('../src/consensus');
+const { Block } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Consensus rules', function() {
+  const chainSpec = createTestChainSpec();
+  let blockchain;
+  let storage;
+  let alice;
+
+  beforeEach(async function() {
+    storage = new MemoryStorage();
+    blockchain = await loadTestBlockchain({ chainSpec, storage });
+    alice = ec.genKeyPair();
+    await blockchain.addInitialBalance(alice.getPublic('hex'), 100);
+  });
+
+  // Mine a block on top of the tip, with a reward transaction paying the reward plus the fees unless `reward` is false
+  function mineBlock(transactions, { timestamp = Date.now(), difficulty, reward = true } = {}) {
+    const tip = blockchain.getLatestBlock();
+    const height = tip.index + 1;
+    const blockTransactions = reward ? [...transactions, blockchain.createRewardTransaction('miner', transactions, height)] : transactions;
+    const block = new Block(height, tip.hash, timestamp, blockTransactions,
+      difficulty !== undefined ? difficulty : blockchain.getDifficultyForIndex(height), blockchain.getBlockVersion(height));
+    block.mineBlock(block.difficulty);
+    return block;
+  }
+
+  async function assertRejected(block, code, message) {
+    const result = await blockchain.submitBlock(block);
+    assert.strictEqual(result.status, 'rejected');
+    assert.strictEqual(result.code, code);
+    assert.match(result.reason, message);
+    assert.strictEqual(blockchain.getBlockByHash(block.hash), null);
+  }
+
+  describe('header', function() {
+    it('should reject a block mined with another difficulty than scheduled', async function() {
+      await assertRejected(mineBlock([], { difficulty: 1 }), RejectCode.BAD_DIFFICULTY, /Invalid difficulty 1 .*, expected 0/);
+    });
+
+    it('should reject a block dated before the median time past or too far in the future', async function() {
+      const medianTimePast = getMedianTimePast(blockchain.chain, blockchain.chain.length);
+      assert.strictEqual(medianTimePast, blockchain.chain[1].timestamp);
+      await assertRejected(mineBlock([], { timestamp: chainSpec.genesis.timestamp }), RejectCode.TIME_TOO_OLD, /before the median time/);
+      await assertRejected(mineBlock([], { timestamp: Date.now() + MAX_FUTURE_BLOCK_TIME + 60000 }), RejectCode.TIME_TOO_NEW, /in the future/);
+      assert.strictEqual((await blockchain.submitBlock(mineBlock([], { timestamp: medianTimePast }))).status, 'accepted');
+    });
+  });
+
+  describe('transactions', function() {
+    it('should require exactly one reward transaction', async function() {
+      await assertRejected(mineBlock([transfer(alice)], { reward: false }), RejectCode.BAD_COINBASE, /no reward transaction, exactly one is required/);
+    });
+
+    it('should reject malformed transactions', async function() {
+      await assertRejected(mineBlock([transfer(alice, { amount: -5 })]), RejectCode.BAD_TRANSACTION, /amount must be greater than 0/);
+
+      const relabelled = transfer(alice);
+      relabelled.hash = relabelled.hash.replace(/^./, (c) => (c === '0' ? '1' : '0'));
+      await assertRejected(mineBlock([relabelled]), RejectCode.BAD_TRANSACTION, /hash does not match its content/);
+    });
+
+    it('should reject a transaction included twice', async function() {
+      const tx = transfer(alice);
+      await assertRejected(mineBlock([tx, tx]), RejectCode.DUPLICATE_TRANSACTION, /appears twice/);
+    });
+
+    it('should reject double spends within a block', async function() {
+      await assertRejected(mineBlock([transfer(alice, { amount: 10 }), transfer(alice, { amount: 20 })]), RejectCode.BAD_NONCE,
+        /Rejected invalid branch .*: Invalid nonce 0 for .*, expected 1/);
+      await assertRejected(mineBlock([transfer(alice, { amount: 60 }), transfer(alice, { amount: 60, nonce: 1 })]), RejectCode.INSUFFICIENT_BALANCE,
+        /spends 61 but .* only has 39/);
+      assert.strictEqual(blockchain.getLatestBlock().index, 1);
+      assert.strictEqual(blockchain.state.getBalance(alice.getPublic('hex')), 100);
+    });
+
+    it('should accept a valid block and keep the chain valid', async function() {
+      const block = mineBlock([transfer(alice, { amount: 60 }), transfer(alice, { amount: 30, nonce: 1 })]);
+      assert.deepStrictEqual(await blockchain.submitBlock(block), { hash: block.hash, status: 'accepted' });
+      assert.strictEqual(blockchain.validateChain(), null);
+      assert.strictEqual(blockchain.state.getBalance('bob'), 90);
+    });
+  });
+
+  describe('stored blocks', function() {
+    it('should leave stored blocks breaking a rule out of the block tree', async function() {
+      const invalid = mineBlock([], { difficulty: 1 });
+      await invalid.save(storage);
+
+      const resumed = await loadTestBlockchain({ chainSpec, storage });
+      assert.strictEqual(resumed.getBlockByHash(invalid.hash), null);
+      assert.strictEqual(resumed.getLatestBlock().hash, blockchain.getLatestBlock().hash);
+    });
+
+    it('should report the first block of a chain breaking a rule', function() {
+      const block = blockchain.getLatestBlock();
+      block.transactions[0].amount = 1000;
+      block.transactions[0].hash = block.transactions[0].calculateHash();
+      block.merkleRoot = block.calculateMerkleRoot();
+      block.hash = block.calculateHash();
+
+      const violation = blockchain.validateChain();
+      assert.strictEqual(violation.code, RejectCode.BAD_COINBASE);
+      assert.match(violation.message, /reward transaction of 1000 exceeds the block reward plus fees of 100/);
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+  });
+});
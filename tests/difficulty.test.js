@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { Blockchain } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const { createTestChainSpec } = require('./helpers');
+
+describe('Difficulty retargeting', function() {
+  const chainSpec = createTestChainSpec();
+  // Retarget every 5 blocks, aiming at 1 second per block: an interval is expected to take 4 seconds
+  const blockchain = new Blockchain({ chainSpec, storage: new MemoryStorage(), difficulty: 3, targetBlockTime: 1000, difficultyAdjustmentInterval: 5 });
+
+  // Blocks spaced `spacing` milliseconds apart, all of `difficulty`
+  function chainOf(length, spacing, difficulty = 3) {
+    return Array.from({ length }, (_, index) => ({ index, timestamp: 1000000 + index * spacing, difficulty }));
+  }
+
+  it('should use the initial difficulty for the genesis block', function() {
+    assert.strictEqual(blockchain.getDifficultyForIndex(0, []), 3);
+  });
+
+  it('should keep the previous difficulty between retarget heights', function() {
+    const chain = chainOf(4, 1);
+    chain[3].difficulty = 7; // Only the previous block is looked at
+    assert.strictEqual(blockchain.getDifficultyForIndex(4, chain), 7);
+    assert.strictEqual(blockchain.getDifficultyForIndex(6, chainOf(6, 1)), 3);
+  });
+
+  it('should raise the difficulty by one when the interval was much faster than targeted', function() {
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 400)), 4); // 1.6 s < 4 s / 2
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 1)), 4); // Never more than one step
+  });
+
+  it('should lower the difficulty by one when the interval was much slower than targeted', function() {
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 2500)), 2); // 10 s > 4 s * 2
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 1000000)), 2); // Never more than one step
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 2500, 0)), 0); // Never below 0
+  });
+
+  it('should keep the difficulty when the interval took between half and twice the target', function() {
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 500)), 3); // Exactly half
+    assert.strictEqual(blockchain.getDifficultyForIndex(5, chainOf(5, 2000)), 3); // Exactly twice
+  });
+
+  it('should only measure the last interval at later retarget heights', function() {
+    const chain = [...chainOf(5, 2500), ...chainOf(5, 400).map((block, i) => ({ ...block, index: 5 + i, timestamp: 2000000 + i * 400 }))];
+    assert.strictEqual(blockchain.getDifficultyForIndex(10, chain), 4);
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Transaction fees', function() {
+  const chainSpec = createTestChainSpec({ blockLimits: { maxTransactions: 2 } });
+  let blockchain;
+  let senders;
+
+  beforeEach(async function() {
+    blockchain = await loadTestBlockchain({ chainSpec });
+    senders = [ec.genKeyPair(), ec.genKeyPair(), ec.genKeyPair()];
+    for (const keyPair of senders) {
+      await blockchain.addInitialBalance(keyPair.getPublic('hex'), 50);
+    }
+  });
+
+  it('should sign the fee with the rest of the transaction', function() {
+    const tx = transfer(senders[0], { fee: 2 });
+    tx.fee = 0;
+    assert.strictEqual(tx.isValid(), false);
+  });
+
+  it('should charge the sender the amount plus the fee and pay the fees to the miner', async function() {
+    const sender = senders[0].getPublic('hex');
+    await blockchain.addTransaction(transfer(senders[0], { amount: 10, fee: 3 }));
+    const block = await blockchain.minePendingTransactions('miner');
+
+    const rewardTx = block.transactions[block.transactions.length - 1];
+    assert.strictEqual(rewardTx.fromAddress, null);
+    assert.strictEqual(rewardTx.amount, blockchain.getMiningReward(block.index) + 3);
+    assert.strictEqual(await blockchain.getBalanceOfAddress(sender), 37);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 10);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('miner'), rewardTx.amount);
+  });
+
+  it('should fill a full block with the highest fees first', async function() {
+    const cheap = transfer(senders[0], { fee: 1 });
+    const best = transfer(senders[1], { fee: 5 });
+    const middle = transfer(senders[2], { fee: 3 });
+    for (const tx of [cheap, best, middle]) {
+      await blockchain.addTransaction(tx);
+    }
+
+    const block = await blockchain.minePendingTransactions('miner');
+    assert.deepStrictEqual(block.transactions.slice(0, -1).map((tx) => tx.hash), [best.hash, middle.hash]);
+    assert.deepStrictEqual(blockchain.pendingTransactions.map((tx) => tx.hash), [cheap.hash]);
+  });
+
+  it('should refuse negative fees and spends the balance cannot cover with the fee', async function() {
+    await assert.rejects(blockchain.addTransaction(transfer(senders[0], { fee: -1 })), /fee cannot be negative/);
+    await assert.rejects(blockchain.addTransaction(transfer(senders[0], { amount: 50, fee: 1 })), /Not enough balance/);
+    await blockchain.addTransaction(transfer(senders[0], { amount: 49, fee: 1 }));
+  });
+});
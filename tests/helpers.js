@@ -1,4 +1,6 @@
 const { Transaction, Blockchain } = require('../src/blockchain');
+const { parseChainSpec } = require('../src/chainSpec');
+const { MemoryStorage } = require('../src/storage/memory');
 const EC = require('elliptic').ec;
 
 const ec = new EC('secp256k1');
@@ -18,7 +20,7 @@ function createSignedTx(amount = 10, toAddress = 'b2') {
 
 
 async function createBlockchainWithTx() {
-  const blockchain = new Blockchain();
+  const blockchain = await Blockchain.load();
   const tx = createSignedTx(50);
   blockchain.addTransaction(tx);
   await blockchain.minePendingTransactions('miner-address');
@@ -26,15 +28,40 @@ async function createBlockchainWithTx() {
 }
 
 async function createBCWithMined() {
-  const blockchain = new Blockchain();
+  const blockchain = await Blockchain.load();
   await blockchain.minePendingTransactions('miner-address');
   return blockchain;
 }
 
+// Chain spec of the test network: `allocations` fund the genesis block, the other settings are
+// added to the spec as they are (e.g. blockLimits or reward)
+function createTestChainSpec({ allocations = [{ address: 'alice', amount: 1000 }], ...settings } = {}) {
+  return parseChainSpec({
+    chainId: 'test',
+    genesis: { timestamp: 1722470400000, allocations },
+    ...settings
+  });
+}
+
+// Load a blockchain of the test network from an empty in-memory storage, `options` go to Blockchain.load()
+function loadTestBlockchain(options = {}) {
+  return Blockchain.load({ chainSpec: createTestChainSpec(), storage: new MemoryStorage(), ...options });
+}
+
+// Sign a transfer from the address of `keyPair`
+function transfer(keyPair, { toAddress = 'bob', amount = 10, nonce = 0, fee = 1, timestamp = Date.now() } = {}) {
+  const tx = new Transaction(keyPair.getPublic('hex'), toAddress, amount, timestamp, null, '', nonce, fee);
+  tx.sign(keyPair);
+  return tx;
+}
+
 module.exports = {
   createSignedTx,
   createBlockchainWithTx,
   createBCWithMined,
+  createTestChainSpec,
+  loadTestBlockchain,
+  transfer,
   signingKey: keyPair
 };
 
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const { acquireLock, releaseLock, checkFencingToken } = require('../src/lock');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// In-memory stand-in for the Redis commands and scripts src/lock.js runs, expiring keys like Redis.
+// Setting `failRenewals` makes renewals time out, like an owner that stalled or lost its connection.
+class FakeRedis {
+  constructor() {
+    this.values = new Map(); // Key -> { value, expiresAt }, expiresAt null for keys without TTL
+    this.failRenewals = false;
+  }
+
+  read(key) {
+    const entry = this.values.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async eval(script, { keys, arguments: args }) {
+    if (script.includes("'SET'")) {
+      if (this.read(keys[0]) !== null) return null;
+      this.values.set(keys[0], { value: args[0], expiresAt: Date.now() + Number(args[1]) });
+      const token = Number(this.read(keys[1])) + 1;
+      this.values.set(keys[1], { value: String(token), expiresAt: null });
+      return token;
+    }
+    if (script.includes("'PEXPIRE'")) {
+      if (this.failRenewals) throw new Error('Connection timeout');
+      if (this.read(keys[0]) !== args[0]) return 0;
+      this.values.get(keys[0]).expiresAt = Date.now() + Number(args[1]);
+      return 1;
+    }
+    if (script.includes("'DEL'")) {
+      if (this.read(keys[0]) !== args[0]) return 0;
+      this.values.delete(keys[0]);
+      return 1;
+    }
+    throw new Error('Unexpected script');
+  }
+}
+
+// Loads a separate copy of src/lock.js talking to `client`, standing for another process sharing that Redis
+function loadLockWithRedis(client) {
+  const redisPath = require.resolve('../src/redis');
+  const lockPath = require.resolve('../src/lock');
+  const saved = { redis: require.cache[redisPath], lock: require.cache[lockPath] };
+  require.cache[redisPath] = { id: redisPath, filename: redisPath, loaded: true, exports: { getRedisClient: () => client } };
+  delete require.cache[lockPath];
+  try {
+    return require('../src/lock');
+  } finally {
+    require.cache[redisPath] = saved.redis;
+    require.cache[lockPath] = saved.lock;
+  }
+}
+
+describe('Lock', function() {
+  it('should grant the lock to one caller at a time with growing fencing tokens', async function() {
+    const [first, second] = await Promise.all([acquireLock('test-exclusive', 1000), acquireLock('test-exclusive', 1000)]);
+    assert.ok(first > 0);
+    assert.strictEqual(second, false);
+    await checkFencingToken('test-exclusive', first);
+
+    assert.strictEqual(await releaseLock('test-exclusive', first), true);
+    assert.strictEqual(await releaseLock('test-exclusive', first), false);
+    const next = await acquireLock('test-exclusive', 1000);
+    assert.strictEqual(next, first + 1);
+    await assert.rejects(checkFencingToken('test-exclusive', first), /fencing token 1 is stale, the current token is 2/);
+    assert.strictEqual(await releaseLock('test-exclusive', first), false);
+    assert.strictEqual(await releaseLock('test-exclusive'), true);
+  });
+
+  it('should keep the lock past its TTL while the owner renews it', async function() {
+    const token = await acquireLock('test-renewed', 30);
+    await sleep(100);
+    assert.strictEqual(await acquireLock('test-renewed', 30), false);
+    assert.strictEqual(await releaseLock('test-renewed', token), true);
+  });
+
+  it('should refuse an invalid TTL', async function() {
+    await assert.rejects(acquireLock('test-ttl', 0), /positive integer/);
+  });
+
+  describe('with Redis', function() {
+    let redis;
+    let first;
+    let second;
+
+    beforeEach(function() {
+      redis = new FakeRedis();
+      first = loadLockWithRedis(redis);
+      second = loadLockWithRedis(redis);
+    });
+
+    it('should store the lock with its TTL and draw the fencing token in Redis', async function() {
+      const token = await first.acquireLock('mining', 1000);
+      assert.strictEqual(token, 1);
+      assert.match(redis.read('lock:mining'), /^.+:\d+:[0-9a-f]{16}$/);
+      assert.ok(redis.values.get('lock:mining').expiresAt <= Date.now() + 1000);
+      assert.strictEqual(redis.read('lock_token:mining'), '1');
+      await first.checkFencingToken('mining', token);
+
+      assert.strictEqual(await first.releaseLock('mining', token), true);
+      assert.strictEqual(redis.read('lock:mining'), null);
+      assert.strictEqual(redis.read('lock_token:mining'), '1'); // Tokens keep growing across owners
+    });
+
+    it('should exclude the other processes until the owner releases the lock', async function() {
+      const token = await first.acquireLock('mining', 1000);
+      assert.strictEqual(await second.acquireLock('mining', 1000), false);
+      assert.strictEqual(await first.acquireLock('mining', 1000), false);
+
+      assert.strictEqual(await first.releaseLock('mining', token), true);
+      assert.strictEqual(await second.acquireLock('mining', 1000), 2);
+      assert.strictEqual(await second.releaseLock('mining'), true);
+    });
+
+    it('should renew the lock in Redis while the owner holds it', async function() {
+      const token = await first.acquireLock('mining', 30);
+      await sleep(100);
+      assert.strictEqual(await second.acquireLock('mining', 30), false);
+      assert.ok(redis.values.get('lock:mining').expiresAt > Date.now());
+      assert.strictEqual(await first.releaseLock('mining', token), true);
+    });
+
+    it('should never let another process release the lock', async function() {
+      const token = await first.acquireLock('mining', 1000);
+      assert.strictEqual(await second.releaseLock('mining', token), false);
+      assert.notStrictEqual(redis.read('lock:mining'), null);
+      assert.strictEqual(await second.acquireLock('mining', 1000), false);
+      assert.strictEqual(await first.releaseLock('mining', token), true);
+    });
+
+    it('should let the lock of a stalled owner expire and fence off its writes', async function() {
+      const token = await first.acquireLock('mining', 30);
+      redis.failRenewals = true;
+      await sleep(60); // Longer than the TTL without a renewal reaching Redis
+      redis.failRenewals = false;
+
+      const next = await second.acquireLock('mining', 1000);
+      assert.strictEqual(next, token + 1);
+      await assert.rejects(first.checkFencingToken('mining', token), /fencing token 1 is stale, the current token is 2/);
+      await second.checkFencingToken('mining', next);
+
+      // The stale owner's release leaves the new owner's lock in place
+      assert.strictEqual(await first.releaseLock('mining', token), false);
+      assert.strictEqual(await first.acquireLock('mining', 1000), false);
+      assert.strictEqual(await second.releaseLock('mining', next), true);
+    });
+  });
+});
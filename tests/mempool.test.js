@@ -0,0 +1,157 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { EvictionReason } = require('../src/mempool');
+const { BlockchainEvent, Transaction } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const { loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Mempool', function() {
+  let blockchain;
+  let storage;
+  let alice;
+  let bob;
+  let evicted;
+
+  async function load(mempool = {}) {
+    storage = new MemoryStorage();
+    blockchain = await loadTestBlockchain({ storage, mempool: { maxAge: 60000, ...mempool } });
+    alice = ec.genKeyPair();
+    bob = ec.genKeyPair();
+    await blockchain.addInitialBalance(alice.getPublic('hex'), 50);
+    await blockchain.addInitialBalance(bob.getPublic('hex'), 50);
+    evicted = [];
+    blockchain.on(BlockchainEvent.TRANSACTION_EVICTED, (tx, reason) => evicted.push([tx.hash, reason]));
+  }
+
+  async function storedHashes() {
+    return (await storage.getPendingTransactions()).map((tx) => tx.hash).sort();
+  }
+
+  beforeEach(async function() {
+    await load();
+  });
+
+  describe('admission', function() {
+    it('should reject duplicates, nonce gaps and bad signatures', async function() {
+      const tx = transfer(alice);
+      await blockchain.addTransaction(tx);
+      await assert.rejects(blockchain.addTransaction(tx), /is already pending/);
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { nonce: 2 })), /Invalid nonce 2 for .*, expected 1/);
+
+      const forged = transfer(bob, { amount: 1 });
+      forged.amount = 40;
+      await assert.rejects(blockchain.addTransaction(forged), /invalid transaction/);
+      assert.deepStrictEqual(blockchain.pendingTransactions, [tx]);
+    });
+
+    it('should reject a transaction whose hash does not match its content', async function() {
+      const tx = transfer(alice);
+      const other = transfer(alice, { amount: 20 });
+      tx.hash = other.hash;
+      await assert.rejects(blockchain.addTransaction(tx), /does not match its content/);
+      assert.strictEqual(blockchain.mempool.size, 0);
+
+      const rebuilt = Transaction.fromJSON({ ...other, hash: 'f'.repeat(64) });
+      assert.strictEqual(rebuilt.hash, other.hash);
+      await blockchain.addTransaction(rebuilt);
+      assert.ok(blockchain.mempool.has(other.hash));
+    });
+
+    it('should reject amounts and fees that are not finite numbers', async function() {
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { amount: NaN })), /amount must be greater than 0/);
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { amount: '10' })), /amount must be greater than 0/);
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { fee: NaN })), /fee cannot be negative/);
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { fee: Infinity })), /fee cannot be negative/);
+      assert.strictEqual(blockchain.mempool.size, 0);
+    });
+
+    it('should count the other pending spends of the sender against its balance', async function() {
+      await blockchain.addTransaction(transfer(alice, { amount: 30, fee: 1 }));
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { amount: 19, nonce: 1, fee: 1 })), /Not enough balance/);
+      await blockchain.addTransaction(transfer(alice, { amount: 18, nonce: 1, fee: 1 }));
+      assert.strictEqual(blockchain.getNextNonce(alice.getPublic('hex')), 2);
+    });
+  });
+
+  describe('replace-by-fee', function() {
+    it('should replace a pending transaction paying enough more fee', async function() {
+      const original = transfer(alice, { fee: 10 });
+      await blockchain.addTransaction(original);
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { amount: 5, fee: 10 })), /requires a fee above 10 and of at least 11/);
+
+      const replacement = transfer(alice, { amount: 5, fee: 11 });
+      await blockchain.addTransaction(replacement);
+      assert.deepStrictEqual(blockchain.pendingTransactions, [replacement]);
+      assert.deepStrictEqual(evicted, [[original.hash, EvictionReason.REPLACED]]);
+      assert.deepStrictEqual(await storedHashes(), [replacement.hash]);
+    });
+
+    it('should check the balance without the replaced transaction', async function() {
+      await blockchain.addTransaction(transfer(alice, { amount: 40, fee: 1 }));
+      await blockchain.addTransaction(transfer(alice, { amount: 45, fee: 2 }));
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { amount: 48, fee: 3 })), /Not enough balance/);
+    });
+  });
+
+  describe('limits', function() {
+    it('should evict the lowest fee when the pool is full', async function() {
+      await load({ maxTransactions: 2 });
+      const cheap = transfer(bob, { fee: 1 });
+      await blockchain.addTransaction(transfer(alice, { fee: 3 }));
+      await blockchain.addTransaction(cheap);
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { nonce: 1, fee: 1 })), /Mempool is full, a fee above 1 is needed/);
+
+      const better = transfer(alice, { nonce: 1, fee: 2 });
+      await blockchain.addTransaction(better);
+      assert.deepStrictEqual(evicted, [[cheap.hash, EvictionReason.POOL_FULL]]);
+      assert.strictEqual(blockchain.mempool.size, 2);
+      assert.ok(blockchain.mempool.has(better.hash));
+    });
+
+    it('should never evict the sender\'s own earlier transactions to make room', async function() {
+      await load({ maxTransactions: 1 });
+      await blockchain.addTransaction(transfer(alice, { fee: 1 }));
+      await assert.rejects(blockchain.addTransaction(transfer(alice, { nonce: 1, fee: 5 })), /^Error: Mempool is full$/);
+    });
+
+    it('should drop expired transactions with the later ones of their sender', async function() {
+      const first = transfer(alice);
+      await blockchain.addTransaction(first);
+      await blockchain.addTransaction(transfer(alice, { nonce: 1 }));
+      await blockchain.addTransaction(transfer(bob));
+
+      await blockchain.prunePendingTransactions(Date.now() + 30000);
+      assert.strictEqual(blockchain.mempool.size, 3);
+
+      const later = transfer(alice, { nonce: 2 });
+      await blockchain.mempool.add(later, Date.now() + 50000);
+      await blockchain.prunePendingTransactions(Date.now() + 70000);
+      assert.deepStrictEqual(evicted.map(([, reason]) => reason), Array(4).fill(EvictionReason.EXPIRED));
+      assert.strictEqual(blockchain.mempool.size, 0);
+      assert.deepStrictEqual(await storedHashes(), []);
+    });
+  });
+
+  describe('mining', function() {
+    it('should mine from the pool and drop what the block confirmed', async function() {
+      await blockchain.addTransaction(transfer(alice, { fee: 1 }));
+      await blockchain.addTransaction(transfer(bob, { fee: 5 }));
+      await blockchain.addTransaction(transfer(alice, { nonce: 1, fee: 9 }));
+
+      const block = await blockchain.minePendingTransactions('miner');
+      const senders = block.transactions.slice(0, -1).map((tx) => [tx.fromAddress === bob.getPublic('hex') ? 'bob' : 'alice', tx.fee]);
+      assert.deepStrictEqual(senders, [['bob', 5], ['alice', 1], ['alice', 9]]);
+      assert.strictEqual(blockchain.mempool.size, 0);
+      assert.deepStrictEqual(await storedHashes(), []);
+    });
+
+    it('should resume the pool from storage', async function() {
+      await blockchain.addTransaction(transfer(alice));
+      const resumed = await loadTestBlockchain({ storage });
+      assert.deepStrictEqual(resumed.pendingTransactions.map((tx) => tx.hash), blockchain.pendingTransactions.map((tx) => tx.hash));
+      await assert.rejects(resumed.addTransaction(blockchain.pendingTransactions[0]), /is already pending/);
+    });
+  });
+});
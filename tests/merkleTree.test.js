@@ -0,0 +1,243 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { Node, MerkleTree, MerkleMode } = require('../src/merkleTree');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+const values = (count) => Array.from({ length: count }, (_, i) => `tx${i}`);
+
+describe('MerkleTree', function() {
+  describe('getProof', function() {
+    it('should give a verifiable proof for every leaf of trees of any size', function() {
+      for (let count = 1; count <= 33; count++) {
+        const tree = new MerkleTree(values(count));
+        for (const value of values(count)) {
+          const proof = tree.getProof(Node.hash(value));
+          assert.strictEqual(proof.length, Math.max(Math.ceil(Math.log2(count)), 1));
+          assert.ok(MerkleTree.verifyProof(Node.hash(value), proof, tree.getRootHash()), `leaf ${value} of ${count}`);
+        }
+      }
+    });
+
+    it('should record on which side each sibling sits', function() {
+      const tree = new MerkleTree(values(4));
+      assert.deepStrictEqual(tree.getProof(Node.hash('tx2')).map((step) => step.position), ['right', 'left']);
+    });
+
+    it('should throw for an unknown leaf', function() {
+      assert.throws(() => new MerkleTree(values(3)).getProof(Node.hash('missing')), /Leaf not found/);
+    });
+  });
+
+  describe('large trees', function() {
+    it('should build and prove trees deeper than 10 levels', function() {
+      const tree = new MerkleTree(values(5000));
+      assert.strictEqual(tree.getLevels().length, 14);
+      for (const index of [0, 2047, 2048, 4999]) {
+        const proof = tree.getProofByIndex(index);
+        assert.strictEqual(proof.length, 13);
+        assert.ok(MerkleTree.verifyProof(Node.hash(`tx${index}`), proof, tree.getRootHash()));
+      }
+    });
+
+    it('should list the stored nodes with their copies in legacy mode only', function() {
+      const legacy = new MerkleTree(values(5));
+      assert.strictEqual(legacy.getNodes().length, 15); // Completed to 8 leaves
+      assert.deepStrictEqual(legacy.getNodes().filter((node) => node.level === 3).map((node) => node.value).slice(4),
+        [Node.hash('tx4'), Node.hash('tx4'), Node.hash('tx4'), Node.hash('tx4')]);
+
+      const rfc = new MerkleTree(values(5), MerkleMode.RFC6962);
+      assert.strictEqual(rfc.getNodes().length, 9); // 5 leaves and 4 inner nodes
+      assert.deepStrictEqual(rfc.getNodes().find((node) => node.level === 1 && node.index === 1).value,
+        Node.hashLeaf('tx4', MerkleMode.RFC6962)); // The last leaf moved up to pair with the first 4
+    });
+  });
+
+  describe('verifyProof', function() {
+    const tree = new MerkleTree(values(8));
+    const leaf = Node.hash('tx5');
+    const proof = tree.getProof(leaf);
+
+    it('should reject a proof with a flipped side flag', function() {
+      const flipped = proof.map((step, i) => (i === 1 ? { ...step, position: step.position === 'left' ? 'right' : 'left' } : step));
+      assert.strictEqual(MerkleTree.verifyProof(leaf, flipped, tree.getRootHash()), false);
+    });
+
+    it('should reject another leaf, a truncated proof or a proof without side flags', function() {
+      assert.strictEqual(MerkleTree.verifyProof(Node.hash('tx4'), proof, tree.getRootHash()), false);
+      assert.strictEqual(MerkleTree.verifyProof(leaf, proof.slice(1), tree.getRootHash()), false);
+      assert.strictEqual(MerkleTree.verifyProof(leaf, proof.map((step) => step.hash), tree.getRootHash()), false);
+      assert.strictEqual(MerkleTree.verifyProof(leaf, [], tree.getRootHash()), false);
+    });
+  });
+
+  describe('multiproofs', function() {
+    it('should verify any subset of the leaves of trees of any size', function() {
+      for (let count = 1; count <= 9; count++) {
+        const tree = new MerkleTree(values(count));
+        for (let subset = 1; subset < 1 << count; subset++) {
+          const leaves = values(count).filter((_, i) => subset & (1 << i)).map((value) => Node.hash(value));
+          const proof = tree.getMultiProof(leaves);
+          assert.ok(MerkleTree.verifyMultiProof(leaves, proof, tree.getRootHash()), `subset ${subset} of ${count}`);
+        }
+      }
+    });
+
+    it('should leave out the hashes shared by several paths', function() {
+      const tree = new MerkleTree(values(16));
+      const leaves = values(16).map((value) => Node.hash(value));
+      assert.strictEqual(tree.getMultiProof(leaves).hashes.length, 0);
+      assert.strictEqual(tree.getMultiProof(leaves.slice(0, 2)).hashes.length, 3);
+      assert.strictEqual(tree.getMultiProof([leaves[0], leaves[8]]).hashes.length, 6); // Two separate paths of 4
+    });
+
+    it('should reject tampered proofs and leaves', function() {
+      const tree = new MerkleTree(values(10));
+      const leaves = ['tx1', 'tx4', 'tx9'].map((value) => Node.hash(value));
+      const proof = tree.getMultiProof(leaves);
+      const root = tree.getRootHash();
+
+      assert.strictEqual(MerkleTree.verifyMultiProof([leaves[0], Node.hash('tx5'), leaves[2]], proof, root), false);
+      assert.strictEqual(MerkleTree.verifyMultiProof(leaves, { ...proof, hashes: proof.hashes.slice(1) }, root), false);
+      assert.strictEqual(MerkleTree.verifyMultiProof(leaves, { ...proof, hashes: [...proof.hashes, proof.hashes[0]] }, root), false);
+      assert.strictEqual(MerkleTree.verifyMultiProof(leaves, { ...proof, indices: [4, 1, 9] }, root), false);
+      assert.strictEqual(MerkleTree.verifyMultiProof(leaves, { ...proof, indices: [1, 4, 10] }, root), false);
+    });
+
+    it('should serialise and deserialise a multiproof', function() {
+      const tree = new MerkleTree(values(7));
+      const leaves = ['tx0', 'tx6'].map((value) => Node.hash(value));
+      const proof = tree.getMultiProof(leaves);
+      const encoded = MerkleTree.serializeMultiProof(proof);
+
+      assert.strictEqual(encoded.length, 2 * (1 + 4 + 4 + 4 * 2 + 4 + 32 * proof.hashes.length));
+      assert.deepStrictEqual(MerkleTree.deserializeMultiProof(encoded), proof);
+      assert.throws(() => MerkleTree.deserializeMultiProof(encoded.slice(0, -2)), /Invalid multiproof encoding/);
+      assert.throws(() => MerkleTree.deserializeMultiProof(`02${encoded.slice(2)}`), /Unsupported multiproof version 2/);
+      assert.throws(() => MerkleTree.deserializeMultiProof('xyz'), /not a hex string/);
+    });
+  });
+
+  describe('RFC 6962 mode', function() {
+    const { RFC6962 } = MerkleMode;
+
+    it('should hash leaves and inner nodes with distinct prefixes', function() {
+      assert.strictEqual(Node.hashLeaf('', RFC6962), '6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d');
+      const tree = new MerkleTree(values(2), RFC6962);
+      const [left, right] = values(2).map((value) => Node.hashLeaf(value, RFC6962));
+      assert.strictEqual(tree.getRootHash(), Node.hashChildren(left, right, RFC6962));
+      assert.notStrictEqual(tree.getRootHash(), Node.hashLeaf(left + right, RFC6962)); // An inner node is no leaf
+    });
+
+    it('should not give a list with a duplicated last value the same root', function() {
+      assert.strictEqual(new MerkleTree(['a', 'b', 'c']).getRootHash(), new MerkleTree(['a', 'b', 'c', 'c']).getRootHash());
+      assert.notStrictEqual(new MerkleTree(['a', 'b', 'c'], RFC6962).getRootHash(), new MerkleTree(['a', 'b', 'c', 'c'], RFC6962).getRootHash());
+    });
+
+    it('should prove and verify every leaf and subset of trees of any size', function() {
+      for (let count = 1; count <= 9; count++) {
+        const tree = new MerkleTree(values(count), RFC6962);
+        const leaves = values(count).map((value) => Node.hashLeaf(value, RFC6962));
+        for (const leaf of leaves) {
+          const proof = tree.getProof(leaf);
+          assert.ok(MerkleTree.verifyProof(leaf, proof, tree.getRootHash(), RFC6962), `leaf of ${count}`);
+          assert.strictEqual(MerkleTree.verifyProof(leaf, proof, tree.getRootHash()), false); // Not with legacy hashing
+        }
+        for (let subset = 1; subset < 1 << count; subset++) {
+          const covered = leaves.filter((_, i) => subset & (1 << i));
+          const proof = tree.getMultiProof(covered);
+          assert.ok(MerkleTree.verifyMultiProof(covered, proof, tree.getRootHash(), RFC6962), `subset ${subset} of ${count}`);
+        }
+      }
+      assert.strictEqual(new MerkleTree(values(1), RFC6962).getRootHash(), Node.hashLeaf('tx0', RFC6962));
+    });
+  });
+
+  describe('transaction inclusion', function() {
+    let storage;
+    let blockchain;
+    let block;
+
+    beforeEach(async function() {
+      storage = new MemoryStorage();
+      blockchain = await Blockchain.load({ storage });
+      const keyPair = ec.genKeyPair();
+      const address = keyPair.getPublic('hex');
+      await blockchain.addInitialBalance(address, 100);
+      for (let nonce = 0; nonce < 5; nonce++) {
+        await blockchain.addTransaction(transfer(keyPair, { amount: 1, nonce, fee: 0 }));
+      }
+      block = await blockchain.minePendingTransactions('miner');
+    });
+
+    it('should verify every transaction of a block from its stored proof', async function() {
+      assert.strictEqual(block.transactions.length, 6);
+      for (const tx of block.transactions) {
+        assert.strictEqual(await blockchain.verifyTransactionInclusion(tx.hash, block.hash), true);
+      }
+      assert.strictEqual(await blockchain.verifyTransactionInclusion(block.transactions[0].hash, blockchain.chain[0].hash), false);
+      assert.strictEqual(await blockchain.verifyTransactionInclusion('0'.repeat(64), block.hash), false);
+    });
+
+    it('should build a multiproof for several transactions of a block', function() {
+      const hashes = [block.transactions[4].hash, block.transactions[1].hash];
+      const result = blockchain.getMultiProof(block.hash, hashes);
+
+      assert.deepStrictEqual(result.transactionHashes, [block.transactions[1].hash, block.transactions[4].hash]);
+      const leaves = result.transactionHashes.map((hash) => Node.hash(hash));
+      assert.ok(MerkleTree.verifyMultiProof(leaves, MerkleTree.deserializeMultiProof(result.encoded), block.merkleRoot));
+      assert.throws(() => blockchain.getMultiProof(block.hash, ['0'.repeat(64)]), /Leaf not found/);
+    });
+
+    it('should rewrite stored proofs of the old format at startup', async function() {
+      await storage.deleteMerkleProofs(block.hash);
+      for (const tx of block.transactions) {
+        await storage.saveMerkleProof(block.hash, tx.hash, ['legacy']);
+      }
+      assert.strictEqual(await blockchain.verifyTransactionInclusion(block.transactions[0].hash, block.hash), false);
+
+      const result = await Blockchain.repairStorage(storage);
+      assert.deepStrictEqual(result.upgradedBlocks, [block.hash]);
+      for (const tx of block.transactions) {
+        assert.strictEqual(await blockchain.verifyTransactionInclusion(tx.hash, block.hash), true);
+      }
+    });
+  });
+
+  describe('block versions', function() {
+    const chainSpec = createTestChainSpec({ blockVersions: [{ version: 1, height: 0 }, { version: 2, height: 2 }] });
+    let blockchain;
+
+    beforeEach(async function() {
+      blockchain = await loadTestBlockchain({ chainSpec });
+    });
+
+    it('should switch to RFC 6962 trees at the activation height', async function() {
+      for (let height = 1; height <= 3; height++) {
+        await blockchain.addInitialBalance(`miner${height}`, 1);
+      }
+      assert.deepStrictEqual(blockchain.chain.map((block) => block.version), [1, 1, 2, 2]);
+      assert.deepStrictEqual(blockchain.chain.map((block) => block.getMerkleMode()), ['legacy', 'legacy', 'rfc6962', 'rfc6962']);
+      for (const block of blockchain.chain) {
+        assert.strictEqual(await blockchain.verifyTransactionInclusion(block.transactions[0].hash, block.hash), true);
+      }
+      assert.strictEqual(blockchain.isChainValid(), true);
+    });
+
+    it('should reject a block of another version than scheduled', async function() {
+      await blockchain.addInitialBalance('miner', 1);
+      const parent = blockchain.getLatestBlock();
+      const block = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, 'miner', 1)], 0, 1);
+      block.mineBlock(0);
+      await assert.rejects(blockchain.addBlock(block), /Invalid version 1 for block .*, expected 2/);
+    });
+
+    it('should refuse a chain spec with a version this node does not know', function() {
+      const future = createTestChainSpec({ blockVersions: [{ version: 1, height: 0 }, { version: 4, height: 10 }] });
+      assert.throws(() => new Blockchain({ chainSpec: future, storage: new MemoryStorage() }), /block version 4/);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const { PROTOCOL_VERSION, MessageType, createMessage, parseMessage } = require('../src/network/messages');
+
+describe('P2P messages', function() {
+  it('should round-trip a message', function() {
+    const raw = createMessage(MessageType.GET_BLOCKS, { locator: ['a1'], limit: 10 });
+    assert.deepStrictEqual(parseMessage(Buffer.from(raw)), {
+      version: PROTOCOL_VERSION,
+      type: MessageType.GET_BLOCKS,
+      payload: { locator: ['a1'], limit: 10 }
+    });
+  });
+
+  it('should reject malformed JSON', function() {
+    assert.throws(() => parseMessage('{not json'), /not valid JSON/);
+  });
+
+  it('should reject another protocol version', function() {
+    const raw = JSON.stringify({ version: PROTOCOL_VERSION + 1, type: MessageType.HANDSHAKE, payload: {} });
+    assert.throws(() => parseMessage(raw), /Unsupported protocol version/);
+  });
+
+  it('should reject unknown message types', function() {
+    const raw = JSON.stringify({ version: PROTOCOL_VERSION, type: 'steal_coins', payload: {} });
+    assert.throws(() => parseMessage(raw), /Unknown message type/);
+  });
+});
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { createStorage } = require('../src/storage');
+const { MemoryStorage } = require('../src/storage/memory');
+const { Migrator, loadMigrations } = require('../src/storage/migrator');
+
+const migrations = [
+  { version: 1, name: 'create_a', up: ['CREATE TABLE a (id INT)'], down: ['DROP TABLE a'] },
+  { version: 2, name: 'create_b', up: ['CREATE TABLE b (id INT)'], down: ['DROP TABLE b'] }
+];
+
+describe('Migrator', function() {
+  let storage;
+
+  before(function() {
+    try {
+      require('better-sqlite3');
+    } catch (error) {
+      this.skip();
+    }
+  });
+
+  beforeEach(function() {
+    storage = createStorage({ backend: 'sqlite', sqlite: { filename: ':memory:' } });
+  });
+
+  afterEach(async function() {
+    await storage.close();
+  });
+
+  async function tables() {
+    const rows = await storage.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('a', 'b') ORDER BY name");
+    return rows.map((row) => row.name);
+  }
+
+  it('should apply pending migrations in order and record the version', async function() {
+    const migrator = new Migrator(storage, migrations);
+    assert.strictEqual(await migrator.getVersion(), 0);
+
+    assert.deepStrictEqual((await migrator.up(1)).map((m) => m.version), [1]);
+    assert.deepStrictEqual((await migrator.up()).map((m) => m.version), [2]);
+    assert.deepStrictEqual(await migrator.up(), []);
+    assert.strictEqual(await migrator.getVersion(), 2);
+    assert.deepStrictEqual(await tables(), ['a', 'b']);
+  });
+
+  it('should revert the latest migrations', async function() {
+    const migrator = new Migrator(storage, migrations);
+    await migrator.up();
+
+    assert.deepStrictEqual((await migrator.down()).map((m) => m.version), [2]);
+    assert.deepStrictEqual(await tables(), ['a']);
+    assert.deepStrictEqual((await migrator.status()).map((m) => m.applied), [true, false]);
+
+    await migrator.down(5);
+    assert.strictEqual(await migrator.getVersion(), 0);
+    assert.deepStrictEqual(await tables(), []);
+  });
+
+  it('should roll back the statements of a failing migration and leave it unrecorded', async function() {
+    const broken = { version: 3, name: 'create_c', up: ['CREATE TABLE c (id INT)', 'CREATE TABLE a (id INT)'], down: ['DROP TABLE c', 'DROP TABLE missing'] };
+    const migrator = new Migrator(storage, [...migrations, broken]);
+    await assert.rejects(migrator.up(), /table a already exists/);
+    assert.strictEqual(await migrator.getVersion(), 2);
+    assert.deepStrictEqual(await storage.query("SELECT name FROM sqlite_master WHERE name = 'c'"), []);
+
+    // Recorded by hand, the revert fails on its second statement and keeps the table and the record
+    await storage.query('CREATE TABLE c (id INT)');
+    await storage.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES (3, ?, 0)', ['create_c']);
+    await assert.rejects(migrator.down(), /no such table: missing/);
+    assert.strictEqual(await migrator.getVersion(), 3);
+    assert.strictEqual((await storage.query("SELECT name FROM sqlite_master WHERE name = 'c'")).length, 1);
+  });
+
+  it('should create and drop the blockchain schema', async function() {
+    const migrator = new Migrator(storage);
+    await migrator.up();
+    await storage.saveBlock({ hash: 'b0', previousHash: '0', timestamp: 1, nonce: 0, difficulty: 0, merkleRoot: 'r', index: 0 });
+    await assert.rejects(storage.saveBlock({ hash: 'b0', previousHash: '0', timestamp: 1, nonce: 0, difficulty: 0, merkleRoot: 'r', index: 0 }));
+
+    await migrator.down(loadMigrations().length);
+    await assert.rejects(storage.getBlocks(), /no such table/);
+  });
+
+  it('should refuse storage without a SQL schema', function() {
+    assert.throws(() => new Migrator(new MemoryStorage()), /only apply to the mysql and sqlite/);
+  });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { Miner } = require('../src/miner');
+const { BlockchainEvent, Block, Transaction } = require('../src/blockchain');
+const { acquireLock, releaseLock } = require('../src/lock');
+const { loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Miner', function() {
+  this.timeout(20000);
+
+  function newBlock(difficulty) {
+    return new Block(1, 'a1', Date.now(), [new Transaction(null, 'miner', 100)], difficulty);
+  }
+
+  it('should find the proof of work in worker threads', async function() {
+    const miner = new Miner({ threads: 2 });
+    const block = newBlock(3);
+    assert.strictEqual(await miner.mine(block), block);
+    assert.ok(block.hash.startsWith('000'));
+    assert.strictEqual(block.hash, block.calculateHash());
+    assert.strictEqual(miner.isMining(), false);
+    assert.ok(miner.getHashrate() > 0);
+  });
+
+  it('should keep the event loop responsive and report progress until cancelled', async function() {
+    const miner = new Miner({ threads: 1, progressInterval: 50 });
+    const progress = [];
+    miner.on('progress', (report) => progress.push(report));
+
+    const block = newBlock(64); // Never found
+    const mining = miner.mine(block);
+    const ticks = await new Promise((resolve) => {
+      let count = 0;
+      const timer = setInterval(() => {
+        if (++count === 10) {
+          clearInterval(timer);
+          resolve(count);
+        }
+      }, 20);
+    });
+    assert.strictEqual(ticks, 10);
+    assert.strictEqual(miner.isMining(), true);
+
+    miner.cancel();
+    assert.strictEqual(await mining, null);
+    assert.strictEqual(block.nonce, 0);
+    assert.ok(progress.length > 0);
+    assert.strictEqual(progress[0].index, 1);
+    assert.ok(progress[progress.length - 1].hashes > 0);
+  });
+
+  it('should refuse an invalid thread count', function() {
+    assert.throws(() => new Miner({ threads: 0 }), /positive integer/);
+  });
+
+  describe('mining blocks of the chain', function() {
+    it('should stop mining when a competing block extends the chain', async function() {
+      const blockchain = await loadTestBlockchain({ mining: { threads: 1, progressInterval: 50 } });
+      const keyPair = ec.genKeyPair();
+      await blockchain.addInitialBalance(keyPair.getPublic('hex'), 100);
+      const tx = transfer(keyPair);
+      await blockchain.addTransaction(tx);
+
+      // The competing block is mined at the scheduled difficulty, the local block can never be found
+      const parent = blockchain.getLatestBlock();
+      const competing = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, 'rival', 1)],
+        blockchain.getDifficultyForIndex(parent.index + 1));
+      competing.mineBlock(competing.difficulty);
+      const getDifficultyForIndex = blockchain.getDifficultyForIndex.bind(blockchain);
+      blockchain.getDifficultyForIndex = (index, chain) => chain ? getDifficultyForIndex(index, chain) : 64;
+
+      const mining = blockchain.minePendingTransactions('miner');
+      await new Promise((resolve) => blockchain.once(BlockchainEvent.MINING_PROGRESS, resolve));
+      await blockchain.addBlock(competing);
+
+      await assert.rejects(mining, { name: 'MiningError', code: 'cancelled' });
+      assert.strictEqual(blockchain.getLatestBlock(), competing);
+      assert.strictEqual(blockchain.miner.isMining(), false);
+      assert.deepStrictEqual(blockchain.pendingTransactions, [tx]);
+    });
+
+    it('should not save a block once a miner who took the lock over wrote with its newer fencing token', async function() {
+      const blockchain = await loadTestBlockchain({ mining: { threads: 1 } });
+      const keyPair = ec.genKeyPair();
+      await blockchain.addInitialBalance(keyPair.getPublic('hex'), 100);
+      const tx = transfer(keyPair);
+      await blockchain.addTransaction(tx);
+
+      // The block is mined with the next token, a later owner already wrote with the one after it
+      const token = await acquireLock('miningLock');
+      await releaseLock('miningLock', token);
+      await blockchain.storage.saveFencingToken('miningLock', token + 2);
+      const tip = blockchain.getLatestBlock();
+
+      await assert.rejects(blockchain.minePendingTransactions('miner'), { code: 'failed', message: /fencing token .* is stale/i });
+      assert.strictEqual(blockchain.getLatestBlock(), tip);
+      assert.strictEqual((await blockchain.storage.getBlocks()).length, tip.index + 1);
+      assert.deepStrictEqual(blockchain.pendingTransactions, [tx]);
+    });
+
+    it('should keep the chain whole when a competing branch arrives while the mined block is saved', async function() {
+      const blockchain = await loadTestBlockchain({ mining: { threads: 1 } });
+      const keyPair = ec.genKeyPair();
+      await blockchain.addInitialBalance(keyPair.getPublic('hex'), 100);
+      const tx = transfer(keyPair);
+      await blockchain.addTransaction(tx);
+
+      // Two competing blocks, the second one carrying more work than the block mined locally
+      const competing = [];
+      let parent = blockchain.getLatestBlock();
+      for (const rival of ['rival1', 'rival2']) {
+        const block = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, rival, 1)],
+          blockchain.getDifficultyForIndex(parent.index + 1, [...blockchain.chain, ...competing]));
+        block.mineBlock(block.difficulty);
+        competing.push(block);
+        parent = block;
+      }
+      const transaction = blockchain.storage.transaction.bind(blockchain.storage);
+      let arriving;
+      blockchain.storage.transaction = (work) => {
+        arriving = arriving || (async() => {
+          for (const block of competing) {
+            await blockchain.addBlock(block);
+          }
+        })();
+        return transaction(work);
+      };
+
+      const mined = await blockchain.minePendingTransactions('miner');
+      await arriving;
+      assert.ok(blockchain.blocks.has(mined.hash));
+      assert.strictEqual(blockchain.getLatestBlock(), competing[1]);
+      assert.deepStrictEqual(blockchain.chain.map((block) => block.index), [0, 1, 2, 3]);
+      assert.ok(blockchain.isChainValid());
+      assert.deepStrictEqual(blockchain.pendingTransactions.map((pending) => pending.hash), [tx.hash]);
+      assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 0);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { MiningDaemon } = require('../src/miningDaemon');
+const { BlockchainEvent } = require('../src/blockchain');
+const { acquireLock, releaseLock } = require('../src/lock');
+const { loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('MiningDaemon', function() {
+  this.timeout(20000);
+
+  let blockchain;
+  let alice;
+
+  beforeEach(async function() {
+    blockchain = await loadTestBlockchain({ mining: { threads: 1, progressInterval: 50 } });
+    alice = ec.genKeyPair();
+    await blockchain.addInitialBalance(alice.getPublic('hex'), 100);
+  });
+
+  describe('block templates', function() {
+    it('should build an unmined block paying the reward and fees', async function() {
+      const tx = transfer(alice, { fee: 3 });
+      await blockchain.addTransaction(tx);
+      const tip = blockchain.getLatestBlock();
+
+      const template = blockchain.createBlockTemplate('miner');
+      assert.strictEqual(template.index, tip.index + 1);
+      assert.strictEqual(template.previousHash, tip.hash);
+      assert.deepStrictEqual(template.transactions.map((t) => t.hash).slice(0, -1), [tx.hash]);
+      assert.strictEqual(template.transactions[1].amount, blockchain.getMiningReward() + 3);
+      assert.strictEqual(blockchain.createBlockTemplate('miner').transactions.length, 2);
+    });
+
+    it('should rebuild the template when a transaction arrives or the tip changes', async function() {
+      const daemon = new MiningDaemon(blockchain, { rewardAddress: 'miner' });
+      daemon.start();
+      const empty = daemon.getTemplate();
+      assert.strictEqual(daemon.getTemplate(), empty);
+      assert.strictEqual(empty.transactions.length, 1);
+
+      const tx = transfer(alice);
+      await blockchain.addTransaction(tx);
+      const filled = daemon.getTemplate();
+      assert.notStrictEqual(filled, empty);
+      assert.strictEqual(filled.transactions[0].hash, tx.hash);
+
+      await daemon.stop();
+      await blockchain.addInitialBalance('bob', 10); // Moves the tip while the daemon does not listen
+      assert.strictEqual(daemon.getTemplate().previousHash, blockchain.getLatestBlock().hash);
+    });
+  });
+
+  describe('submitting blocks', function() {
+    it('should accept a block mined from a template', async function() {
+      await blockchain.addTransaction(transfer(alice));
+      const block = blockchain.createBlockTemplate('miner');
+      block.mineBlock(block.difficulty);
+
+      const events = [];
+      blockchain.on(BlockchainEvent.BLOCK_MINED, (mined) => events.push(mined.hash));
+      assert.deepStrictEqual(await blockchain.submitBlock(block), { hash: block.hash, status: 'accepted' });
+      assert.strictEqual(blockchain.getLatestBlock(), block);
+      assert.deepStrictEqual(events, [block.hash]);
+      assert.strictEqual(blockchain.mempool.size, 0);
+      assert.deepStrictEqual(await blockchain.submitBlock(block), { hash: block.hash, status: 'duplicate' });
+    });
+
+    it('should report stale and invalid blocks', async function() {
+      const stale = blockchain.createBlockTemplate('miner');
+      stale.mineBlock(stale.difficulty);
+      const winner = blockchain.createBlockTemplate('rival');
+      winner.mineBlock(winner.difficulty);
+      assert.strictEqual((await blockchain.submitBlock(winner)).status, 'accepted');
+      assert.strictEqual((await blockchain.submitBlock(stale)).status, 'side_branch');
+      assert.strictEqual(blockchain.getLatestBlock(), winner);
+
+      const tampered = blockchain.createBlockTemplate('miner');
+      tampered.mineBlock(tampered.difficulty);
+      tampered.transactions[0].amount += 1;
+      const result = await blockchain.submitBlock(tampered);
+      assert.strictEqual(result.status, 'rejected');
+      assert.ok(result.reason);
+      assert.strictEqual(blockchain.getLatestBlock(), winner);
+    });
+  });
+
+  describe('mining', function() {
+    it('should mine the pending transactions on top of the chain', async function() {
+      const daemon = new MiningDaemon(blockchain, { rewardAddress: 'miner' });
+      const tx = transfer(alice);
+      await blockchain.addTransaction(tx);
+
+      const mined = [];
+      daemon.on('block', (block) => mined.push(block));
+      const block = await daemon.mine();
+      assert.strictEqual(blockchain.getLatestBlock(), block);
+      assert.strictEqual(block.transactions[0].hash, tx.hash);
+      assert.deepStrictEqual(mined, [block]);
+      assert.strictEqual(blockchain.mempool.size, 0);
+    });
+
+    it('should restart on a new template when a transaction arrives and stop on demand', async function() {
+      // The local blocks can never be found
+      blockchain.getDifficultyForIndex = (index, chain) => chain ? 0 : 64;
+      const daemon = new MiningDaemon(blockchain, { rewardAddress: 'miner' });
+      const templates = [];
+      daemon.on('template', (template) => templates.push(template));
+      daemon.start();
+
+      const mining = daemon.mine();
+      assert.strictEqual(daemon.mine(), mining);
+      await new Promise((resolve) => blockchain.once(BlockchainEvent.MINING_PROGRESS, resolve));
+      const rebuilt = new Promise((resolve) => daemon.once('template', resolve));
+      const tx = transfer(alice);
+      await blockchain.addTransaction(tx);
+      await rebuilt;
+      assert.strictEqual(templates.length, 2);
+      assert.strictEqual(templates[1].transactions[0].hash, tx.hash);
+
+      await daemon.stop();
+      assert.strictEqual(await mining, null);
+      assert.strictEqual(daemon.isRunning(), false);
+      assert.strictEqual(blockchain.miner.isMining(), false);
+      assert.strictEqual(blockchain.mempool.size, 1);
+    });
+
+    it('should hold the mining lock while mining and leave the chain alone while another miner holds it', async function() {
+      const daemon = new MiningDaemon(blockchain, { rewardAddress: 'miner' });
+      await blockchain.addTransaction(transfer(alice));
+
+      const token = await acquireLock('miningLock');
+      try {
+        await assert.rejects(daemon.mine(), { name: 'MiningError', code: 'busy' });
+        assert.strictEqual(blockchain.mempool.size, 1);
+      } finally {
+        await releaseLock('miningLock', token);
+      }
+
+      let locked;
+      daemon.once('template', () => {
+        locked = acquireLock('miningLock'); // Tried while the template is mined
+      });
+      const block = await daemon.mine();
+      assert.strictEqual(await locked, false);
+      assert.strictEqual(blockchain.getLatestBlock(), block);
+      const next = await acquireLock('miningLock'); // Released once mined
+      assert.ok(next > token);
+      await releaseLock('miningLock', next);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { MonetaryPolicy } = require('../src/monetaryPolicy');
+const { Block, Transaction } = require('../src/blockchain');
+const { createTestChainSpec, loadTestBlockchain } = require('./helpers');
+
+describe('MonetaryPolicy', function() {
+  describe('getBlockReward', function() {
+    it('should halve the reward every halving interval', function() {
+      const policy = new MonetaryPolicy({ initialReward: 100, halvingInterval: 10 });
+      assert.deepStrictEqual([0, 1, 10, 11, 20, 21, 31].map((height) => policy.getBlockReward(height)), [0, 100, 100, 50, 50, 25, 12]);
+      assert.strictEqual(policy.getBlockReward(1000), 0);
+    });
+
+    it('should keep the reward without a halving interval', function() {
+      const policy = new MonetaryPolicy({ initialReward: 100 });
+      assert.strictEqual(policy.getBlockReward(1000000), 100);
+      assert.strictEqual(policy.getSupplyAtHeight(1000000), 100000000);
+    });
+
+    it('should cut the reward of the block reaching the supply cap', function() {
+      const policy = new MonetaryPolicy({ initialReward: 100, maxSupply: 1250, genesisSupply: 1000 });
+      assert.deepStrictEqual([1, 2, 3, 4].map((height) => policy.getBlockReward(height)), [100, 100, 50, 0]);
+    });
+  });
+
+  describe('getSupplyAtHeight', function() {
+    it('should add up the genesis allocations and every block reward', function() {
+      const policy = new MonetaryPolicy({ initialReward: 100, halvingInterval: 10, genesisSupply: 1000 });
+      let expected = 1000;
+      for (let height = 0; height <= 100; height++) {
+        expected += policy.getBlockReward(height);
+        assert.strictEqual(policy.getSupplyAtHeight(height), expected);
+      }
+      assert.strictEqual(policy.getSupplyAtHeight(1e9), 1000 + 10 * (100 + 50 + 25 + 12 + 6 + 3 + 1));
+    });
+
+    it('should never exceed the supply cap', function() {
+      const policy = new MonetaryPolicy({ initialReward: 100, halvingInterval: 10, maxSupply: 2000, genesisSupply: 1000 });
+      assert.strictEqual(policy.getSupplyAtHeight(1e9), 2000);
+    });
+
+    it('should refuse genesis allocations above the supply cap', function() {
+      assert.throws(() => new MonetaryPolicy({ initialReward: 1, maxSupply: 10, genesisSupply: 11 }), /exceed the maximum supply/);
+    });
+  });
+
+  describe('coinbase validation', function() {
+    const chainSpec = createTestChainSpec({ reward: { initial: 100, halvingInterval: 2, maxSupply: 1300 } });
+    let blockchain;
+
+    beforeEach(async function() {
+      blockchain = await loadTestBlockchain({ chainSpec });
+    });
+
+    function rewardBlock(amount) {
+      const parent = blockchain.getLatestBlock();
+      const block = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, 'miner', amount)], 0);
+      block.mineBlock(0);
+      return block;
+    }
+
+    it('should reject a block minting more than the block reward', async function() {
+      await assert.rejects(blockchain.addBlock(rewardBlock(101)), /reward transaction of 101 exceeds the block reward plus fees of 100/);
+      assert.strictEqual(await blockchain.addBlock(rewardBlock(100)), true);
+    });
+
+    it('should reject a block with several reward transactions', async function() {
+      const parent = blockchain.getLatestBlock();
+      const block = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, 'a', 1), new Transaction(null, 'b', 1)], 0);
+      block.mineBlock(0);
+      await assert.rejects(blockchain.addBlock(block), /2 reward transactions, only one is allowed/);
+    });
+
+    it('should mint the halved rewards up to the supply cap', async function() {
+      for (let height = 1; height <= 4; height++) {
+        await blockchain.addInitialBalance('miner', blockchain.getMiningReward());
+      }
+      assert.deepStrictEqual(blockchain.chain.map((block) => block.transactions[0].amount), [1000, 100, 100, 50, 50]);
+      assert.strictEqual(blockchain.getCirculatingSupply(), 1300);
+      assert.strictEqual(blockchain.getCirculatingSupply(3), 1250);
+      assert.deepStrictEqual(blockchain.getSupply(4), { height: 4, circulatingSupply: 1300, blockReward: 50, maxSupply: 1300 });
+      await assert.rejects(blockchain.addInitialBalance('miner', 1), /exceeds the block reward of 0/);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+const { P2PNode } = require('../src/network/node');
+const { MessageType, createMessage, parseMessage } = require('../src/network/messages');
+
+const ec = new EC('secp256k1');
+
+describe('P2P node', function() {
+  const keyPair = ec.genKeyPair();
+  const address = keyPair.getPublic('hex');
+  const chainSpec = createTestChainSpec({ allocations: [{ address, amount: 1000 }] });
+  let nodes;
+
+  beforeEach(function() {
+    nodes = [];
+  });
+
+  afterEach(async function() {
+    for (const node of nodes) {
+      await node.stop();
+    }
+  });
+
+  // Starts a node on a free localhost port, with its own in-memory chain
+  async function startNode(options = {}) {
+    const blockchain = await loadTestBlockchain({ chainSpec });
+    const node = new P2PNode(blockchain, { port: 0, host: '127.0.0.1', ...options });
+    nodes.push(node);
+    await node.start();
+    return node;
+  }
+
+  function urlOf(node) {
+    return `ws://127.0.0.1:${node.port}`;
+  }
+
+  // Polls until `condition` holds, the network being asynchronous
+  async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for the network');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  // Mines a block holding a single transfer, nothing is mined from an empty mempool
+  async function mineTransfer(node) {
+    await node.submitTransaction(transfer(keyPair, { nonce: node.blockchain.getNextNonce(address) }));
+    return node.mine('miner');
+  }
+
+  it('should complete the handshake on both sides', async function() {
+    const a = await startNode({ nodeId: 'a' });
+    const b = await startNode({ nodeId: 'b' });
+
+    const peer = await b.connect(urlOf(a));
+    assert.strictEqual(peer.nodeId, 'a');
+    await waitFor(() => a.getPeers().length === 1);
+    assert.strictEqual(a.getPeers()[0].nodeId, 'b');
+  });
+
+  it('should refuse peers of another chain', async function() {
+    const a = await startNode();
+    const other = new P2PNode(await loadTestBlockchain({
+      chainSpec: createTestChainSpec({ allocations: [{ address, amount: 1000 }], chainId: 'other' })
+    }), { port: 0, host: '127.0.0.1' });
+    nodes.push(other);
+    await other.start();
+
+    await assert.rejects(other.connect(urlOf(a)), /closed before the handshake/);
+    assert.strictEqual(a.getPeers().length, 0);
+  });
+
+  it('should gossip transactions through the network', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const c = await startNode();
+    await b.connect(urlOf(a));
+    await c.connect(urlOf(b));
+
+    const tx = transfer(keyPair);
+    await a.submitTransaction(tx);
+    await waitFor(() => c.blockchain.mempool.has(tx.hash));
+    assert.ok(b.blockchain.mempool.has(tx.hash));
+  });
+
+  it('should gossip mined blocks through the network', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const c = await startNode();
+    await b.connect(urlOf(a));
+    await c.connect(urlOf(b));
+
+    await a.submitTransaction(transfer(keyPair));
+    await waitFor(() => c.blockchain.mempool.size === 1);
+    const block = await a.mine('miner');
+
+    await waitFor(() => c.blockchain.getLatestBlock().hash === block.hash);
+    assert.strictEqual(b.blockchain.getLatestBlock().hash, block.hash);
+    assert.strictEqual(c.blockchain.mempool.size, 0);
+    assert.strictEqual(await c.blockchain.getBalanceOfAddress('bob'), 10);
+  });
+
+  it('should sync a lagging node from its block locator in batches', async function() {
+    const a = await startNode();
+    for (let i = 0; i < 5; i++) {
+      await mineTransfer(a);
+    }
+    const b = await startNode({ maxBlocksPerMessage: 2 });
+
+    await b.connect(urlOf(a));
+    await waitFor(() => b.blockchain.getLatestBlock().hash === a.blockchain.getLatestBlock().hash);
+    assert.strictEqual(b.blockchain.chain.length, 6);
+    assert.strictEqual(await b.blockchain.getBalanceOfAddress('bob'), 50);
+  });
+
+  it('should fetch the missing ancestors of an announced block', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    await b.connect(urlOf(a));
+    await waitFor(() => a.getPeers().length === 1);
+
+    // Mined while nobody listens, then only the tip is announced
+    const [peer] = a.getPeers();
+    a.peers.clear();
+    await mineTransfer(a);
+    const tip = await mineTransfer(a);
+    a.peers.add(peer);
+    a.broadcastBlock(tip);
+
+    await waitFor(() => b.blockchain.getLatestBlock().hash === tip.hash);
+    assert.strictEqual(b.blockchain.getLatestBlock().index, 2);
+  });
+
+  it('should drop a transaction announced under another hash', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const peer = await b.connect(urlOf(a));
+
+    // Had the first one been admitted, the second one would not replace it without a higher fee
+    const tx = transfer(keyPair);
+    const next = transfer(keyPair, { toAddress: 'carol' });
+    peer.socket.send(createMessage(MessageType.NEW_TRANSACTION, { transaction: { ...tx, hash: next.hash } }));
+    await b.submitTransaction(next);
+    await waitFor(() => a.blockchain.mempool.has(next.hash));
+    assert.strictEqual(a.blockchain.mempool.has(tx.hash), false);
+  });
+
+  it('should answer block requests with a positive limit, capped to its own', async function() {
+    const a = await startNode({ maxBlocksPerMessage: 2 });
+    for (let i = 0; i < 3; i++) {
+      await mineTransfer(a);
+    }
+    const b = await startNode();
+    const peer = await b.connect(urlOf(a));
+    await waitFor(() => b.blockchain.chain.length === 3); // Synced a first batch of two blocks
+
+    const received = [];
+    peer.socket.on('message', (raw) => received.push(parseMessage(raw)));
+    const locator = [a.blockchain.chain[0].hash];
+    for (const limit of [0, -1, 1.5, '2', undefined, 1000]) {
+      peer.socket.send(createMessage(MessageType.GET_BLOCKS, { locator, limit }));
+    }
+    await waitFor(() => received.length === 6);
+    for (const message of received.slice(0, 5)) {
+      assert.strictEqual(message.type, MessageType.ERROR);
+      assert.match(message.payload.message, /limit must be a positive integer/);
+    }
+    assert.strictEqual(received[5].type, MessageType.BLOCKS);
+    assert.strictEqual(received[5].payload.blocks.length, 2);
+  });
+
+  it('should survive malformed blocks from a peer', async function() {
+    const a = await startNode();
+    const b = await startNode();
+    const peer = await b.connect(urlOf(a));
+
+    peer.socket.send(createMessage(MessageType.BLOCKS, { blocks: [{ transactions: 'garbage' }] }));
+    const tx = transfer(keyPair);
+    await b.submitTransaction(tx);
+    await waitFor(() => a.blockchain.mempool.has(tx.hash));
+    assert.strictEqual(a.blockchain.chain.length, b.blockchain.chain.length);
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { Block, Transaction } = require('../src/blockchain');
+const { loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Transaction nonces', function() {
+  let blockchain;
+  let keyPair;
+  let address;
+
+  beforeEach(async function() {
+    blockchain = await loadTestBlockchain();
+    keyPair = ec.genKeyPair();
+    address = keyPair.getPublic('hex');
+    await blockchain.addInitialBalance(address, 100);
+  });
+
+  it('should sign the nonce with the rest of the transaction', function() {
+    const tx = transfer(keyPair, { nonce: 0 });
+    assert.ok(tx.isValid());
+    tx.nonce = 1;
+    assert.strictEqual(tx.isValid(), false);
+  });
+
+  it('should not let the signature of one nonce and fee pass for another that concatenates the same', async function() {
+    for (const [[nonce, fee], [otherNonce, otherFee]] of [[[1, 23], [12, 3]], [[1, 10], [11, 0]]]) {
+      const tx = new Transaction(address, 'bob', 10, 1722470400000, null, '', nonce, fee);
+      tx.sign(keyPair);
+      const forged = new Transaction(address, 'bob', 10, 1722470400000, tx.signature, '', otherNonce, otherFee);
+      assert.notStrictEqual(forged.hash, tx.hash);
+      assert.strictEqual(forged.isValid(), false);
+    }
+
+    // A transaction signed for a far nonce, replayed as the next one with a higher fee
+    await blockchain.addTransaction(transfer(keyPair, { nonce: 0 }));
+    const signed = new Transaction(address, 'bob', 10, 1722470400000, null, '', 12, 3);
+    signed.sign(keyPair);
+    const replay = new Transaction(address, 'bob', 10, 1722470400000, signed.signature, '', 1, 23);
+    await assert.rejects(blockchain.addTransaction(replay), /Cannot add invalid transaction/);
+    assert.strictEqual(blockchain.mempool.size, 1);
+  });
+
+  it('should count confirmed and pending transactions in the next nonce', async function() {
+    assert.strictEqual(blockchain.getNextNonce(address), 0);
+    await blockchain.addTransaction(transfer(keyPair, { nonce: 0 }));
+    await blockchain.addTransaction(transfer(keyPair, { nonce: 1 }));
+    assert.strictEqual(blockchain.getNonceOfAddress(address), 0);
+    assert.strictEqual(blockchain.getNextNonce(address), 2);
+
+    await blockchain.minePendingTransactions('miner');
+    assert.strictEqual(blockchain.getNonceOfAddress(address), 2);
+    assert.strictEqual(blockchain.getNextNonce(address), 2);
+  });
+
+  it('should reject the replay of a confirmed transaction', async function() {
+    const tx = transfer(keyPair, { nonce: 0 });
+    await blockchain.addTransaction(tx);
+    await blockchain.minePendingTransactions('miner');
+
+    await assert.rejects(blockchain.addTransaction(Transaction.fromJSON(tx)), /Invalid nonce 0 for .*, expected 1/);
+    assert.strictEqual(blockchain.mempool.size, 0);
+  });
+
+  it('should refuse a chain replaying a transaction in a later block', async function() {
+    const tx = transfer(keyPair, { nonce: 0 });
+    await blockchain.addTransaction(tx);
+    await blockchain.minePendingTransactions('miner');
+
+    const tip = blockchain.getLatestBlock();
+    const replay = new Block(tip.index + 1, tip.hash, Date.now(),
+      [Transaction.fromJSON(tx), blockchain.createRewardTransaction('miner', [tx], tip.index + 1)], tip.difficulty);
+    replay.mineBlock(replay.difficulty);
+    await assert.rejects(blockchain.addBlock(replay), /Invalid nonce 0 for .*, expected 1/);
+    assert.strictEqual(blockchain.getLatestBlock(), tip);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 10);
+  });
+});
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { setStorage, getStorage } = require('../src/storage');
+const { MemoryStorage } = require('../src/storage/memory');
+const { parseChainSpec } = require('../src/chainSpec');
+const { transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Blockchain persistence', function() {
+  let blockchain;
+  let keyPair;
+  let address;
+
+  beforeEach(async function() {
+    setStorage(new MemoryStorage());
+    keyPair = ec.genKeyPair();
+    address = keyPair.getPublic('hex');
+    blockchain = await Blockchain.load();
+    await blockchain.addInitialBalance(address, 100);
+  });
+
+  it('should keep pending transactions in the storage pending pool', async function() {
+    await blockchain.addTransaction(transfer(keyPair, { amount: 10, nonce: 0 }));
+
+    const pending = await Transaction.loadPendingTransactions();
+    assert.deepStrictEqual(pending.map((tx) => tx.hash), blockchain.pendingTransactions.map((tx) => tx.hash));
+    assert.strictEqual(await blockchain.countPendingTransactions(), 1);
+  });
+
+  it('should save mined blocks so they load back identically', async function() {
+    await blockchain.addTransaction(transfer(keyPair, { amount: 10, nonce: 0 }));
+    await blockchain.addTransaction(transfer(keyPair, { amount: 5, nonce: 1 }));
+    const block = await blockchain.minePendingTransactions('miner');
+
+    const loaded = await Block.load(block.hash);
+    assert.strictEqual(loaded.hash, block.hash);
+    assert.deepStrictEqual(loaded.transactions.map((tx) => tx.hash), block.transactions.map((tx) => tx.hash));
+    assert.strictEqual(await blockchain.countPendingTransactions(), 0);
+    assert.strictEqual((await getStorage().getBlocks()).length, 3);
+  });
+
+  it('should leave the chain and the pending pool untouched when a block cannot be saved', async function() {
+    await blockchain.addTransaction(transfer(keyPair, { amount: 10, nonce: 0 }));
+    const storage = getStorage();
+    const height = blockchain.chain.length;
+    const blockCount = (await storage.getBlocks()).length;
+
+    storage.saveMerkleProof = async() => { throw new Error('disk full'); };
+    await assert.rejects(blockchain.minePendingTransactions('miner'), { name: 'MiningError', code: 'failed', message: /disk full/ });
+
+    assert.strictEqual(blockchain.chain.length, height);
+    assert.strictEqual((await storage.getBlocks()).length, blockCount);
+    assert.strictEqual(await storage.countPendingTransactions(), 1);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('miner'), 0);
+  });
+
+  describe('repairStorage', function() {
+    it('should keep complete blocks', async function() {
+      const result = await Blockchain.repairStorage();
+      assert.deepStrictEqual(result, { removedBlocks: [], orphanedRows: 0, upgradedBlocks: [] });
+    });
+
+    it('should remove a half-written block and its descendants and return their transactions to the pending pool', async function() {
+      await blockchain.addTransaction(transfer(keyPair, { amount: 10, nonce: 0 }));
+      const block = await blockchain.minePendingTransactions('miner');
+      await blockchain.addInitialBalance('carol', 5);
+      const child = blockchain.getLatestBlock();
+
+      // Simulate a crash after the first transaction of the block was written
+      const storage = getStorage();
+      storage.transactions = storage.transactions.filter((tx) => tx.blockHash !== block.hash || tx.position === 0);
+
+      const result = await Blockchain.repairStorage();
+      assert.deepStrictEqual(result.removedBlocks, [block.hash, child.hash]);
+      assert.strictEqual(await storage.getBlock(block.hash), null);
+      assert.deepStrictEqual((await storage.getPendingTransactions()).map((tx) => tx.hash), [block.transactions[0].hash]);
+      assert.strictEqual(result.orphanedRows, 0);
+    });
+  });
+
+  describe('load', function() {
+    it('should create and save a genesis block when storage is empty', async function() {
+      const storage = new MemoryStorage();
+      const fresh = await Blockchain.load({ storage });
+      assert.strictEqual(fresh.chain.length, 1);
+      assert.deepStrictEqual((await storage.getBlocks()).map((row) => row.hash), [fresh.chain[0].hash]);
+    });
+
+    it('should resume the stored chain, state and pending pool instead of starting a new chain', async function() {
+      await blockchain.addTransaction(transfer(keyPair, { amount: 10, nonce: 0 }));
+      await blockchain.addTransaction(transfer(keyPair, { amount: 5, nonce: 1 }));
+      await blockchain.minePendingTransactions('miner');
+      await blockchain.addTransaction(transfer(keyPair, { amount: 1, nonce: 2 }));
+
+      const resumed = await Blockchain.load();
+      assert.deepStrictEqual(resumed.chain.map((block) => block.hash), blockchain.chain.map((block) => block.hash));
+      assert.strictEqual(await resumed.getBalanceOfAddress('bob'), 15);
+      assert.strictEqual(resumed.getNonceOfAddress(address), 2);
+      assert.deepStrictEqual(resumed.pendingTransactions.map((tx) => tx.hash), blockchain.pendingTransactions.map((tx) => tx.hash));
+      assert.strictEqual(resumed.getNextNonce(address), 3);
+    });
+
+    it('should follow the stored branch with the most work', async function() {
+      const parent = blockchain.getLatestBlock();
+      const sideBlock = (index, previous, difficulty) => {
+        const block = new Block(index, previous.hash, parent.timestamp + index, [new Transaction(null, 'side', 100, parent.timestamp)], difficulty);
+        block.mineBlock(difficulty);
+        return block;
+      };
+      await blockchain.addInitialBalance('main', 1);
+      const fork = sideBlock(parent.index + 1, parent, 0);
+      await blockchain.addBlock(fork);
+      const forkTip = sideBlock(parent.index + 2, fork, 0);
+      await blockchain.addBlock(forkTip);
+      assert.strictEqual(blockchain.getLatestBlock().hash, forkTip.hash);
+
+      const resumed = await Blockchain.load();
+      assert.strictEqual(resumed.getLatestBlock().hash, forkTip.hash);
+      assert.strictEqual(resumed.blocks.size, blockchain.blocks.size);
+      assert.strictEqual(await resumed.getBalanceOfAddress('main'), 0);
+      assert.strictEqual(await resumed.getBalanceOfAddress('side'), 200);
+    });
+
+    it('should refuse a stored chain that was tampered with', async function() {
+      const storage = getStorage();
+      const [row] = await storage.getBlockTransactions(blockchain.getLatestBlock().hash);
+      storage.transactions.find((tx) => tx.hash === row.hash).amount = 1000000;
+      await assert.rejects(Blockchain.load(), /Invalid/);
+    });
+
+    it('should refuse a stored chain with another genesis block', async function() {
+      const chainSpec = parseChainSpec({ chainId: 'other', genesis: { timestamp: 1, allocations: [{ address: 'a', amount: 1 }] } });
+      await assert.rejects(Blockchain.load({ chainSpec }), /does not match the genesis of chain other/);
+    });
+  });
+});
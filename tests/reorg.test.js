@@ -0,0 +1,130 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { BlockchainEvent, Block, Transaction } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const consensus = require('../src/consensus');
+const { loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Chain reorganisation', function() {
+  let blockchain;
+  let storage;
+  let keyPair;
+  let address;
+  let forkPoint;
+  let reorgs;
+
+  beforeEach(async function() {
+    storage = new MemoryStorage();
+    blockchain = await loadTestBlockchain({ storage });
+    keyPair = ec.genKeyPair();
+    address = keyPair.getPublic('hex');
+    await blockchain.addInitialBalance(address, 100);
+    forkPoint = blockchain.getLatestBlock();
+    reorgs = [];
+    blockchain.on(BlockchainEvent.REORG, (reorg) => reorgs.push(reorg));
+  });
+
+  // Mine a block on top of `parent` holding `transactions` and paying the reward to `miner`
+  function forkBlock(parent, transactions = [], miner = 'rival') {
+    const height = parent.index + 1;
+    const block = new Block(height, parent.hash, Date.now(),
+      [...transactions, blockchain.createRewardTransaction(miner, transactions, height)],
+      blockchain.getDifficultyForIndex(height, blockchain.getBranch(parent.hash)), blockchain.getBlockVersion(height));
+    block.mineBlock(block.difficulty);
+    return block;
+  }
+
+  it('should return the transactions of disconnected blocks to the mempool', async function() {
+    const tx = transfer(keyPair);
+    await blockchain.addTransaction(tx);
+    const orphan = await blockchain.minePendingTransactions('miner');
+    assert.strictEqual(blockchain.mempool.size, 0);
+
+    const fork = forkBlock(forkPoint);
+    await blockchain.addBlock(fork);
+    assert.strictEqual(blockchain.getLatestBlock(), orphan); // Same work, the first branch stays
+    const forkTip = forkBlock(fork);
+    await blockchain.addBlock(forkTip);
+
+    assert.deepStrictEqual(blockchain.chain.map((block) => block.hash), [blockchain.chain[0].hash, forkPoint.hash, fork.hash, forkTip.hash]);
+    assert.deepStrictEqual(blockchain.pendingTransactions.map((pending) => pending.hash), [tx.hash]);
+    assert.strictEqual(blockchain.pendingTransactions[0].blockHash, '');
+    assert.deepStrictEqual((await storage.getPendingTransactions()).map((pending) => pending.hash), [tx.hash]);
+    assert.strictEqual(reorgs.length, 1);
+    assert.strictEqual(reorgs[0].forkIndex, forkPoint.index);
+    assert.deepStrictEqual(reorgs[0].orphaned, [orphan]);
+    assert.deepStrictEqual(reorgs[0].connected, [fork, forkTip]);
+  });
+
+  it('should roll the ledger state back to the fork point before applying the new branch', async function() {
+    await blockchain.addTransaction(transfer(keyPair));
+    await blockchain.minePendingTransactions('miner');
+    assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 10);
+
+    const fork = forkBlock(forkPoint);
+    await blockchain.addBlock(fork);
+    await blockchain.addBlock(forkBlock(fork));
+
+    assert.strictEqual(await blockchain.getBalanceOfAddress(address), 100);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 0);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('miner'), 0);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('rival'), 2 * blockchain.getMiningReward());
+    assert.strictEqual(blockchain.getNonceOfAddress(address), 0);
+    assert.strictEqual(blockchain.getNextNonce(address), 1); // The returned transaction is pending again
+
+    const replayed = await loadTestBlockchain({ storage });
+    assert.strictEqual(replayed.state.getStateRoot(), blockchain.state.getStateRoot());
+  });
+
+  it('should only replay the blocks a new branch connects, on the state at the fork point', async function() {
+    for (let i = 0; i < 3; i++) {
+      await blockchain.addTransaction(transfer(keyPair, { amount: 1, nonce: i }));
+      await blockchain.minePendingTransactions('miner');
+    }
+    const tip = blockchain.getLatestBlock();
+    const fork = forkBlock(blockchain.chain[tip.index - 1]);
+    await blockchain.addBlock(fork);
+
+    const applied = [];
+    const applyBlock = consensus.applyBlock;
+    consensus.applyBlock = (block, state, rules) => {
+      applied.push(block.hash);
+      return applyBlock(block, state, rules);
+    };
+    try {
+      const extension = forkBlock(tip);
+      await blockchain.addBlock(extension); // Extends the tip: only the new block is replayed
+      assert.deepStrictEqual(applied, [extension.hash]);
+
+      applied.length = 0;
+      const forkNext = forkBlock(fork);
+      await blockchain.addBlock(forkNext);
+      assert.deepStrictEqual(applied, []); // Side branches are replayed once they take over
+      const forkTip = forkBlock(forkNext);
+      await blockchain.addBlock(forkTip);
+      assert.deepStrictEqual(applied, [fork.hash, forkNext.hash, forkTip.hash]);
+      assert.strictEqual(blockchain.getLatestBlock(), forkTip);
+    } finally {
+      consensus.applyBlock = applyBlock;
+    }
+
+    assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 2);
+    assert.strictEqual(reorgs[0].forkIndex, tip.index - 1);
+  });
+
+  it('should keep transactions the new branch confirms out of the mempool', async function() {
+    const tx = transfer(keyPair);
+    await blockchain.addTransaction(tx);
+    await blockchain.minePendingTransactions('miner');
+
+    const fork = forkBlock(forkPoint, [Transaction.fromJSON(tx)]);
+    await blockchain.addBlock(fork);
+    await blockchain.addBlock(forkBlock(fork));
+
+    assert.strictEqual(blockchain.mempool.size, 0);
+    assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 10);
+    assert.strictEqual(blockchain.getNonceOfAddress(address), 1);
+  });
+});
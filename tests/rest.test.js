@@ -0,0 +1,202 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { Transaction } = require('../src/blockchain');
+const { MemoryStorage } = require('../src/storage/memory');
+const { ApiServer, MAX_BODY_SIZE } = require('../src/api/server');
+const { matchRoute, parseTransaction, parseBlock, MAX_BLOCK_RANGE } = require('../src/api/rest');
+const { acquireLock, releaseLock } = require('../src/lock');
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('REST API', function() {
+  const keyPair = ec.genKeyPair();
+  const address = keyPair.getPublic('hex');
+  const chainSpec = createTestChainSpec({ allocations: [{ address, amount: 1000 }] });
+  let blockchain;
+  let storage;
+  let server;
+
+  beforeEach(async function() {
+    storage = new MemoryStorage();
+    blockchain = await loadTestBlockchain({ chainSpec, storage });
+    server = new ApiServer(blockchain, { port: 0, host: '127.0.0.1' });
+    await server.start();
+  });
+
+  afterEach(async function() {
+    await server.stop();
+  });
+
+  // Sends a request to the server, resolving with the status and the parsed JSON body
+  async function request(method, path, body) {
+    const response = await fetch(`http://127.0.0.1:${server.port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe('routing', function() {
+    it('should match routes and decode their parameters', function() {
+      const route = matchRoute('GET', '/address/a%20b/balance');
+      assert.strictEqual(route.status, 200);
+      assert.deepStrictEqual(route.params, ['a b']);
+      assert.strictEqual(matchRoute('POST', '/transactions').status, 201);
+      assert.strictEqual(matchRoute('GET', '/nowhere'), null);
+    });
+
+    it('should answer 404 for unknown paths and 405 for known paths with another method', async function() {
+      const missing = await request('GET', '/nowhere');
+      assert.strictEqual(missing.status, 404);
+      assert.strictEqual(missing.body.error.code, 'not_found');
+
+      const wrongMethod = await request('DELETE', '/blocks/latest');
+      assert.strictEqual(wrongMethod.status, 405);
+      assert.strictEqual(wrongMethod.body.error.code, 'method_not_allowed');
+    });
+
+    it('should answer 400 for malformed percent-encoding in a path parameter', async function() {
+      assert.throws(() => matchRoute('GET', '/address/%E0%A4%A/balance'), { status: 400 });
+      const response = await request('GET', '/address/%E0%A4%A/balance');
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.body.error.code, 'bad_request');
+    });
+
+    it('should serve blocks by hash and report unknown ones', async function() {
+      const genesis = blockchain.chain[0];
+      const found = await request('GET', `/blocks/${genesis.hash}`);
+      assert.strictEqual(found.status, 200);
+      assert.strictEqual(found.body.hash, genesis.hash);
+      assert.strictEqual(found.body.mainChain, true);
+
+      const missing = await request('GET', `/blocks/${'0'.repeat(64)}`);
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+
+  describe('block ranges', function() {
+    it('should return the requested range', async function() {
+      const response = await request('GET', '/blocks?from=0&to=0');
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.height, 0);
+      assert.deepStrictEqual(response.body.blocks.map((block) => block.hash), [blockchain.chain[0].hash]);
+    });
+
+    it('should refuse invalid and oversized ranges', async function() {
+      for (const query of ['from=-1', 'from=abc', 'to=1.5', 'from=3&to=2', `from=0&to=${MAX_BLOCK_RANGE}`]) {
+        const response = await request('GET', `/blocks?${query}`);
+        assert.strictEqual(response.status, 400, query);
+        assert.strictEqual(response.body.error.code, 'bad_request', query);
+      }
+      assert.strictEqual((await request('GET', `/blocks?from=0&to=${MAX_BLOCK_RANGE - 1}`)).status, 200);
+    });
+  });
+
+  describe('transactions', function() {
+    it('should check every field of a submitted transaction', function() {
+      const valid = { ...transfer(keyPair) };
+      assert.ok(parseTransaction(valid) instanceof Transaction);
+      assert.strictEqual(parseTransaction(valid).hash, valid.hash);
+
+      const invalid = [
+        [null, /must be a JSON object/],
+        [{ ...valid, fromAddress: '' }, /fromAddress must be a non-empty string/],
+        [{ ...valid, signature: 42 }, /signature must be a non-empty string/],
+        [{ ...valid, amount: 0 }, /amount must be a positive number/],
+        [{ ...valid, amount: '10' }, /amount must be a positive number/],
+        [{ ...valid, fee: -1 }, /fee must be a non-negative number/],
+        [{ ...valid, timestamp: 'now' }, /timestamp must be an integer/],
+        [{ ...valid, nonce: -1 }, /nonce must be a non-negative integer/]
+      ];
+      for (const [body, message] of invalid) {
+        assert.throws(() => parseTransaction(body), (error) => error.status === 400 && message.test(error.message));
+      }
+    });
+
+    it('should accept a valid transaction with 201 and report it as pending', async function() {
+      const tx = transfer(keyPair);
+      const response = await request('POST', '/transactions', { ...tx });
+      assert.strictEqual(response.status, 201);
+      assert.deepStrictEqual(response.body, { hash: tx.hash, status: 'pending' });
+
+      const found = await request('GET', `/tx/${tx.hash}`);
+      assert.strictEqual(found.body.status, 'pending');
+    });
+
+    it('should answer 422 for a transaction the pool refuses and 400 for invalid JSON', async function() {
+      const replay = transfer(keyPair, { nonce: 5 });
+      const refused = await request('POST', '/transactions', { ...replay });
+      assert.strictEqual(refused.status, 422);
+      assert.strictEqual(refused.body.error.code, 'invalid_transaction');
+
+      const malformed = await request('POST', '/transactions', '{not json');
+      assert.strictEqual(malformed.status, 400);
+      assert.strictEqual(malformed.body.error.code, 'invalid_json');
+    });
+
+    it('should answer 413 to an oversized body and keep serving the connection', async function() {
+      const oversized = await request('POST', '/transactions', `"${'x'.repeat(MAX_BODY_SIZE)}"`);
+      assert.strictEqual(oversized.status, 413);
+      assert.strictEqual(oversized.body.error.code, 'payload_too_large');
+      assert.strictEqual((await request('GET', '/blocks/latest')).status, 200);
+    });
+  });
+
+  describe('blocks', function() {
+    it('should only accept block shaped bodies', function() {
+      assert.throws(() => parseBlock(null), { status: 400 });
+      assert.throws(() => parseBlock({ transactions: 'none' }), /transactions array/);
+      const block = parseBlock(JSON.parse(JSON.stringify(blockchain.chain[0])));
+      assert.strictEqual(block.hash, blockchain.chain[0].hash);
+    });
+
+    it('should answer 422 with the broken rule for a rejected block', async function() {
+      const template = (await request('GET', '/mining/template?rewardAddress=miner')).body;
+      const response = await request('POST', '/mining/blocks', { ...template, hash: '0'.repeat(64) });
+      assert.strictEqual(response.status, 422);
+      assert.strictEqual(response.body.error.code, 'invalid_block');
+      assert.ok(response.body.error.details.rule);
+    });
+  });
+
+  describe('mining', function() {
+    it('should mine the pending transactions', async function() {
+      await blockchain.addTransaction(transfer(keyPair));
+      const response = await request('POST', '/mine', { rewardAddress: 'miner' });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.block.index, 1);
+      assert.strictEqual(await blockchain.getBalanceOfAddress('bob'), 10);
+    });
+
+    it('should tell an empty pool apart from a mining failure', async function() {
+      const empty = await request('POST', '/mine', { rewardAddress: 'miner' });
+      assert.strictEqual(empty.status, 200);
+      assert.deepStrictEqual(empty.body, { message: 'No pending transactions to mine', block: null });
+
+      await blockchain.addTransaction(transfer(keyPair));
+      const token = await acquireLock('miningLock');
+      try {
+        const busy = await request('POST', '/mine', { rewardAddress: 'miner' });
+        assert.strictEqual(busy.status, 409);
+        assert.strictEqual(busy.body.error.code, 'mining_busy');
+      } finally {
+        await releaseLock('miningLock', token);
+      }
+
+      storage.saveMerkleProof = async() => { throw new Error('disk full'); };
+      const failed = await request('POST', '/mine', { rewardAddress: 'miner' });
+      assert.strictEqual(failed.status, 500);
+      assert.strictEqual(failed.body.error.code, 'mining_failed');
+      assert.match(failed.body.error.message, /disk full/);
+      assert.strictEqual(blockchain.mempool.size, 1);
+    });
+
+    it('should refuse an empty reward address', async function() {
+      const response = await request('POST', '/mine', { rewardAddress: '' });
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.body.error.details.field, 'rewardAddress');
+    });
+  });
+});
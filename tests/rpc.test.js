@@ -0,0 +1,131 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { ApiServer } = require('../src/api/server');
+const { handleRpc, RpcErrorCode } = require('../src/api/rpc');
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('JSON-RPC API', function() {
+  const keyPair = ec.genKeyPair();
+  const address = keyPair.getPublic('hex');
+  const chainSpec = createTestChainSpec({ allocations: [{ address, amount: 1000 }] });
+  let blockchain;
+  let api;
+
+  beforeEach(async function() {
+    blockchain = await loadTestBlockchain({ chainSpec });
+    api = new ApiServer(blockchain, { port: 0, host: '127.0.0.1' });
+  });
+
+  // Executes a payload, given as an object or as the raw request body
+  function call(payload) {
+    return handleRpc(api, typeof payload === 'string' ? payload : JSON.stringify(payload));
+  }
+
+  it('should answer a request with its id', async function() {
+    assert.deepStrictEqual(await call({ jsonrpc: '2.0', method: 'chain_getHeight', id: 7 }), { jsonrpc: '2.0', result: 0, id: 7 });
+    assert.deepStrictEqual(await call({ jsonrpc: '2.0', method: 'chain_getHeight', id: 'a' }), { jsonrpc: '2.0', result: 0, id: 'a' });
+  });
+
+  it('should accept positional and named parameters', async function() {
+    const positional = await call({ jsonrpc: '2.0', method: 'account_getBalance', params: [address], id: 1 });
+    const named = await call({ jsonrpc: '2.0', method: 'account_getBalance', params: { address }, id: 2 });
+    assert.strictEqual(positional.result, 1000);
+    assert.strictEqual(named.result, 1000);
+  });
+
+  it('should not answer notifications, even when they fail', async function() {
+    const tx = transfer(keyPair);
+    assert.strictEqual(await call({ jsonrpc: '2.0', method: 'tx_send', params: [{ ...tx }] }), null);
+    assert.ok(blockchain.mempool.has(tx.hash));
+    assert.strictEqual(await call({ jsonrpc: '2.0', method: 'no_such_method' }), null);
+    assert.strictEqual(await call({ jsonrpc: '2.0', method: 'chain_getBlockByIndex', params: [-1] }), null);
+  });
+
+  it('should report parse errors and invalid requests with a null id', async function() {
+    assert.strictEqual((await call('{not json')).error.code, RpcErrorCode.PARSE_ERROR);
+    for (const request of [42, [], { method: 'chain_getHeight', id: 1 }, { jsonrpc: '1.0', method: 'chain_getHeight', id: 1 }, { jsonrpc: '2.0', id: 1 }]) {
+      const response = await call(request);
+      assert.strictEqual(response.error.code, RpcErrorCode.INVALID_REQUEST, JSON.stringify(request));
+    }
+    assert.strictEqual((await call([])).id, null);
+  });
+
+  it('should report unknown methods, inherited properties included', async function() {
+    for (const method of ['no_such_method', 'toString', '__proto__']) {
+      const response = await call({ jsonrpc: '2.0', method, id: 1 });
+      assert.strictEqual(response.error.code, RpcErrorCode.METHOD_NOT_FOUND, method);
+      assert.strictEqual(response.id, 1);
+    }
+  });
+
+  it('should report invalid parameters', async function() {
+    const requests = [
+      { method: 'chain_getBlockByIndex', params: ['one'] },
+      { method: 'chain_getBlockByHash', params: [] },
+      { method: 'chain_getSupply', params: { height: 5 } },
+      { method: 'account_getBalance', params: 'alice' },
+      { method: 'tx_send', params: [{ ...transfer(keyPair), amount: -1 }] }
+    ];
+    for (const request of requests) {
+      const response = await call({ jsonrpc: '2.0', ...request, id: 1 });
+      assert.strictEqual(response.error.code, RpcErrorCode.INVALID_PARAMS, request.method);
+    }
+  });
+
+  it('should report refused transactions and failed mining as server errors', async function() {
+    const refused = await call({ jsonrpc: '2.0', method: 'tx_send', params: [{ ...transfer(keyPair, { nonce: 3 }) }], id: 1 });
+    assert.strictEqual(refused.error.code, RpcErrorCode.SERVER_ERROR);
+    assert.match(refused.error.message, /Invalid nonce 3/);
+
+    await blockchain.addTransaction(transfer(keyPair));
+    blockchain.storage.saveMerkleProof = async() => { throw new Error('disk full'); };
+    const failed = await call({ jsonrpc: '2.0', method: 'miner_mine', params: ['miner'], id: 2 });
+    assert.strictEqual(failed.error.code, RpcErrorCode.SERVER_ERROR);
+    assert.deepStrictEqual(failed.error.data, { reason: 'failed' });
+  });
+
+  it('should answer batches in order, leaving out notifications and keeping errors', async function() {
+    const responses = await call([
+      { jsonrpc: '2.0', method: 'chain_getHeight', id: 1 },
+      { jsonrpc: '2.0', method: 'chain_getHeight' },
+      { jsonrpc: '2.0', method: 'no_such_method', id: 2 },
+      'invalid',
+      { jsonrpc: '2.0', method: 'account_getNonce', params: [address], id: 3 }
+    ]);
+    assert.deepStrictEqual(responses.map((response) => response.id), [1, 2, null, 3]);
+    assert.strictEqual(responses[0].result, 0);
+    assert.strictEqual(responses[1].error.code, RpcErrorCode.METHOD_NOT_FOUND);
+    assert.strictEqual(responses[2].error.code, RpcErrorCode.INVALID_REQUEST);
+    assert.strictEqual(responses[3].result, 0);
+
+    assert.strictEqual(await call([{ jsonrpc: '2.0', method: 'chain_getHeight' }]), null);
+  });
+
+  describe('over HTTP', function() {
+    beforeEach(async function() {
+      await api.start();
+    });
+
+    afterEach(async function() {
+      await api.stop();
+    });
+
+    function post(body) {
+      return fetch(`http://127.0.0.1:${api.port}/rpc`, { method: 'POST', body: JSON.stringify(body) });
+    }
+
+    it('should answer requests and reply 204 to notifications only', async function() {
+      const response = await post({ jsonrpc: '2.0', method: 'chain_getHeight', id: 1 });
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { jsonrpc: '2.0', result: 0, id: 1 });
+      assert.strictEqual((await post({ jsonrpc: '2.0', method: 'chain_getHeight' })).status, 204);
+    });
+
+    it('should only accept POST', async function() {
+      const response = await fetch(`http://127.0.0.1:${api.port}/rpc`);
+      assert.strictEqual(response.status, 405);
+    });
+  });
+});
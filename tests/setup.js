@@ -0,0 +1,4 @@
+// Loaded by mocha before the tests (see the test script in package.json):
+// run against the in-memory storage and without Redis, so no database server is needed.
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+process.env.REDIS_ENABLED = 'false';
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { LedgerState } = require('../src/state');
+
+function fakeCache() {
+  const data = {};
+  return {
+    data,
+    get: async(key) => (key in data ? data[key] : null),
+    set: async(key, value) => { data[key] = String(value); },
+    del: async(key) => { delete data[key]; },
+    keys: async(pattern) => Object.keys(data).filter((key) => key.startsWith(pattern.slice(0, -1)))
+  };
+}
+
+const chain = [
+  { transactions: [{ fromAddress: null, toAddress: 'alice', amount: 100, fee: 0, nonce: 0 }] },
+  {
+    transactions: [
+      { fromAddress: 'alice', toAddress: 'bob', amount: 30, fee: 2, nonce: 0 },
+      { fromAddress: 'alice', toAddress: 'bob', amount: 10, fee: 1, nonce: 1 },
+      { fromAddress: null, toAddress: 'miner', amount: 103, fee: 0, nonce: 0 }
+    ]
+  }
+];
+
+describe('LedgerState', function() {
+  describe('replay', function() {
+    it('should derive balances and nonces from the blocks', function() {
+      const state = new LedgerState();
+      state.replay(chain);
+      assert.strictEqual(state.getBalance('alice'), 57);
+      assert.strictEqual(state.getBalance('bob'), 40);
+      assert.strictEqual(state.getBalance('miner'), 103);
+      assert.strictEqual(state.getNonce('alice'), 2);
+      assert.strictEqual(state.getNonce('bob'), 0);
+    });
+
+    it('should give the same result when replayed twice', function() {
+      const state = new LedgerState();
+      state.replay(chain);
+      state.replay(chain);
+      assert.strictEqual(state.getBalance('alice'), 57);
+    });
+  });
+
+  describe('cache', function() {
+    it('should report cached balances that drifted from the chain', async function() {
+      const cache = fakeCache();
+      const state = new LedgerState(cache);
+      state.replay(chain);
+      await state.writeCache();
+      assert.deepStrictEqual(await state.checkConsistency(), { consistent: true, mismatches: [] });
+
+      cache.data.wallet_balance_bob = '80';
+      cache.data.wallet_balance_ghost = '5';
+      const result = await state.checkConsistency();
+      assert.strictEqual(result.consistent, false);
+      assert.deepStrictEqual(result.mismatches, [
+        { address: 'bob', cached: 80, expected: 40 },
+        { address: 'ghost', cached: 5, expected: 0 }
+      ]);
+    });
+
+    it('should rebuild the cache from the replayed state', async function() {
+      const cache = fakeCache();
+      cache.data.wallet_balance_ghost = '5';
+      const state = new LedgerState(cache);
+      state.replay(chain);
+      await state.rebuildCache();
+      assert.strictEqual(cache.data.wallet_balance_ghost, undefined);
+      assert.strictEqual(cache.data.wallet_balance_alice, '57');
+      assert.strictEqual((await state.checkConsistency()).consistent, true);
+    });
+  });
+});
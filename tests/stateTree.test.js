@@ -0,0 +1,121 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const { StateTree, EMPTY_HASH } = require('../src/stateTree');
+const { Blockchain, Block, Transaction } = require('../src/blockchain');
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('StateTree', function() {
+  const accounts = Array.from({ length: 50 }, (_, i) => [`address${i}`, { balance: i * 10, nonce: i % 3 }]);
+
+  function treeOf(entries) {
+    const tree = new StateTree();
+    for (const [address, account] of entries) tree.set(address, account);
+    return tree;
+  }
+
+  it('should give the same root whatever the order of the updates', function() {
+    const tree = treeOf(accounts);
+    assert.strictEqual(treeOf([...accounts].reverse()).getRootHash(), tree.getRootHash());
+
+    // Emptied accounts leave the tree as if they never existed
+    tree.set('address7', { balance: 0, nonce: 0 });
+    tree.set('stranger', { balance: 5, nonce: 0 });
+    tree.set('stranger', { balance: 0, nonce: 0 });
+    assert.strictEqual(tree.getRootHash(), treeOf(accounts.filter(([address]) => address !== 'address7')).getRootHash());
+    assert.strictEqual(new StateTree().getRootHash(), EMPTY_HASH);
+  });
+
+  it('should prove the state of known and unknown addresses', function() {
+    const tree = treeOf(accounts);
+    const root = tree.getRootHash();
+    for (const [address, account] of accounts) {
+      const proof = tree.getProof(address);
+      assert.ok(StateTree.verifyProof(address, account, proof, root), address);
+      assert.strictEqual(StateTree.verifyProof(address, { ...account, balance: account.balance + 1 }, proof, root), false);
+    }
+    for (const address of ['unknown', 'address50', '']) {
+      assert.ok(StateTree.verifyProof(address, null, tree.getProof(address), root), address);
+      assert.strictEqual(StateTree.verifyProof(address, { balance: 1, nonce: 0 }, tree.getProof(address), root), false);
+    }
+  });
+
+  it('should reject proofs that were tampered with or belong to another address', function() {
+    const tree = treeOf(accounts);
+    const root = tree.getRootHash();
+    const proof = tree.getProof('address3');
+    const [, account] = accounts[3];
+
+    assert.strictEqual(StateTree.verifyProof('address4', account, proof, root), false);
+    assert.strictEqual(StateTree.verifyProof('address3', account, { ...proof, siblings: proof.siblings.slice(1) }, root), false);
+    assert.strictEqual(StateTree.verifyProof('address3', account, { ...proof, siblings: ['zz'] }, root), false);
+    assert.strictEqual(StateTree.verifyProof('address3', account, null, root), false);
+
+    // Claiming the leaf of another account for a known address must not prove it absent
+    const absence = tree.getProof('unknown');
+    const forged = { ...proof, leaf: absence.leaf || { key: StateTree.keyOf('address4'), valueHash: EMPTY_HASH } };
+    assert.strictEqual(StateTree.verifyProof('address3', null, forged, root), false);
+  });
+
+  it('should not change a tree through its clone', function() {
+    const tree = treeOf(accounts);
+    const root = tree.getRootHash();
+    const clone = tree.clone();
+    clone.set('address1', { balance: 1, nonce: 1 });
+    assert.strictEqual(tree.getRootHash(), root);
+    assert.notStrictEqual(clone.getRootHash(), root);
+  });
+
+  describe('state root of blocks', function() {
+    const chainSpec = createTestChainSpec({ blockVersions: [{ version: 2, height: 0 }, { version: 3, height: 2 }] });
+    let blockchain;
+    let keyPair;
+
+    beforeEach(async function() {
+      keyPair = ec.genKeyPair();
+      blockchain = await loadTestBlockchain({ chainSpec });
+      await blockchain.addInitialBalance(keyPair.getPublic('hex'), 100);
+    });
+
+    async function mineTransfer(amount) {
+      await blockchain.addTransaction(transfer(keyPair, { amount }));
+      return blockchain.minePendingTransactions('miner');
+    }
+
+    it('should commit to the account state from the activation height on', async function() {
+      const block = await mineTransfer(10);
+      assert.deepStrictEqual(blockchain.chain.map((b) => b.stateRoot === null), [true, true, false]);
+      assert.strictEqual(block.stateRoot, blockchain.state.getStateRoot());
+      assert.strictEqual(blockchain.isChainValid(), true);
+
+      block.stateRoot = EMPTY_HASH;
+      block.hash = block.calculateHash();
+      assert.strictEqual(blockchain.isChainValid(), false);
+    });
+
+    it('should give balance proofs a light client can check against the header', async function() {
+      const block = await mineTransfer(10);
+      const proof = blockchain.getBalanceProof('bob');
+      assert.deepStrictEqual([proof.balance, proof.nonce, proof.blockHash], [10, 0, block.hash]);
+      assert.strictEqual(Blockchain.verifyBalanceProof(proof, block.stateRoot), true);
+      assert.strictEqual(Blockchain.verifyBalanceProof({ ...proof, balance: 11 }, block.stateRoot), false);
+      assert.strictEqual(Blockchain.verifyBalanceProof(blockchain.getBalanceProof('nobody'), block.stateRoot), true);
+    });
+
+    it('should refuse balance proofs before the activation height', function() {
+      assert.throws(() => blockchain.getBalanceProof('bob'), /does not commit to the account state/);
+    });
+
+    it('should reject a block without the state root its version requires', async function() {
+      const parent = blockchain.getLatestBlock();
+      const block = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, 'miner', 1)], 0, 3);
+      block.mineBlock(0);
+      await assert.rejects(blockchain.addBlock(block), /of version 3 must have a state root/);
+
+      const wrongRoot = new Block(parent.index + 1, parent.hash, Date.now(), [new Transaction(null, 'miner', 1)], 0, 3, EMPTY_HASH);
+      wrongRoot.mineBlock(0);
+      await assert.rejects(blockchain.addBlock(wrongRoot), /Rejected invalid branch/);
+    });
+  });
+});
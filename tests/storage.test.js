@@ -0,0 +1,229 @@
+const assert = require('assert');
+const { createStorage } = require('../src/storage');
+const { MemoryStorage } = require('../src/storage/memory');
+const { Migrator } = require('../src/storage/migrator');
+
+const block = {
+  hash: 'b1',
+  previousHash: 'b0',
+  timestamp: 1722470400000,
+  nonce: 7,
+  difficulty: 2,
+  merkleRoot: 'root',
+  index: 1,
+  version: 1,
+  stateRoot: null
+};
+
+function transaction(hash, position) {
+  return {
+    hash,
+    blockHash: 'b1',
+    position,
+    fromAddress: 'alice',
+    toAddress: 'bob',
+    amount: 12.5,
+    fee: 0.5,
+    nonce: position,
+    timestamp: 1722470400000 + position,
+    signature: 'sig'
+  };
+}
+
+function pending(hash) {
+  const { blockHash, position, ...tx } = transaction(hash, 0);
+  return tx;
+}
+
+function hasSqlite() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const backends = {
+  memory: () => new MemoryStorage(),
+  sqlite: async() => {
+    const storage = createStorage({ backend: 'sqlite', sqlite: { filename: ':memory:' } });
+    await new Migrator(storage).up();
+    return storage;
+  }
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  describe(`Storage (${name})`, function() {
+    let storage;
+
+    before(function() {
+      if (name === 'sqlite' && !hasSqlite()) this.skip();
+    });
+
+    beforeEach(async function() {
+      storage = await create();
+    });
+
+    afterEach(async function() {
+      if (storage) await storage.close();
+    });
+
+    it('should save and load blocks ordered by index', async function() {
+      await storage.saveBlock({ ...block, hash: 'b2', previousHash: 'b1', index: 2 });
+      await storage.saveBlock(block);
+
+      assert.deepStrictEqual(await storage.getBlock('b1'), block);
+      assert.strictEqual(await storage.getBlock('missing'), null);
+      assert.deepStrictEqual((await storage.getBlocks()).map((row) => row.hash), ['b1', 'b2']);
+    });
+
+    it('should load the transactions of a block in their position order', async function() {
+      await storage.saveTransaction(transaction('t2', 1));
+      await storage.saveTransaction(transaction('t1', 0));
+
+      assert.deepStrictEqual(await storage.getTransaction('t2'), transaction('t2', 1));
+      assert.deepStrictEqual((await storage.getBlockTransactions('b1')).map((row) => row.hash), ['t1', 't2']);
+      assert.deepStrictEqual(await storage.getBlockTransactions('other'), []);
+    });
+
+    it('should save merkle nodes and proofs', async function() {
+      await storage.saveMerkleNode({ blockHash: 'b1', level: 1, index: 0, value: 'leaf' });
+      await storage.saveMerkleNode({ blockHash: 'b1', level: 0, index: 0, value: 'root' });
+      await storage.saveMerkleProof('b1', 't1', ['sibling']);
+
+      assert.deepStrictEqual((await storage.getMerkleNodes('b1')).map((node) => node.value), ['root', 'leaf']);
+      assert.deepStrictEqual(await storage.getMerkleProof('t1'), ['sibling']);
+      assert.strictEqual(await storage.getMerkleProof('t2'), null);
+    });
+
+    it('should save merkle nodes in batches', async function() {
+      const nodes = Array.from({ length: 450 }, (_, index) => ({ blockHash: 'b1', level: 9, index, value: `node${index}` }));
+      await storage.saveMerkleNodes(nodes);
+
+      assert.deepStrictEqual((await storage.getMerkleNodes('b1')).map((node) => node.value), nodes.map((node) => node.value));
+    });
+
+    it('should commit a transaction and roll back a failed one', async function() {
+      await storage.transaction(async(tx) => {
+        await tx.saveBlock(block);
+        await tx.saveTransaction(transaction('t1', 0));
+      });
+      await assert.rejects(storage.transaction(async(tx) => {
+        await tx.saveBlock({ ...block, hash: 'b2', index: 2 });
+        await tx.addPendingTransaction(pending('p1'));
+        throw new Error('crash');
+      }), /crash/);
+
+      assert.deepStrictEqual((await storage.getBlocks()).map((row) => row.hash), ['b1']);
+      assert.strictEqual((await storage.getBlockTransactions('b1')).length, 1);
+      assert.strictEqual(await storage.countPendingTransactions(), 0);
+    });
+
+    it('should delete a block with its rows and clean up orphaned rows', async function() {
+      await storage.saveBlock(block);
+      await storage.saveTransaction(transaction('t1', 0));
+      await storage.saveMerkleNode({ blockHash: 'b1', level: 0, index: 0, value: 'root' });
+      await storage.saveMerkleProof('b1', 't1', []);
+      await storage.saveTransaction({ ...transaction('t2', 0), blockHash: 'missing' });
+
+      assert.strictEqual(await storage.deleteOrphanedRows(), 1);
+      assert.deepStrictEqual((await storage.getMerkleProofs('b1')).map((entry) => entry.transactionHash), ['t1']);
+
+      await storage.deleteBlock('b1');
+      assert.strictEqual(await storage.getBlock('b1'), null);
+      assert.deepStrictEqual(await storage.getBlockTransactions('b1'), []);
+      assert.deepStrictEqual(await storage.getMerkleNodes('b1'), []);
+      assert.strictEqual(await storage.getMerkleProof('t1'), null);
+    });
+
+    it('should manage the pending pool', async function() {
+      await storage.addPendingTransaction(pending('p1'));
+      await storage.addPendingTransaction(pending('p2'));
+      await assert.rejects(storage.addPendingTransaction(pending('p1')));
+      assert.strictEqual(await storage.countPendingTransactions(), 2);
+      assert.deepStrictEqual(await storage.getPendingTransactions(), [pending('p1'), pending('p2')]);
+
+      await storage.removePendingTransaction('p1');
+      assert.deepStrictEqual((await storage.getPendingTransactions()).map((tx) => tx.hash), ['p2']);
+
+      await storage.clearPendingTransactions();
+      assert.strictEqual(await storage.countPendingTransactions(), 0);
+    });
+
+    it('should refuse a fencing token older than the last one written, with the rest of its transaction', async function() {
+      await storage.saveFencingToken('miningLock', 2);
+      await storage.saveFencingToken('miningLock', 2);
+      await storage.saveFencingToken('otherLock', 1);
+      await assert.rejects(storage.transaction(async(tx) => {
+        await tx.saveFencingToken('miningLock', 1);
+        await tx.saveBlock(block);
+      }), /Fencing token 1 of miningLock is stale, token 2 already wrote/);
+      assert.deepStrictEqual(await storage.getBlocks(), []);
+
+      await storage.saveFencingToken('miningLock', 3);
+      await assert.rejects(storage.saveFencingToken('miningLock', 2), /is stale, token 3 already wrote/);
+    });
+  });
+}
+
+describe('MemoryStorage transactions', function() {
+  let storage;
+
+  beforeEach(function() {
+    storage = new MemoryStorage();
+  });
+
+  it('should only show the writes of a transaction once it commits, reading them back inside it', async function() {
+    let outside;
+    await storage.transaction(async(tx) => {
+      await tx.addPendingTransaction(pending('p1'));
+      assert.strictEqual(await tx.countPendingTransactions(), 1);
+      outside = await storage.countPendingTransactions();
+    });
+    assert.strictEqual(outside, 0);
+    assert.strictEqual(await storage.countPendingTransactions(), 1);
+  });
+
+  it('should keep the writes other callers make while a transaction runs, even when it fails', async function() {
+    const failing = storage.transaction(async(tx) => {
+      await tx.addPendingTransaction(pending('p1'));
+      await storage.addPendingTransaction(pending('p2'));
+      throw new Error('crash');
+    });
+    await assert.rejects(failing, /crash/);
+
+    await storage.transaction(async(tx) => {
+      await tx.saveBlock(block);
+      await storage.addPendingTransaction(pending('p3'));
+    });
+    assert.deepStrictEqual((await storage.getPendingTransactions()).map((tx) => tx.hash), ['p2', 'p3']);
+    assert.deepStrictEqual((await storage.getBlocks()).map((row) => row.hash), ['b1']);
+  });
+
+  it('should apply nothing when a write conflicts with one committed meanwhile', async function() {
+    await assert.rejects(storage.transaction(async(tx) => {
+      await tx.saveTransaction(transaction('t1', 0));
+      await tx.addPendingTransaction(pending('p1'));
+      await storage.addPendingTransaction(pending('p1'));
+    }), /Duplicate pending transaction p1/);
+
+    assert.deepStrictEqual(await storage.getBlockTransactions('b1'), []);
+    assert.strictEqual(await storage.countPendingTransactions(), 1);
+  });
+
+  it('should refuse a fencing token made stale by a transaction committed meanwhile', async function() {
+    await assert.rejects(storage.transaction(async(tx) => {
+      await tx.saveFencingToken('miningLock', 1);
+      await tx.saveBlock(block);
+      await storage.transaction(async(other) => other.saveFencingToken('miningLock', 2));
+    }), /Fencing token 1 of miningLock is stale/);
+    assert.deepStrictEqual(await storage.getBlocks(), []);
+  });
+});
+
+describe('createStorage', function() {
+  it('should reject an unknown backend', function() {
+    assert.throws(() => createStorage({ backend: 'postgres' }), /Unknown storage backend postgres/);
+  });
+});
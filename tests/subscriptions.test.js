@@ -0,0 +1,132 @@
+const assert = require('assert');
+const EC = require('elliptic').ec;
+const WebSocket = require('ws');
+const { BlockchainEvent } = require('../src/blockchain');
+const { ApiServer } = require('../src/api/server');
+const { createTestChainSpec, loadTestBlockchain, transfer } = require('./helpers');
+
+const ec = new EC('secp256k1');
+
+describe('Event subscriptions', function() {
+  const keyPair = ec.genKeyPair();
+  const address = keyPair.getPublic('hex');
+  const chainSpec = createTestChainSpec({ allocations: [{ address, amount: 1000 }] });
+  let blockchain;
+  let server;
+  let clients;
+
+  beforeEach(async function() {
+    blockchain = await loadTestBlockchain({ chainSpec });
+    server = new ApiServer(blockchain, { port: 0, host: '127.0.0.1' });
+    await server.start();
+    clients = [];
+  });
+
+  afterEach(async function() {
+    for (const client of clients) {
+      client.socket.terminate();
+    }
+    await server.stop();
+  });
+
+  // Opens a WebSocket to the subscription endpoint; `next()` resolves with the next message received
+  async function connect() {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.port}/ws`);
+    const client = { socket, received: [], waiting: [] };
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (client.waiting.length > 0) client.waiting.shift()(message);
+      else client.received.push(message);
+    });
+    client.next = () => (client.received.length > 0
+      ? Promise.resolve(client.received.shift())
+      : new Promise((resolve) => client.waiting.push(resolve)));
+    client.request = (message) => {
+      socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+      return client.next();
+    };
+    clients.push(client);
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+    return client;
+  }
+
+  it('should push the events of a subscription', async function() {
+    const client = await connect();
+    const { type, id, subscription } = await client.request({ action: 'subscribe', id: 1, event: BlockchainEvent.TRANSACTION_ADDED });
+    assert.deepStrictEqual([type, id], ['subscribed', 1]);
+
+    const tx = transfer(keyPair);
+    await blockchain.addTransaction(tx);
+    const message = await client.next();
+    assert.strictEqual(message.type, 'event');
+    assert.strictEqual(message.subscription, subscription);
+    assert.strictEqual(message.event, BlockchainEvent.TRANSACTION_ADDED);
+    assert.strictEqual(message.data.transaction.hash, tx.hash);
+  });
+
+  it('should only push the events involving the subscribed addresses', async function() {
+    const client = await connect();
+    await client.request({ action: 'subscribe', id: 1, event: BlockchainEvent.TRANSACTION_ADDED, addresses: ['carol'] });
+    await client.request({ action: 'subscribe', id: 2, event: BlockchainEvent.BALANCE_CHANGED, addresses: ['carol'] });
+
+    await blockchain.addTransaction(transfer(keyPair));
+    const tx = transfer(keyPair, { toAddress: 'carol', nonce: 1 });
+    await blockchain.addTransaction(tx);
+    assert.strictEqual((await client.next()).data.transaction.hash, tx.hash);
+
+    await blockchain.minePendingTransactions('miner');
+    const message = await client.next();
+    assert.strictEqual(message.event, BlockchainEvent.BALANCE_CHANGED);
+    assert.deepStrictEqual(message.data, { address: 'carol', balance: 10 });
+    assert.deepStrictEqual(client.received, []); // Neither bob, the sender nor the miner
+  });
+
+  it('should stop pushing events once unsubscribed', async function() {
+    const client = await connect();
+    const other = await connect();
+    const { subscription } = await client.request({ action: 'subscribe', id: 1, event: BlockchainEvent.TRANSACTION_ADDED });
+
+    const stolen = await other.request({ action: 'unsubscribe', id: 1, subscription });
+    assert.strictEqual(stolen.type, 'error');
+    assert.match(stolen.message, /Unknown subscription/);
+
+    assert.deepStrictEqual(await client.request({ action: 'unsubscribe', id: 2, subscription }), { type: 'unsubscribed', id: 2, subscription });
+    await blockchain.addTransaction(transfer(keyPair));
+    await client.request({ action: 'subscribe', id: 3, event: BlockchainEvent.REORG }); // Answered after any stray event
+    assert.deepStrictEqual(client.received, []);
+  });
+
+  it('should drop the subscriptions of closed connections', async function() {
+    const client = await connect();
+    await client.request({ action: 'subscribe', id: 1, event: BlockchainEvent.TRANSACTION_ADDED });
+    client.socket.close();
+    await new Promise((resolve) => client.socket.once('close', resolve));
+    while (server.subscriptions.subscriptions.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  });
+
+  it('should answer invalid messages with an error', async function() {
+    const client = await connect();
+    const invalid = [
+      ['{not json', /not valid JSON/],
+      [{ action: 'listen', id: 1 }, /action must be subscribe or unsubscribe/],
+      [{ action: 'subscribe', id: 2, event: 'everything' }, /Unknown event everything/],
+      [{ action: 'subscribe', id: 3, event: BlockchainEvent.TRANSACTION_ADDED, addresses: 'bob' }, /addresses must be an array of strings/],
+      [{ action: 'subscribe', id: 4, event: BlockchainEvent.TRANSACTION_ADDED, addresses: [42] }, /addresses must be an array of strings/]
+    ];
+    for (const [message, error] of invalid) {
+      const response = await client.request(message);
+      assert.strictEqual(response.type, 'error');
+      assert.match(response.message, error);
+    }
+  });
+
+  it('should refuse upgrades on other paths', async function() {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.port}/elsewhere`);
+    await new Promise((resolve) => socket.once('error', resolve));
+  });
+});